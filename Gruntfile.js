@@ -5,7 +5,7 @@ module.exports = function(grunt) {
 		pkg: grunt.file.readJSON('package.json'),
 
 		jsbeautifier: {
-			files: ['Gruntfile.js', 'gamepad.js', 'test/**/*.js'],
+			files: ['Gruntfile.js', 'gamepad.js', 'gamepad-simulation.js', 'test/**/*.js'],
 			options: grunt.file.readJSON('.jsbeautifyrc')
 		},
 
@@ -14,7 +14,7 @@ module.exports = function(grunt) {
 			options: {
 				jshintrc: './.jshintrc'
 			},
-			all: ['Gruntfile.js', 'gamepad.js', 'test/**/*.js']
+			all: ['Gruntfile.js', 'gamepad.js', 'gamepad-simulation.js', 'test/**/*.js']
 		},
 
 		// Run js-uglify on the actual library code
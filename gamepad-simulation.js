@@ -0,0 +1,745 @@
+/*
+ * Copyright 2012 Priit Kallas <kallaspriit@gmail.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining
+ * a copy of this software and associated documentation files (the
+ * "Software"), to deal in the Software without restriction, including
+ * without limitation the rights to use, copy, modify, merge, publish,
+ * distribute, sublicense, and/or sell copies of the Software, and to
+ * permit persons to whom the Software is furnished to do so, subject to
+ * the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ * MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS BE
+ * LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN ACTION
+ * OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION
+ * WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+(function(exports) {
+	'use strict';
+
+	var Gamepad = exports ? require('./gamepad.js').Gamepad : window.Gamepad;
+
+	var isArray = function(thing) {
+		return Object.prototype.toString.call(thing) === '[object Array]';
+	};
+
+	/**
+	 * A virtual gamepad of a {{#crossLink "SimulatedPlatform"}}{{/crossLink}}.
+	 *
+	 * Controls are addressed either by their standard name, such as 'FACE_1'
+	 * or 'LEFT_STICK_X', or by the index of the raw button or axis. Names are
+	 * translated to raw values through the mapping the library resolves for
+	 * this device, so the real mapping logic is exercised. Using a name the
+	 * mapping does not provide throws an Error.
+	 *
+	 * @class SimulatedDevice
+	 * @constructor
+	 * @param {SimulatedPlatform} platform the platform of the device
+	 * @param {Object} gamepad the raw gamepad object
+	 * @param {String} platformType the platform type to report for the device
+	 * @module Gamepad
+	 */
+	var SimulatedDevice = function(platform, gamepad, platformType) {
+		this.platform = platform;
+		this.gamepad = gamepad;
+		this.platformType = platformType;
+	};
+
+	/**
+	 * Sets the value of a button.
+	 *
+	 * @method press
+	 * @param {String|Number} control the standard button name or raw button index
+	 * @param {Number} [value] the value of the button, defaults to 1
+	 */
+	SimulatedDevice.prototype.press = function(control, value) {
+		var target = this._resolveButton(control);
+
+		value = (typeof(value) === 'number') ? value : 1;
+
+		if (typeof(target.button) === 'number') {
+			this.gamepad.buttons[target.button] = value;
+		} else {
+			this.gamepad.axes[target.axis] = target.from + ((target.to - target.from) * value);
+		}
+	};
+
+	/**
+	 * Releases a button.
+	 *
+	 * @method release
+	 * @param {String|Number} control the standard button name or raw button index
+	 */
+	SimulatedDevice.prototype.release = function(control) {
+		this.press(control, 0);
+	};
+
+	/**
+	 * Sets the value of an axis.
+	 *
+	 * @method setAxis
+	 * @param {String|Number} axis the standard axis name or raw axis index
+	 * @param {Number} value the value from -1 to 1
+	 */
+	SimulatedDevice.prototype.setAxis = function(axis, value) {
+		var target = this._resolveAxis(axis);
+
+		this.gamepad.axes[target.axis] = target.from + (((value + 1) / 2) * (target.to - target.from));
+	};
+
+	/**
+	 * @method getAxis
+	 * @param {String|Number} axis the standard axis name or raw axis index
+	 * @return {Number} the value of the axis from -1 to 1, before deadzone
+	 */
+	SimulatedDevice.prototype.getAxis = function(axis) {
+		var target = this._resolveAxis(axis);
+
+		return (((this.gamepad.axes[target.axis] - target.from) / (target.to - target.from)) * 2) - 1;
+	};
+
+	/**
+	 * @method _getMapping
+	 * @private
+	 * @return {Object} the mapping the library resolves for this device
+	 */
+	SimulatedDevice.prototype._getMapping = function() {
+		return this.platform.listener._resolveMapping(this.gamepad);
+	};
+
+	/**
+	 * @method _resolveButton
+	 * @private
+	 * @param {String|Number} control the standard button name or raw button index
+	 * @return {Object} either "button" with the raw button index, or "axis",
+	 *		"from" and "to" for buttons mapped from an axis
+	 */
+	SimulatedDevice.prototype._resolveButton = function(control) {
+		var mapping;
+		var index;
+		var entry;
+
+		if (typeof(control) === 'number') {
+			return {
+				button: control
+			};
+		}
+
+		mapping = this._getMapping().buttons;
+		index = Gamepad.getControlIndex(control);
+		entry = mapping.byButton[index];
+
+		if ((typeof(entry) === 'number') && (entry !== -1)) {
+			return {
+				button: entry
+			};
+		}
+
+		entry = mapping.byAxis && mapping.byAxis[index];
+		if (isArray(entry) && (entry.length === 3)) {
+			return {
+				axis: entry[0],
+				from: entry[1],
+				to: entry[2]
+			};
+		}
+
+		throw new Error('Button ' + control + ' is not mapped for ' + this.gamepad.id);
+	};
+
+	/**
+	 * @method _resolveAxis
+	 * @private
+	 * @param {String|Number} axis the standard axis name or raw axis index
+	 * @return {Object} the raw "axis" index and its raw values "from" at -1
+	 *		and "to" at 1
+	 */
+	SimulatedDevice.prototype._resolveAxis = function(axis) {
+		var entry = axis;
+		var index;
+
+		if (typeof(axis) !== 'number') {
+			index = Gamepad.getControlIndex(axis, true);
+			entry = this._getMapping().axes.byAxis[index];
+		}
+
+		if ((typeof(entry) === 'number') && (entry !== -1)) {
+			return {
+				axis: entry,
+				from: -1,
+				to: 1
+			};
+		} else if (isArray(entry) && (entry.length === 3)) {
+			return {
+				axis: entry[0],
+				from: entry[1],
+				to: entry[2]
+			};
+		}
+
+		throw new Error('Axis ' + axis + ' is not mapped for ' + this.gamepad.id);
+	};
+
+	/**
+	 * A platform providing virtual devices that are controlled by code.
+	 *
+	 * @class SimulatedPlatform
+	 * @constructor
+	 * @param {Object} listener the listener to provide _connect and _disconnect callbacks
+	 * @module Gamepad
+	 */
+	var SimulatedPlatform = function(listener) {
+		this.listener = listener;
+		this.devices = [];
+	};
+
+	/**
+	 * @method getType()
+	 * @static
+	 * @return {String} 'Simulation'
+	 */
+	SimulatedPlatform.getType = function() {
+		return 'Simulation';
+	};
+
+	/**
+	 * @method getType()
+	 * @param {Object} [gamepad] a gamepad of this platform
+	 * @return {String} the platform type the device simulates, 'Simulation' otherwise
+	 */
+	SimulatedPlatform.prototype.getType = function(gamepad) {
+		var device = gamepad && this.getDevice(gamepad);
+
+		return device ? device.platformType : SimulatedPlatform.getType();
+	};
+
+	/**
+	 * @method isSupported
+	 * @return {Boolean} true
+	 */
+	SimulatedPlatform.prototype.isSupported = function() {
+		return true;
+	};
+
+	/**
+	 * Does nothing, the values are set by the devices
+	 * @method update
+	 */
+	SimulatedPlatform.prototype.update = function() {};
+
+	/**
+	 * Disconnects all devices.
+	 * @method destroy
+	 */
+	SimulatedPlatform.prototype.destroy = function() {
+		var that = this;
+
+		this.devices.slice().forEach(function(device) {
+			that.removeDevice(device);
+		});
+	};
+
+	/**
+	 * @method getDevice
+	 * @param {Object} gamepad the raw gamepad object
+	 * @return {SimulatedDevice} the device of the gamepad, or null
+	 */
+	SimulatedPlatform.prototype.getDevice = function(gamepad) {
+		var i;
+
+		for (i = 0; i < this.devices.length; i++) {
+			if (this.devices[i].gamepad === gamepad) {
+				return this.devices[i];
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * Creates and connects a device.
+	 *
+	 * @method addDevice
+	 * @param {Object} options id, mapping, platform, buttons, axes and optionally index
+	 * @return {SimulatedDevice} the connected device
+	 */
+	SimulatedPlatform.prototype.addDevice = function(options) {
+		var gamepad = {
+			id: options.id,
+			index: 0,
+			connected: true,
+			mapping: options.mapping || '',
+			timestamp: 0,
+			buttons: [],
+			axes: []
+		};
+		var device = new SimulatedDevice(this, gamepad, options.platform || SimulatedPlatform.getType());
+		var gamepads = this.listener.gamepads || [];
+
+		while (gamepad.buttons.length < options.buttons) {
+			gamepad.buttons.push(0);
+		}
+		while (gamepad.axes.length < options.axes) {
+			gamepad.axes.push(0);
+		}
+
+		if (typeof(options.index) === 'number') {
+			gamepad.index = options.index;
+		} else {
+			while (gamepads[gamepad.index]) {
+				gamepad.index++;
+			}
+		}
+
+		this.devices.push(device);
+		this.listener._connect(gamepad);
+
+		return device;
+	};
+
+	/**
+	 * Disconnects a device.
+	 *
+	 * @method removeDevice
+	 * @param {SimulatedDevice} device the device to remove
+	 */
+	SimulatedPlatform.prototype.removeDevice = function(device) {
+		var index = this.devices.indexOf(device);
+
+		if (index === -1) {
+			return;
+		}
+
+		this.devices.splice(index, 1);
+		device.gamepad.connected = false;
+		this.listener._disconnect(device.gamepad);
+	};
+
+	/**
+	 * A deterministic simulation for testing game input against the real
+	 * mapping logic of the library.
+	 *
+	 * The simulation owns a Gamepad instance (available as "gamepad") using a
+	 * ManualUpdateStrategy and a SimulatedPlatform. Hand that instance to the
+	 * game code, add devices, script their input on a timeline of frames and
+	 * step the simulation. All events fired by the library are collected with
+	 * the frame they were fired in.
+	 *
+	 *     var simulation = new Gamepad.Simulation();
+	 *     var pad = simulation.addDevice('xbox');
+	 *
+	 *     simulation.hold(pad, 'FACE_1', { at: 10, frames: 3 });
+	 *     simulation.tilt(pad, 'LEFT_STICK_X', 0.8, { at: 20, duration: 200 });
+	 *     simulation.run();
+	 *
+	 *     simulation.getEvents(Gamepad.Event.BUTTON_DOWN); // [{ frame: 10, control: 'FACE_1', ... }]
+	 *
+	 * Timeline options are "at", the frame to start at (defaults to the
+	 * current frame), and the length as either "frames" or "duration" in
+	 * milliseconds.
+	 *
+	 * While stepping, the clock of the Gamepad instance reports the time of
+	 * the current frame, so that filters, drift detection and recorders
+	 * follow the simulated time.
+	 *
+	 * In node.js, load it with require('./gamepad-simulation.js').Simulation,
+	 * in browsers include it after gamepad.js.
+	 *
+	 * @class Simulation
+	 * @constructor
+	 * @param {Object} [options] "frameDuration" in milliseconds, defaults to one 60Hz frame
+	 * @module Gamepad
+	 */
+	var Simulation = function(options) {
+		var that = this;
+		var platformFactory = function(listener) {
+			that.platform = new SimulatedPlatform(listener);
+
+			return that.platform;
+		};
+
+		options = options || {};
+
+		this.frame = 0;
+		this.frameDuration = options.frameDuration || (1000 / 60);
+		this.actions = {};
+		this.events = [];
+		this.platform = null;
+		this.updateStrategy = new Gamepad.UpdateStrategies.ManualUpdateStrategy();
+		this.gamepad = new Gamepad(this.updateStrategy, [platformFactory]);
+		this.gamepad.clock = function() {
+			return that.frame * that.frameDuration;
+		};
+
+		[
+			Gamepad.Event.CONNECTED,
+			Gamepad.Event.DISCONNECTED,
+			Gamepad.Event.BUTTON_DOWN,
+			Gamepad.Event.BUTTON_UP,
+			Gamepad.Event.AXIS_CHANGED
+		].forEach(function(type) {
+			that.gamepad.bind(type, function(data) {
+				that._collect(type, data);
+			});
+		});
+
+		this.gamepad.init();
+	};
+
+	/**
+	 * Presets of virtual devices by controller type (see Gamepad.Type), as
+	 * reported by Chrome. Ids given to addDevice() that are not listed here are
+	 * used as gamepad id of a standard gamepad.
+	 *
+	 * @property Devices
+	 * @static
+	 */
+	Simulation.Devices = {
+		xbox: {
+			id: 'Xbox 360 Controller (XInput STANDARD GAMEPAD)',
+			mapping: 'standard',
+			platform: 'WebKit',
+			buttons: 17,
+			axes: 4
+		},
+		playstation: {
+			id: 'Sony PLAYSTATION(R)3 Controller (STANDARD GAMEPAD Vendor: 054c Product: 0268)',
+			mapping: 'standard',
+			platform: 'WebKit',
+			buttons: 17,
+			axes: 4
+		},
+		logitech: {
+			id: 'Logitech Dual Action (STANDARD GAMEPAD Vendor: 046d Product: c216)',
+			mapping: 'standard',
+			platform: 'WebKit',
+			buttons: 17,
+			axes: 4
+		},
+		n64: {
+			id: 'Generic   USB  Joystick   (Vendor: 0079 Product: 0006)',
+			mapping: '',
+			platform: 'WebKit',
+			buttons: 16,
+			axes: 6
+		},
+		unknown: {
+			id: 'Simulated Gamepad',
+			mapping: 'standard',
+			platform: 'WebKit',
+			buttons: 17,
+			axes: 4
+		}
+	};
+
+	/**
+	 * Creates and connects a virtual device.
+	 *
+	 * @method addDevice
+	 * @param {String} type a key of Simulation.Devices, or the gamepad id
+	 * @param {Object} [options] overrides of id, mapping, platform, buttons, axes and index
+	 * @return {SimulatedDevice} the connected device
+	 */
+	Simulation.prototype.addDevice = function(type, options) {
+		var preset = Simulation.Devices.hasOwnProperty(type) ? Simulation.Devices[type] : null;
+		var settings = {};
+		var key;
+
+		for (key in Simulation.Devices.unknown) {
+			settings[key] = Simulation.Devices.unknown[key];
+		}
+		if (preset) {
+			for (key in preset) {
+				settings[key] = preset[key];
+			}
+		} else {
+			settings.id = type;
+		}
+		for (key in (options || {})) {
+			settings[key] = options[key];
+		}
+
+		return this.platform.addDevice(settings);
+	};
+
+	/**
+	 * Disconnects a virtual device.
+	 *
+	 * @method removeDevice
+	 * @param {SimulatedDevice} device the device
+	 */
+	Simulation.prototype.removeDevice = function(device) {
+		this.platform.removeDevice(device);
+	};
+
+	/**
+	 * Converts a duration to frames.
+	 *
+	 * @method toFrames
+	 * @param {Number} duration the duration in milliseconds
+	 * @return {Number} the number of frames, rounded
+	 */
+	Simulation.prototype.toFrames = function(duration) {
+		return Math.round(duration / this.frameDuration);
+	};
+
+	/**
+	 * Schedules a callback to be called at the start of a frame, before the
+	 * library updates. Frames in the past are scheduled for the current frame.
+	 *
+	 * @method at
+	 * @param {Number} frame the frame
+	 * @param {Function} callback the function to call
+	 */
+	Simulation.prototype.at = function(frame, callback) {
+		frame = Math.max(frame, this.frame);
+
+		this.actions[frame] = this.actions[frame] || [];
+		this.actions[frame].push(callback);
+	};
+
+	/**
+	 * Holds a button down for a number of frames.
+	 *
+	 * @method hold
+	 * @param {SimulatedDevice} device the device
+	 * @param {String|Number} control the button name or raw index
+	 * @param {Object} [options] timeline options and the "value" to press with
+	 */
+	Simulation.prototype.hold = function(device, control, options) {
+		var start = this._getStart(options);
+		var length = this._getLength(options);
+
+		this.at(start, function() {
+			device.press(control, options && options.value);
+		});
+		this.at(start + Math.max(length, 1), function() {
+			device.release(control);
+		});
+	};
+
+	/**
+	 * Moves an axis linearly from its current value to the given value.
+	 *
+	 * @method tilt
+	 * @param {SimulatedDevice} device the device
+	 * @param {String|Number} axis the axis name or raw index
+	 * @param {Number} value the target value
+	 * @param {Object} [options] timeline options
+	 */
+	Simulation.prototype.tilt = function(device, axis, value, options) {
+		var that = this;
+		var start = this._getStart(options);
+		var length = this._getLength(options);
+
+		this.at(start, function() {
+			var from = device.getAxis(axis);
+			var delta = (value - from) / Math.max(length, 1);
+			var step;
+
+			if (length === 0) {
+				device.setAxis(axis, value);
+				return;
+			}
+
+			for (step = 1; step < length; step++) {
+				that.at(start + step, that._createAxisSetter(device, axis, from + (delta * step)));
+			}
+			that.at(start + length, that._createAxisSetter(device, axis, value));
+		});
+	};
+
+	/**
+	 * Runs a number of frames: the scheduled callbacks of each frame are
+	 * called and the library is updated once.
+	 *
+	 * @method step
+	 * @param {Number} [count] the number of frames, defaults to 1
+	 */
+	Simulation.prototype.step = function(count) {
+		var actions;
+		var i;
+
+		count = (typeof(count) === 'number') ? count : 1;
+
+		for (i = 0; i < count; i++) {
+			while (this.actions[this.frame]) {
+				actions = this.actions[this.frame];
+				delete this.actions[this.frame];
+
+				actions.forEach(function(action) {
+					action();
+				});
+			}
+
+			this._setTimestamps();
+			this.updateStrategy.update();
+			this.frame++;
+		}
+	};
+
+	/**
+	 * Runs the frames within a duration.
+	 *
+	 * @method advance
+	 * @param {Number} duration the duration in milliseconds
+	 */
+	Simulation.prototype.advance = function(duration) {
+		this.step(this.toFrames(duration));
+	};
+
+	/**
+	 * Runs frames until all scheduled callbacks were called.
+	 *
+	 * @method run
+	 */
+	Simulation.prototype.run = function() {
+		var frames = Object.keys(this.actions).map(Number);
+
+		while (frames.length > 0) {
+			this.step(Math.max.apply(Math, frames) - this.frame + 1);
+			frames = Object.keys(this.actions).map(Number);
+		}
+	};
+
+	/**
+	 * Returns the collected events. Each has the "frame" and "type" it was
+	 * fired with, the "index" of the gamepad and, depending on the type,
+	 * "control", "axis" and "value".
+	 *
+	 * @method getEvents
+	 * @param {String} [type] only return events of this type, see Gamepad.Event
+	 * @return {Array} the events in the order they were fired
+	 */
+	Simulation.prototype.getEvents = function(type) {
+		return this.events.filter(function(event) {
+			return !type || (event.type === type);
+		});
+	};
+
+	/**
+	 * Forgets the collected events.
+	 *
+	 * @method clearEvents
+	 */
+	Simulation.prototype.clearEvents = function() {
+		this.events = [];
+	};
+
+	/**
+	 * Destroys the Gamepad instance of the simulation.
+	 *
+	 * @method destroy
+	 */
+	Simulation.prototype.destroy = function() {
+		this.gamepad.destroy();
+		this.actions = {};
+	};
+
+	/**
+	 * @method _getStart
+	 * @private
+	 * @param {Object} [options] timeline options
+	 * @return {Number} the start frame
+	 */
+	Simulation.prototype._getStart = function(options) {
+		return (options && (typeof(options.at) === 'number')) ? options.at : this.frame;
+	};
+
+	/**
+	 * @method _getLength
+	 * @private
+	 * @param {Object} [options] timeline options
+	 * @return {Number} the length in frames
+	 */
+	Simulation.prototype._getLength = function(options) {
+		if (options && (typeof(options.frames) === 'number')) {
+			return options.frames;
+		}
+
+		if (options && (typeof(options.duration) === 'number')) {
+			return this.toFrames(options.duration);
+		}
+
+		return 0;
+	};
+
+	/**
+	 * @method _createAxisSetter
+	 * @private
+	 * @param {SimulatedDevice} device the device
+	 * @param {String|Number} axis the axis name or raw index
+	 * @param {Number} value the value to set
+	 * @return {Function} a function setting the axis to the value
+	 */
+	Simulation.prototype._createAxisSetter = function(device, axis, value) {
+		return function() {
+			device.setAxis(axis, value);
+		};
+	};
+
+	/**
+	 * Sets the timestamp of all devices to the time of the current frame.
+	 *
+	 * @method _setTimestamps
+	 * @private
+	 */
+	Simulation.prototype._setTimestamps = function() {
+		var time = this.frame * this.frameDuration;
+
+		this.platform.devices.forEach(function(device) {
+			device.gamepad.timestamp = time;
+		});
+	};
+
+	/**
+	 * @method _collect
+	 * @private
+	 * @param {String} type the event type
+	 * @param {Object} data the event data
+	 */
+	Simulation.prototype._collect = function(type, data) {
+		var gamepad = data.gamepad || data;
+		var event = {
+			frame: this.frame,
+			type: type,
+			index: gamepad.index
+		};
+
+		if (typeof(data.control) !== 'undefined') {
+			event.control = data.control;
+		}
+		if (typeof(data.axis) !== 'undefined') {
+			event.axis = data.axis;
+			event.value = data.value;
+		}
+
+		this.events.push(event);
+	};
+
+	Simulation.SimulatedPlatform = SimulatedPlatform;
+	Simulation.SimulatedDevice = SimulatedDevice;
+
+	/**
+	 * A deterministic simulation for testing game input, see
+	 * {{#crossLink "Simulation"}}{{/crossLink}}. Only available if
+	 * gamepad-simulation.js is loaded.
+	 *
+	 * @property Simulation
+	 * @type {Function}
+	 */
+	Gamepad.Simulation = Simulation;
+
+	if (exports) {
+		exports.Simulation = Simulation;
+		exports.Gamepad = Gamepad;
+	}
+
+})(((typeof(module) !== 'undefined') && module.exports) || null);
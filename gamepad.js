@@ -39,13 +39,208 @@
 		isSupported: function() {
 			return false;
 		},
-		update: nullFunction
+		update: nullFunction,
+		destroy: nullFunction
+	};
+
+	/**
+	 * Access to the host environment. All browser globals are looked up through
+	 * this object at the time of use, so the library can be loaded and run where
+	 * they are missing, for example under node.js.
+	 *
+	 * Available as Gamepad.Environment; replace its methods to inject a custom
+	 * environment.
+	 */
+	var environment = {
+		/**
+		 * @return {Object} the window object or null if not running in a browser
+		 */
+		getWindow: function() {
+			return (typeof(window) !== 'undefined') ? window : null;
+		},
+
+		/**
+		 * @return {Object} the navigator object or null if not available
+		 */
+		getNavigator: function() {
+			var win = environment.getWindow();
+
+			return (win && win.navigator) || null;
+		},
+
+		/**
+		 * @return {Function} a requestAnimationFrame variant or null if not available
+		 */
+		getRequestAnimationFrame: function() {
+			var win = environment.getWindow();
+
+			if (!win) {
+				return null;
+			}
+
+			return win.requestAnimationFrame || win.webkitRequestAnimationFrame ||
+				win.mozRequestAnimationFrame || null;
+		},
+
+		/**
+		 * @return {Number} the current time in milliseconds
+		 */
+		now: function() {
+			var win = environment.getWindow();
+
+			if (win && win.performance && (typeof(win.performance.now) === 'function')) {
+				return win.performance.now();
+			}
+
+			return new Date().getTime();
+		},
+
+		/**
+		 * @return {String} the operating system as named by SDL ('Windows', 'Mac OS X',
+		 *		'Linux', 'Android' or 'iOS'), or an empty string if unknown
+		 */
+		getOperatingSystem: function() {
+			var navigator = environment.getNavigator();
+			var process = !navigator && environment.requireModule('process');
+			var text = navigator ? (navigator.userAgent || '') + ' ' + (navigator.platform || '') : '';
+			var names = {
+				win32: 'Windows',
+				darwin: 'Mac OS X',
+				linux: 'Linux',
+				android: 'Android'
+			};
+
+			if (!navigator) {
+				return (process && names[process.platform]) || '';
+			} else if (/Android/.test(text)) {
+				return 'Android';
+			} else if (/iPhone|iPad|iPod/.test(text)) {
+				return 'iOS';
+			} else if (/Win/.test(text)) {
+				return 'Windows';
+			} else if (/Mac/.test(text)) {
+				return 'Mac OS X';
+			} else if (/Linux/.test(text)) {
+				return 'Linux';
+			}
+
+			return '';
+		},
+
+		/**
+		 * @return {Object} the localStorage object or null if not available
+		 */
+		getLocalStorage: function() {
+			var win = environment.getWindow();
+
+			try {
+				return (win && win.localStorage) || null;
+			} catch (e) {
+				return null;
+			}
+		},
+
+		/**
+		 * @param {String} name name of the node.js module to load
+		 * @return {Object} the module or null if not running under node.js
+		 */
+		requireModule: function(name) {
+			if ((typeof(module) === 'undefined') || (typeof(require) !== 'function')) {
+				return null;
+			}
+
+			try {
+				return require(name);
+			} catch (e) {
+				return null;
+			}
+		}
+	};
+
+	/**
+	 * Creates a plain gamepad object like the ones the browsers provide, for
+	 * platforms that create their own gamepads. All controls start at zero.
+	 */
+	var createGamepadObject = function(id, buttonCount, axisCount, mapping) {
+		var gamepad = {
+			id: id,
+			index: -1,
+			connected: true,
+			mapping: mapping || '',
+			timestamp: 0,
+			buttons: [],
+			axes: []
+		};
+
+		while (gamepad.buttons.length < buttonCount) {
+			gamepad.buttons.push(0);
+		}
+		while (gamepad.axes.length < axisCount) {
+			gamepad.axes.push(0);
+		}
+
+		return gamepad;
+	};
+
+	/**
+	 * Copies the numeric values of the source array to the same indices of the
+	 * target array, as far as the target array reaches. Used by platforms that
+	 * receive raw values.
+	 */
+	var copyValues = function(source, target) {
+		var count;
+		var i;
+
+		if (!source || (typeof(source.length) !== 'number')) {
+			return;
+		}
+
+		count = Math.min(source.length, target.length);
+		for (i = 0; i < count; i++) {
+			if (typeof(source[i]) === 'number') {
+				target[i] = source[i];
+			}
+		}
+	};
+
+	/**
+	 * Turns a control count received from outside, such as in a message or a
+	 * recording, into an integer between zero and the given maximum.
+	 */
+	var limitCount = function(value, max) {
+		var result = Math.floor(Number(value)) || 0;
+
+		return Math.min(Math.max(result, 0), max);
+	};
+
+	/**
+	 * Finds the lowest gamepad index that is neither used by the listener nor
+	 * in the given list of taken indices. Used by platforms that create their
+	 * own gamepad objects.
+	 */
+	var findFreeIndex = function(listener, taken) {
+		var gamepads = (listener && listener.gamepads) || [];
+		var index = 0;
+
+		while (gamepads[index] || (taken.indexOf(index) !== -1)) {
+			index++;
+		}
+
+		return index;
+	};
+
+	/**
+	 * Stand-in for requestAnimationFrame, calling back after one 60Hz frame
+	 */
+	var timeoutAnimationFrame = function(callback) {
+		return setTimeout(callback, 1000 / 60);
 	};
 
 	/**
 	 * This strategy uses a timer function to call an update function.
 	 * The timer (re)start function can be provided or the strategy reverts to
-	 * one of the window.*requestAnimationFrame variants.
+	 * one of the window.*requestAnimationFrame variants. Where none of them is
+	 * available, a timeout of one 60Hz frame is used instead.
 	 *
 	 * @class AnimFrameUpdateStrategy
 	 * @constructor
@@ -54,18 +249,25 @@
 	 */
 	var AnimFrameUpdateStrategy = function(requestAnimationFrame) {
 		var that = this;
-		var win = window;
+		var win = environment.getWindow();
 
 		this.update = nullFunction;
+		this.running = false;
+		this.scheduled = false;
 
-		this.requestAnimationFrame = requestAnimationFrame || win.requestAnimationFrame ||
-			win.webkitRequestAnimationFrame || win.mozRequestAnimationFrame;
+		this.requestAnimationFrame = requestAnimationFrame || environment.getRequestAnimationFrame() ||
+			timeoutAnimationFrame;
 
 		/**
-		 * This method calls the (user) update and restarts itself
+		 * This method calls the (user) update and restarts itself while running
 		 * @method tickFunction
 		 */
 		this.tickFunction = function() {
+			that.scheduled = false;
+			if (!that.running) {
+				return;
+			}
+
 			that.update();
 			that.startTicker();
 		};
@@ -75,6 +277,7 @@
 		 * @method startTicker
 		 */
 		this.startTicker = function() {
+			that.scheduled = true;
 			that.requestAnimationFrame.apply(win, [that.tickFunction]);
 		};
 	};
@@ -87,7 +290,185 @@
 	 */
 	AnimFrameUpdateStrategy.prototype.start = function(updateFunction) {
 		this.update = updateFunction || nullFunction;
-		this.startTicker();
+		this.running = true;
+
+		// A tick still pending from before a stop() simply continues the loop
+		if (!this.scheduled) {
+			this.startTicker();
+		}
+	};
+
+	/**
+	 * Stops the update strategy. The update function is not called anymore
+	 * until the strategy is started again.
+	 *
+	 * @method stop
+	 */
+	AnimFrameUpdateStrategy.prototype.stop = function() {
+		this.running = false;
+	};
+
+	/**
+	 * Schedules the callback after the given delay. A zero delay is posted through
+	 * a MessageChannel where available, avoiding the minimum delay browsers apply
+	 * to nested setTimeout() calls.
+	 */
+	var scheduleTimeout = (function() {
+		var channel = null;
+		var queue = [];
+
+		return function(callback, delay) {
+			var win = environment.getWindow();
+
+			if ((delay > 0) || !win || (typeof(win.MessageChannel) === 'undefined')) {
+				return setTimeout(callback, delay);
+			}
+
+			if (!channel) {
+				channel = new win.MessageChannel();
+				channel.port1.onmessage = function() {
+					queue.shift()();
+				};
+			}
+
+			queue.push(callback);
+			channel.port2.postMessage(0);
+		};
+	})();
+
+	/**
+	 * This strategy calls the update function at a fixed frequency, independent
+	 * of the display refresh. Unlike requestAnimationFrame, the timer keeps
+	 * running (although throttled by the browser) in background tabs.
+	 *
+	 * The ticker compensates for timer drift, so a late tick shortens the delay
+	 * to the next one instead of lowering the effective frequency.
+	 *
+	 * @class IntervalUpdateStrategy
+	 * @constructor
+	 * @param {Number} [frequency] number of updates per second, defaults to 60
+	 * @param {Function} [setTimeout] function to use for timer creation
+	 * @param {Function} [now] function returning the current time in milliseconds
+	 * @module Gamepad
+	 */
+	var IntervalUpdateStrategy = function(frequency, setTimeout, now) {
+		var that = this;
+
+		this.update = nullFunction;
+		this.frequency = frequency || 60;
+		this.setTimeout = setTimeout || scheduleTimeout;
+		this.now = now || environment.now;
+		this.nextTime = 0;
+		this.running = false;
+		this.scheduled = false;
+
+		/**
+		 * This method calls the (user) update and restarts itself while running
+		 * @method tickFunction
+		 */
+		this.tickFunction = function() {
+			that.scheduled = false;
+			if (!that.running) {
+				return;
+			}
+
+			that.update();
+			that.startTicker();
+		};
+
+		/**
+		 * (Re)Starts the ticker, scheduling the next tick one period after the
+		 * previous one. If the ticker has fallen behind by more than a period,
+		 * it is resynchronized to the current time instead of catching up.
+		 * @method startTicker
+		 */
+		this.startTicker = function() {
+			var period = 1000 / that.frequency;
+			var time = that.now();
+
+			that.nextTime += period;
+			if ((that.nextTime < time - period) || (that.nextTime > time + period)) {
+				that.nextTime = time + period;
+			}
+
+			that.scheduled = true;
+			that.setTimeout(that.tickFunction, Math.max(0, that.nextTime - time));
+		};
+	};
+
+	/**
+	 * Starts the update strategy using the given function
+	 *
+	 * @method start
+	 * @param {Function} updateFunction the function to call at each update
+	 */
+	IntervalUpdateStrategy.prototype.start = function(updateFunction) {
+		this.update = updateFunction || nullFunction;
+		this.running = true;
+
+		// A tick still pending from before a stop() simply continues the loop
+		if (!this.scheduled) {
+			this.nextTime = this.now();
+			this.startTicker();
+		}
+	};
+
+	/**
+	 * Stops the update strategy. The update function is not called anymore
+	 * until the strategy is started again.
+	 *
+	 * @method stop
+	 */
+	IntervalUpdateStrategy.prototype.stop = function() {
+		this.running = false;
+	};
+
+	/**
+	 * This strategy polls the gamepads at a fixed frequency higher than the
+	 * display refresh, but reports the TICK event only once per animation frame.
+	 * Button presses that are shorter than a frame are still noticed and
+	 * reported via BUTTON_DOWN and BUTTON_UP events.
+	 *
+	 * The update function is called with a true argument for polls that should
+	 * not cause a TICK event.
+	 *
+	 * @class HybridUpdateStrategy
+	 * @constructor
+	 * @param {Number} [frequency] number of polls per second, defaults to 240
+	 * @param {Function} [requestAnimationFrame] function to use for frame timer creation
+	 * @param {Function} [setTimeout] function to use for poll timer creation
+	 * @module Gamepad
+	 */
+	var HybridUpdateStrategy = function(frequency, requestAnimationFrame, setTimeout) {
+		this.frameStrategy = new AnimFrameUpdateStrategy(requestAnimationFrame);
+		this.pollStrategy = new IntervalUpdateStrategy(frequency || 240, setTimeout);
+	};
+
+	/**
+	 * Starts the update strategy using the given function
+	 *
+	 * @method start
+	 * @param {Function} updateFunction the function to call at each update
+	 */
+	HybridUpdateStrategy.prototype.start = function(updateFunction) {
+		var update = updateFunction || nullFunction;
+
+		this.pollStrategy.start(function() {
+			update(true);
+		});
+		this.frameStrategy.start(function() {
+			update();
+		});
+	};
+
+	/**
+	 * Stops both the polling and the frame timers.
+	 *
+	 * @method stop
+	 */
+	HybridUpdateStrategy.prototype.stop = function() {
+		this.pollStrategy.stop();
+		this.frameStrategy.stop();
 	};
 
 	/**
@@ -120,6 +501,65 @@
 		this.update = updateFunction || nullFunction;
 	};
 
+	/**
+	 * Stops the update strategy, turning update() into a no-op.
+	 *
+	 * @method stop
+	 */
+	ManualUpdateStrategy.prototype.stop = function() {
+		this.update = nullFunction;
+	};
+
+	/**
+	 * Provides simple interface and multi-platform support for the gamepad API.
+	 *
+	 * You can change the deadzone and maximizeThreshold parameters to suit your
+	 * taste but the defaults should generally work fine. Sticks can use other
+	 * deadzone modes, see {{#crossLink "Gamepad/setStickDeadzone"}}{{/crossLink}}.
+	 *
+	 * The time of each update is taken from the clock member, a function
+	 * returning milliseconds that defaults to Gamepad.Environment.now. Replace
+	 * it where updates do not follow the wall clock, for example with the time
+	 * of the frame when stepping frames with a ManualUpdateStrategy.
+	 *
+	 * @class Gamepad
+	 * @constructor
+	 * @param {Object} [updateStrategy] an update strategy, defaulting to
+	 *		{{#crossLink "AnimFrameUpdateStrategy"}}{{/crossLink}} or to
+	 *		{{#crossLink "IntervalUpdateStrategy"}}{{/crossLink}} where animation
+	 *		frames are not available (e.g. node.js)
+	 * @param {Array} [platformFactories] platform factories to use instead of
+	 *		{{#crossLink "Gamepad/PlatformFactories:property"}}{{/crossLink}}
+	 * @module Gamepad
+	 * @author Priit Kallas <kallaspriit@gmail.com>
+	 */
+	var Gamepad = function(updateStrategy, platformFactories) {
+		this.updateStrategy = updateStrategy || (environment.getRequestAnimationFrame() ?
+			new AnimFrameUpdateStrategy() : new IntervalUpdateStrategy());
+		this.platformFactories = platformFactories || null;
+		this.gamepads = [];
+		this.listeners = {};
+		this.platform = nullPlatform;
+		this.paused = false;
+		this.deadzone = 0.03;
+		this.maximizeThreshold = 0.97;
+		this.stickDeadzones = {};
+		this.curves = {};
+		this.calibrations = {};
+		this.flatMappings = {
+			entries: [],
+			results: []
+		};
+		this.calibrationStorage = Gamepad.CalibrationStorage;
+		this.driftDetection = null;
+		this.filters = {};
+		this.recorders = [];
+		this.clock = function() {
+			return environment.now();
+		};
+		this.updateTime = 0;
+	};
+
 	/**
 	 * This platform is for webkit based environments that need to be polled
 	 * for updates.
@@ -145,7 +585,7 @@
 	 */
 	WebKitPlatform.factory = function(listener) {
 		var platform = nullPlatform;
-		var navigator = window && window.navigator;
+		var navigator = environment.getNavigator();
 
 		if (navigator) {
 			if (typeof(navigator.getGamepads) !== 'undefined') {
@@ -218,6 +658,17 @@
 		}
 	};
 
+	/**
+	 * Forgets all known gamepads. The platform reports nothing afterwards.
+	 * @method destroy
+	 */
+	WebKitPlatform.prototype.destroy = function() {
+		this.knownGamepads = [];
+		this.gamepadGetter = function() {
+			return [];
+		};
+	};
+
 	/**
 	 * This platform is for mozilla based environments that provide gamepad
 	 * updates via events.
@@ -228,13 +679,17 @@
 	 */
 	var FirefoxPlatform = function(listener) {
 		this.listener = listener;
+		this.window = environment.getWindow();
 
-		window.addEventListener('gamepadconnected', function(e) {
+		this.connectHandler = function(e) {
 			listener._connect(e.gamepad);
-		});
-		window.addEventListener('gamepaddisconnected', function(e) {
+		};
+		this.disconnectHandler = function(e) {
 			listener._disconnect(e.gamepad);
-		});
+		};
+
+		this.window.addEventListener('gamepadconnected', this.connectHandler);
+		this.window.addEventListener('gamepaddisconnected', this.disconnectHandler);
 	};
 
 	/**
@@ -246,8 +701,9 @@
 	 */
 	FirefoxPlatform.factory = function(listener) {
 		var platform = nullPlatform;
+		var win = environment.getWindow();
 
-		if (window && (typeof(window.addEventListener) !== 'undefined')) {
+		if (win && (typeof(win.addEventListener) !== 'undefined')) {
 			platform = new FirefoxPlatform(listener);
 		}
 
@@ -276,8 +732,10 @@
 	 * @return {Boolean} true
 	 */
 	FirefoxPlatform.prototype.isSupported = function() {
-		var navigator = window && window.navigator;
-		return navigator.userAgent.indexOf('Firefox') !== -1;
+		var navigator = environment.getNavigator();
+
+		return !!navigator && (typeof(navigator.userAgent) === 'string') &&
+			(navigator.userAgent.indexOf('Firefox') !== -1);
 	};
 
 	/**
@@ -287,210 +745,2708 @@
 	FirefoxPlatform.prototype.update = nullFunction;
 
 	/**
-	 * Provides simple interface and multi-platform support for the gamepad API.
+	 * Removes the window event listeners added by the constructor.
+	 * @method destroy
+	 */
+	FirefoxPlatform.prototype.destroy = function() {
+		if (typeof(this.window.removeEventListener) !== 'undefined') {
+			this.window.removeEventListener('gamepadconnected', this.connectHandler);
+			this.window.removeEventListener('gamepaddisconnected', this.disconnectHandler);
+		}
+	};
+
+	/**
+	 * This platform is for node.js on Linux, reading the joystick devices
+	 * (/dev/input/js*) of the Linux joystick API. Each device is read from a
+	 * stream of 8-byte event records and exposed as a gamepad object with
+	 * buttons and axes arrays, like the browsers do.
 	 *
-	 * You can change the deadzone and maximizeThreshold parameters to suit your
-	 * taste but the defaults should generally work fine.
+	 * The initial state events the driver sends when a device is opened
+	 * determine its number of buttons and axes, and mappings may depend on
+	 * them. They may arrive in several chunks, so a device is reported as
+	 * connected once they are complete: on the first update after they
+	 * arrived, or with the first event that is not part of them.
 	 *
-	 * @class Gamepad
+	 * @class LinuxJoystickPlatform
 	 * @constructor
-	 * @param {Object} [updateStrategy] an update strategy, defaulting to
-	 *		{{#crossLink "AnimFrameUpdateStrategy"}}{{/crossLink}}
+	 * @param {Object} listener the listener to provide _connect and _disconnect callbacks
 	 * @module Gamepad
-	 * @author Priit Kallas <kallaspriit@gmail.com>
 	 */
-	var Gamepad = function(updateStrategy) {
-		this.updateStrategy = updateStrategy || new AnimFrameUpdateStrategy();
-		this.gamepads = [];
-		this.listeners = {};
-		this.platform = nullPlatform;
-		this.deadzone = 0.03;
-		this.maximizeThreshold = 0.97;
+	var LinuxJoystickPlatform = function(listener) {
+		this.listener = listener;
+		this.devices = [];
+		this.watcher = null;
 	};
 
 	/**
-	 * The available update strategies
-	 * @property UpdateStrategies
-	 * @param {AnimFrameUpdateStrategy} AnimFrameUpdateStrategy
-	 * @param {ManualUpdateStrategy} ManualUpdateStrategy
+	 * The event types of the joystick API. INIT is combined with the others
+	 * for the synthetic events describing the initial state.
+	 *
+	 * @property EventType
+	 * @static
 	 */
-	Gamepad.UpdateStrategies = {
-		AnimFrameUpdateStrategy: AnimFrameUpdateStrategy,
-		ManualUpdateStrategy: ManualUpdateStrategy
+	LinuxJoystickPlatform.EventType = {
+		BUTTON: 0x01,
+		AXIS: 0x02,
+		INIT: 0x80
 	};
 
 	/**
-	 * List of factories of supported platforms. Currently available platforms:
-	 * {{#crossLink "WebKitPlatform"}}{{/crossLink}},
-	 * {{#crossLink "FirefoxPlatform"}}{{/crossLink}},
-	 * @property PlatformFactories
-	 * @type {Array}
+	 * The directory holding the joystick devices
+	 *
+	 * @property DEVICE_DIRECTORY
+	 * @static
 	 */
-	Gamepad.PlatformFactories = [FirefoxPlatform.factory, WebKitPlatform.factory];
+	LinuxJoystickPlatform.DEVICE_DIRECTORY = '/dev/input';
 
 	/**
-	 * List of supported controller types.
+	 * Provides a platform object that returns true for isSupported() if valid.
+	 * When running under node.js on Linux (without a browser window) and the
+	 * device directory exists, all present joystick devices are opened and the
+	 * directory is watched for new ones.
 	 *
-	 * @property Type
-	 * @param {String} Type.N64 Retrolink N64 controller
-	 * @param {String} Type.PLAYSTATION Playstation controller
-	 * @param {String} Type.LOGITECH Logitech controller
-	 * @param {String} Type.XBOX XBOX controller
-	 * @param {String} Type.UNKNOWN Unknown controller
-	 */
-	Gamepad.Type = {
-		N64: 'n64',
-		PLAYSTATION: 'playstation',
-		LOGITECH: 'logitech',
-		XBOX: 'xbox',
-		UNKNOWN: 'unknown'
+	 * @method factory
+	 * @static
+	 * @param {Object} listener the listener to use
+	 * @return {Object} a platform object
+	 */
+	LinuxJoystickPlatform.factory = function(listener) {
+		var platform = nullPlatform;
+		var fs = environment.requireModule('fs');
+		var process = environment.requireModule('process');
+
+		if (fs && process && (process.platform === 'linux') && !environment.getWindow() &&
+			fs.existsSync(LinuxJoystickPlatform.DEVICE_DIRECTORY)) {
+			platform = new LinuxJoystickPlatform(listener);
+			platform.openDevices(fs);
+		}
+
+		return platform;
 	};
 
-	/*
-	 * List of events you can expect from the library.
+	/**
+	 * Parses joystick API event records. Each record is 8 bytes:
+	 * a 32 bit timestamp in milliseconds, a signed 16 bit value, an 8 bit type
+	 * and an 8 bit button or axis number, all little endian.
 	 *
-	 * CONNECTED, DISCONNECTED and UNSUPPORTED events include the gamepad in
-	 * question and tick provides the list of all connected gamepads.
+	 * @method parseEvents
+	 * @static
+	 * @param {Array} bytes the bytes to parse (an Array, Buffer or Uint8Array)
+	 * @return {Object} the parsed events as "events" and the unparsed trailing
+	 *		bytes of an incomplete record as "rest"
+	 */
+	LinuxJoystickPlatform.parseEvents = function(bytes) {
+		var events = [];
+		var rest = [];
+		var value;
+		var type;
+		var offset;
+		var i;
+
+		for (offset = 0; offset + 8 <= bytes.length; offset += 8) {
+			value = bytes[offset + 4] + bytes[offset + 5] * 0x100;
+			type = bytes[offset + 6];
+
+			events.push({
+				time: bytes[offset] + bytes[offset + 1] * 0x100 + bytes[offset + 2] * 0x10000 +
+					bytes[offset + 3] * 0x1000000,
+				value: (value >= 0x8000) ? value - 0x10000 : value,
+				type: type % LinuxJoystickPlatform.EventType.INIT,
+				init: type >= LinuxJoystickPlatform.EventType.INIT,
+				number: bytes[offset + 7]
+			});
+		}
+
+		for (i = offset; i < bytes.length; i++) {
+			rest.push(bytes[i]);
+		}
+
+		return {
+			events: events,
+			rest: rest
+		};
+	};
+
+	/**
+	 * @method getType()
+	 * @static
+	 * @return {String} 'LinuxJoystick'
+	 */
+	LinuxJoystickPlatform.getType = function() {
+		return 'LinuxJoystick';
+	};
+
+	/**
+	 * @method getType()
+	 * @return {String} 'LinuxJoystick'
+	 */
+	LinuxJoystickPlatform.prototype.getType = function() {
+		return LinuxJoystickPlatform.getType();
+	};
+
+	/**
+	 * @method isSupported
+	 * @return {Boolean} true
+	 */
+	LinuxJoystickPlatform.prototype.isSupported = function() {
+		return true;
+	};
+
+	/**
+	 * Connects the devices whose initial state has arrived. The devices report
+	 * their events via streams.
+	 * @method update
+	 */
+	LinuxJoystickPlatform.prototype.update = function() {
+		var that = this;
+
+		this.devices.forEach(function(device) {
+			if (device.initialized) {
+				that._connectDevice(device);
+			}
+		});
+	};
+
+	/**
+	 * Opens all joystick devices present in the device directory and watches
+	 * it for devices added later.
 	 *
-	 * BUTTON_DOWN and BUTTON_UP events provide an alternative to polling button states at each tick.
+	 * @method openDevices
+	 * @param {Object} fs the node.js file system module
+	 */
+	LinuxJoystickPlatform.prototype.openDevices = function(fs) {
+		var that = this;
+		var directory = LinuxJoystickPlatform.DEVICE_DIRECTORY;
+		var open = function(name) {
+			var path = directory + '/' + name;
+
+			if (!/^js\d+$/.test(name) || that.getDevice(path)) {
+				return;
+			}
+
+			try {
+				fs.accessSync(path, fs.constants.R_OK);
+			} catch (e) {
+				return;
+			}
+
+			that.addDevice(fs.createReadStream(path), LinuxJoystickPlatform.readDeviceId(fs, name), path);
+		};
+
+		try {
+			fs.readdirSync(directory).forEach(open);
+			this.watcher = fs.watch(directory, function(eventType, name) {
+				if (name) {
+					open(String(name));
+				}
+			});
+		} catch (e) {
+			// no joystick devices available
+		}
+	};
+
+	/**
+	 * Reads a gamepad id for the given device from sysfs. The id contains the
+	 * device name, vendor and product in the form Chrome uses.
 	 *
-	 * AXIS_CHANGED is called if a value of some specific axis changes.
+	 * @method readDeviceId
+	 * @static
+	 * @param {Object} fs the node.js file system module
+	 * @param {String} name the device name, e.g. 'js0'
+	 * @return {String} the gamepad id
 	 */
-	Gamepad.Event = {
-		/**
-		 * Triggered when a new controller connects.
-		 *
-		 * @event connected
-		 * @param {Object} device
-		 */
-		CONNECTED: 'connected',
+	LinuxJoystickPlatform.readDeviceId = function(fs, name) {
+		var base = '/sys/class/input/' + name + '/device/';
+		var read = function(file) {
+			try {
+				return String(fs.readFileSync(base + file)).replace(/^\s+|\s+$/g, '');
+			} catch (e) {
+				return '';
+			}
+		};
+		var id = read('name') || ('Linux joystick ' + name);
+		var vendor = read('id/vendor');
+		var product = read('id/product');
 
-		/**
-		 * Called when an unsupported controller connects.
-		 *
-		 * @event unsupported
-		 * @param {Object} device
-		 * @deprecated not used anymore. Any controller is supported.
-		 */
-		UNSUPPORTED: 'unsupported',
+		if (vendor && product) {
+			id += ' (Vendor: ' + vendor + ' Product: ' + product + ')';
+		}
 
-		/**
-		 * Triggered when a controller disconnects.
-		 *
-		 * @event disconnected
-		 * @param {Object} device
-		 */
-		DISCONNECTED: 'disconnected',
+		return id;
+	};
 
-		/**
-		 * Called regularly with the latest controllers info.
-		 *
-		 * @event tick
-		 * @param {Array} gamepads
-		 */
-		TICK: 'tick',
+	/**
+	 * Starts reading gamepad events from the given stream.
+	 *
+	 * @method addDevice
+	 * @param {Object} stream a readable stream of joystick event records
+	 * @param {String} id the id of the gamepad
+	 * @param {String} [path] the path of the device, if opened from a file
+	 * @return {Object} the gamepad object that is going to represent the device
+	 */
+	LinuxJoystickPlatform.prototype.addDevice = function(stream, id, path) {
+		var that = this;
+		var device = {
+			stream: stream,
+			path: path || null,
+			rest: [],
+			initialized: false,
+			connected: false,
+			gamepad: createGamepadObject(id, 0, 0)
+		};
+		var remove = function() {
+			that.removeDevice(stream);
+		};
 
-		/**
-		 * Called when a gamepad button is pressed down.
-		 *
-		 * @event button-down
-		 * @param {Object} event
-		 * @param {Object} event.gamepad The gamepad object
-		 * @param {String} event.control Control name
-		 */
-		BUTTON_DOWN: 'button-down',
+		device.dataHandler = function(chunk) {
+			that._read(device, chunk);
+		};
 
-		/**
-		 * Called when a gamepad button is released.
-		 *
-		 * @event button-up
-		 * @param {Object} event
-		 * @param {Object} event.gamepad The gamepad object
-		 * @param {String} event.control Control name
-		 */
-		BUTTON_UP: 'button-up',
+		stream.on('data', device.dataHandler);
+		stream.on('end', remove);
+		stream.on('close', remove);
+		stream.on('error', remove);
 
-		/**
-		 * Called when gamepad axis value changed.
-		 *
-		 * @event axis-changed
-		 * @param {Object} event
-		 * @param {Object} event.gamepad The gamepad object
-		 * @param {String} event.axis Axis name
-		 * @param {Number} event.value New axis value
-		 */
-		AXIS_CHANGED: 'axis-changed'
+		this.devices.push(device);
+
+		return device.gamepad;
 	};
 
 	/**
-	 * List of standard button names. The index is the according standard button
-	 * index as per standard.
+	 * Stops reading from the given stream and reports its gamepad as
+	 * disconnected.
 	 *
-	 * @property StandardButtons
+	 * @method removeDevice
+	 * @param {Object} stream the stream given to addDevice()
 	 */
-	Gamepad.StandardButtons = [
-		'FACE_1', 'FACE_2', 'FACE_3', 'FACE_4',
-		'LEFT_TOP_SHOULDER', 'RIGHT_TOP_SHOULDER', 'LEFT_BOTTOM_SHOULDER', 'RIGHT_BOTTOM_SHOULDER',
-		'SELECT_BACK', 'START_FORWARD', 'LEFT_STICK', 'RIGHT_STICK',
-		'DPAD_UP', 'DPAD_DOWN', 'DPAD_LEFT', 'DPAD_RIGHT',
-		'HOME'
-	];
+	LinuxJoystickPlatform.prototype.removeDevice = function(stream) {
+		var device = this.getDevice(stream);
+
+		if (!device) {
+			return;
+		}
+
+		this.devices.splice(this.devices.indexOf(device), 1);
+
+		if (typeof(stream.removeListener) === 'function') {
+			stream.removeListener('data', device.dataHandler);
+		}
+		if (typeof(stream.destroy) === 'function') {
+			stream.destroy();
+		}
+
+		if (device.connected) {
+			device.gamepad.connected = false;
+			this.listener._disconnect(device.gamepad);
+		}
+	};
 
 	/**
-	 * List of standard axis names. The index is the according standard axis
-	 * index as per standard.
+	 * @method getDevice
+	 * @param {Object} streamOrPath the stream or the path of the device
+	 * @return {Object} the device record or null if not known
+	 */
+	LinuxJoystickPlatform.prototype.getDevice = function(streamOrPath) {
+		var i;
+
+		for (i = 0; i < this.devices.length; i++) {
+			if ((this.devices[i].stream === streamOrPath) || (this.devices[i].path === streamOrPath)) {
+				return this.devices[i];
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * Closes all devices and stops watching for new ones.
+	 * @method destroy
+	 */
+	LinuxJoystickPlatform.prototype.destroy = function() {
+		while (this.devices.length > 0) {
+			this.removeDevice(this.devices[0].stream);
+		}
+
+		if (this.watcher) {
+			this.watcher.close();
+			this.watcher = null;
+		}
+	};
+
+	/**
+	 * Applies a chunk of event records to the device's gamepad. Connects it on
+	 * the first event that does not describe the initial state.
 	 *
-	 * @property StandardAxes
+	 * @method _read
+	 * @private
+	 * @param {Object} device the device record
+	 * @param {Array} chunk the bytes read from the stream
 	 */
-	Gamepad.StandardAxes = ['LEFT_STICK_X', 'LEFT_STICK_Y', 'RIGHT_STICK_X', 'RIGHT_STICK_Y'];
+	LinuxJoystickPlatform.prototype._read = function(device, chunk) {
+		var gamepad = device.gamepad;
+		var bytes = chunk;
+		var parsed;
+		var live = false;
+
+		if (device.rest.length > 0) {
+			bytes = device.rest.concat(Array.prototype.slice.call(chunk, 0));
+		}
 
-	var getControlName = function(names, index, extraPrefix) {
-		return (index < names.length) ? names[index] : extraPrefix + (index - names.length + 1);
+		parsed = LinuxJoystickPlatform.parseEvents(bytes);
+		device.rest = parsed.rest;
+
+		parsed.events.forEach(function(event) {
+			var controls;
+			var value;
+
+			if (event.type === LinuxJoystickPlatform.EventType.BUTTON) {
+				controls = gamepad.buttons;
+				value = event.value ? 1 : 0;
+			} else if (event.type === LinuxJoystickPlatform.EventType.AXIS) {
+				controls = gamepad.axes;
+				value = Math.max(-1, Math.min(1, event.value / 32767));
+			} else {
+				return;
+			}
+
+			while (controls.length < event.number) {
+				controls.push(0);
+			}
+			controls[event.number] = value;
+			gamepad.timestamp = event.time;
+			live = live || !event.init;
+		});
+
+		device.initialized = device.initialized || (parsed.events.length > 0);
+		if (live) {
+			this._connectDevice(device);
+		}
 	};
 
 	/**
-	 * The standard mapping that represents the mapping as per definition.
-	 * Each button and axis map to the same index.
+	 * Reports the gamepad of a device as connected, unless it is already.
 	 *
-	 * @property StandardMapping
+	 * @method _connectDevice
+	 * @private
+	 * @param {Object} device the device record
 	 */
-	Gamepad.StandardMapping = {
-		env: {},
-		buttons: {
-			byButton: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]
-		},
-		axes: {
-			byAxis: [0, 1, 2, 3]
+	LinuxJoystickPlatform.prototype._connectDevice = function(device) {
+		var taken;
+
+		if (device.connected) {
+			return;
 		}
+
+		taken = this.devices.map(function(other) {
+			return other.gamepad.index;
+		});
+
+		device.gamepad.index = findFreeIndex(this.listener, taken);
+		device.connected = true;
+		this.listener._connect(device.gamepad);
 	};
 
 	/**
-	 * Mapping of various gamepads that differ from the standard mapping on
-	 * different platforms too unify their buttons and axes.
+	 * Tells whether an event target takes text input, such as form fields and
+	 * editable content.
+	 */
+	var isEditable = function(element) {
+		var tagName = (element && element.tagName) ? element.tagName.toLowerCase() : '';
+
+		return Boolean(element && element.isContentEditable) ||
+			(['input', 'textarea', 'select'].indexOf(tagName) >= 0);
+	};
+
+	/**
+	 * This platform provides a virtual gamepad controlled by the keyboard.
+	 * Keys are bound to standard buttons and to directions of standard axes.
+	 * When keys for both axes of a stick are held, the stick vector is
+	 * normalized so diagonals have the same length as straight directions.
+	 * Keys pressed in form fields and editable content are left to the page.
 	 *
-	 * Each mapping should have an 'env' object, which describes the environment
-	 * in which the mapping is active. The more entries such an environment has,
-	 * the more specific it is.
+	 * The virtual gamepad uses the standard mapping and connects on the first
+	 * update. Use {{#crossLink "CompositePlatform"}}{{/crossLink}} to use it
+	 * alongside real gamepads.
 	 *
-	 * Mappings are expressed for both buttons and axes. Buttons might refer to
-	 * axes if they are notified as such.
+	 * @class KeyboardPlatform
+	 * @constructor
+	 * @param {Object} listener the listener to provide _connect and _disconnect callbacks
+	 * @param {Object} [options] the options
+	 * @param {Object} [options.target] the event target to listen on, defaults to window
+	 * @param {Object} [options.bindings] the key bindings, defaults to
+	 *		{{#crossLink "KeyboardPlatform/DefaultBindings:property"}}{{/crossLink}};
+	 *		"buttons" or "axes" may be left out
+	 * @param {String} [options.id] the id of the virtual gamepad
+	 * @param {Number} [options.index] the index of the virtual gamepad, defaults to the first free one
+	 * @param {Boolean} [options.preventDefault] whether to prevent the default action of the key
+	 *		events the virtual gamepad uses, defaults to true
+	 * @module Gamepad
+	 */
+	var KeyboardPlatform = function(listener, options) {
+		var that = this;
+		var bindings;
+
+		options = options || {};
+		bindings = options.bindings || KeyboardPlatform.DefaultBindings;
+
+		this.listener = listener;
+		this.target = options.target || environment.getWindow();
+		this.bindings = {
+			buttons: bindings.buttons || {},
+			axes: bindings.axes || {}
+		};
+		this.index = (typeof(options.index) === 'number') ? options.index : -1;
+		this.preventDefault = options.preventDefault !== false;
+		this.pressedKeys = {};
+		this.connected = false;
+		this.gamepad = createGamepadObject(options.id || 'Keyboard', Gamepad.StandardButtons.length,
+			Gamepad.StandardAxes.length, 'standard');
+
+		this.keyDownHandler = function(e) {
+			that._onKey(e, true);
+		};
+		this.keyUpHandler = function(e) {
+			that._onKey(e, false);
+		};
+		this.blurHandler = function() {
+			that.pressedKeys = {};
+			that._applyKeys();
+		};
+
+		if (this.target) {
+			this.target.addEventListener('keydown', this.keyDownHandler);
+			this.target.addEventListener('keyup', this.keyUpHandler);
+			this.target.addEventListener('blur', this.blurHandler);
+		}
+	};
+
+	/**
+	 * The default key bindings. The keys are KeyboardEvent.code values.
+	 * Buttons map a key to a standard button name, axes map a key to a standard
+	 * axis name and the direction the key moves it to.
 	 *
-	 * @property Mappings
+	 * @property DefaultBindings
+	 * @static
 	 */
-	Gamepad.Mappings = [
-		// Retrolink N64 controller on Firefox
-		{
-			env: {
-				platform: FirefoxPlatform.getType(),
-				type: Gamepad.Type.N64
-			},
-			buttons: {
-				byButton: [
-					// TODO: Figure out which buttons to map A and Z buttons to.
-					2, // FACE_1 -- C-down button
-					1, // FACE_2 -- C-right button
-					3, // FACE_3 -- C-left button
-					0, // FACE_4 -- C-down button
+	KeyboardPlatform.DefaultBindings = {
+		buttons: {
+			Space: 'FACE_1',
+			KeyE: 'FACE_2',
+			KeyQ: 'FACE_3',
+			KeyF: 'FACE_4',
+			KeyZ: 'LEFT_TOP_SHOULDER',
+			KeyC: 'RIGHT_TOP_SHOULDER',
+			ShiftLeft: 'LEFT_BOTTOM_SHOULDER',
+			ControlLeft: 'RIGHT_BOTTOM_SHOULDER',
+			Escape: 'SELECT_BACK',
+			Enter: 'START_FORWARD',
+			ArrowUp: 'DPAD_UP',
+			ArrowDown: 'DPAD_DOWN',
+			ArrowLeft: 'DPAD_LEFT',
+			ArrowRight: 'DPAD_RIGHT'
+		},
+		axes: {
+			KeyW: ['LEFT_STICK_Y', -1],
+			KeyS: ['LEFT_STICK_Y', 1],
+			KeyA: ['LEFT_STICK_X', -1],
+			KeyD: ['LEFT_STICK_X', 1],
+			KeyI: ['RIGHT_STICK_Y', -1],
+			KeyK: ['RIGHT_STICK_Y', 1],
+			KeyJ: ['RIGHT_STICK_X', -1],
+			KeyL: ['RIGHT_STICK_X', 1]
+		}
+	};
+
+	/**
+	 * Provides a platform object that returns true for isSupported() if valid.
+	 * @method factory
+	 * @static
+	 * @param {Object} listener the listener to use
+	 * @return {Object} a platform object
+	 */
+	KeyboardPlatform.factory = function(listener) {
+		return KeyboardPlatform.createFactory()(listener);
+	};
+
+	/**
+	 * Creates a factory for keyboard platforms with the given options.
+	 * @method createFactory
+	 * @static
+	 * @param {Object} [options] the options, see the constructor
+	 * @return {Function} a platform factory
+	 */
+	KeyboardPlatform.createFactory = function(options) {
+		return function(listener) {
+			var platform = nullPlatform;
+			var target = (options && options.target) || environment.getWindow();
+
+			if (target && (typeof(target.addEventListener) !== 'undefined')) {
+				platform = new KeyboardPlatform(listener, options);
+			}
+
+			return platform;
+		};
+	};
+
+	/**
+	 * @method getType()
+	 * @static
+	 * @return {String} 'Keyboard'
+	 */
+	KeyboardPlatform.getType = function() {
+		return 'Keyboard';
+	};
+
+	/**
+	 * @method getType()
+	 * @return {String} 'Keyboard'
+	 */
+	KeyboardPlatform.prototype.getType = function() {
+		return KeyboardPlatform.getType();
+	};
+
+	/**
+	 * @method isSupported
+	 * @return {Boolean} true if there is an event target to listen on
+	 */
+	KeyboardPlatform.prototype.isSupported = function() {
+		return !!this.target;
+	};
+
+	/**
+	 * Connects the virtual gamepad on the first call.
+	 * @method update
+	 */
+	KeyboardPlatform.prototype.update = function() {
+		if (this.connected) {
+			return;
+		}
+
+		this.gamepad.index = (this.index !== -1) ? this.index : findFreeIndex(this.listener, []);
+		this.connected = true;
+		this.listener._connect(this.gamepad);
+	};
+
+	/**
+	 * Removes the keyboard listeners and disconnects the virtual gamepad.
+	 * @method destroy
+	 */
+	KeyboardPlatform.prototype.destroy = function() {
+		if (this.target && (typeof(this.target.removeEventListener) !== 'undefined')) {
+			this.target.removeEventListener('keydown', this.keyDownHandler);
+			this.target.removeEventListener('keyup', this.keyUpHandler);
+			this.target.removeEventListener('blur', this.blurHandler);
+		}
+
+		if (this.connected) {
+			this.connected = false;
+			this.gamepad.connected = false;
+			this.listener._disconnect(this.gamepad);
+		}
+	};
+
+	/**
+	 * Handles a key event of a bound key. Keys pressed in editable targets are
+	 * ignored, their release only if they were not held before.
+	 *
+	 * @method _onKey
+	 * @private
+	 * @param {Object} e the keyboard event
+	 * @param {Boolean} isDown whether the key was pressed or released
+	 */
+	KeyboardPlatform.prototype._onKey = function(e, isDown) {
+		var key = e.code || e.key;
+
+		if (!this.bindings.buttons.hasOwnProperty(key) && !this.bindings.axes.hasOwnProperty(key)) {
+			return;
+		}
+		if (isEditable(e.target) && (isDown || !this.pressedKeys.hasOwnProperty(key))) {
+			return;
+		}
+
+		if (this.preventDefault && (typeof(e.preventDefault) === 'function')) {
+			e.preventDefault();
+		}
+
+		if (isDown) {
+			this.pressedKeys[key] = true;
+		} else {
+			delete this.pressedKeys[key];
+		}
+
+		this._applyKeys();
+	};
+
+	/**
+	 * Sets the buttons and axes of the virtual gamepad from the pressed keys.
+	 *
+	 * @method _applyKeys
+	 * @private
+	 */
+	KeyboardPlatform.prototype._applyKeys = function() {
+		var gamepad = this.gamepad;
+		var bindings = this.bindings;
+		var axes = Gamepad.StandardAxes;
+		var key;
+		var index;
+		var yIndex;
+		var length;
+
+		gamepad.buttons = gamepad.buttons.map(function() {
+			return 0;
+		});
+		gamepad.axes = gamepad.axes.map(function() {
+			return 0;
+		});
+
+		for (key in this.pressedKeys) {
+			if (bindings.buttons.hasOwnProperty(key)) {
+				index = Gamepad.StandardButtons.indexOf(bindings.buttons[key]);
+				if (index !== -1) {
+					gamepad.buttons[index] = 1;
+				}
+			}
+			if (bindings.axes.hasOwnProperty(key)) {
+				index = axes.indexOf(bindings.axes[key][0]);
+				if (index !== -1) {
+					gamepad.axes[index] = Math.max(-1, Math.min(1, gamepad.axes[index] + bindings.axes[key][1]));
+				}
+			}
+		}
+
+		// Normalize diagonals of each stick's X and Y pair
+		for (index = 0; index < axes.length; index++) {
+			yIndex = /_X$/.test(axes[index]) ? axes.indexOf(axes[index].replace(/_X$/, '_Y')) : -1;
+			if (yIndex === -1) {
+				continue;
+			}
+
+			length = Math.sqrt(Math.pow(gamepad.axes[index], 2) + Math.pow(gamepad.axes[yIndex], 2));
+			if (length > 1) {
+				gamepad.axes[index] /= length;
+				gamepad.axes[yIndex] /= length;
+			}
+		}
+
+		gamepad.timestamp = environment.now();
+	};
+
+	/**
+	 * This platform provides a virtual gamepad drawn as an overlay over the
+	 * page and controlled by touch. The overlay consists of analog sticks, a
+	 * d-pad and buttons, placed according to a configurable layout.
+	 *
+	 * Positions in the layout are fractions of the container's width and
+	 * height, sizes are fractions of the smaller of the two.
+	 *
+	 * The virtual gamepad uses the standard mapping and connects on the first
+	 * update. Use {{#crossLink "CompositePlatform"}}{{/crossLink}} to use it
+	 * alongside real gamepads.
+	 *
+	 * @class TouchPlatform
+	 * @constructor
+	 * @param {Object} listener the listener to provide _connect and _disconnect callbacks
+	 * @param {Object} [options] the options
+	 * @param {Object} [options.container] the element to place the overlay in, defaults to document.body
+	 * @param {Array} [options.layout] the controls to show, defaults to
+	 *		{{#crossLink "TouchPlatform/DefaultLayout:property"}}{{/crossLink}}
+	 * @param {String} [options.id] the id of the virtual gamepad
+	 * @param {Number} [options.index] the index of the virtual gamepad, defaults to the first free one
+	 * @module Gamepad
+	 */
+	var TouchPlatform = function(listener, options) {
+		var that = this;
+		var win = environment.getWindow();
+		var doc = win && win.document;
+
+		options = options || {};
+
+		this.listener = listener;
+		this.document = doc;
+		this.container = options.container || (doc && doc.body) || null;
+		this.layout = options.layout || TouchPlatform.DefaultLayout;
+		this.index = (typeof(options.index) === 'number') ? options.index : -1;
+		this.connected = false;
+		this.touches = {};
+		this.controls = [];
+		this.overlay = null;
+		this.gamepad = createGamepadObject(options.id || 'Touch', Gamepad.StandardButtons.length,
+			Gamepad.StandardAxes.length, 'standard');
+
+		this.touchHandler = function(e) {
+			that._onTouch(e);
+		};
+		this.resizeHandler = function() {
+			that._layout();
+		};
+
+		if (this.container && doc) {
+			this._createOverlay();
+
+			if (win && (typeof(win.addEventListener) !== 'undefined')) {
+				win.addEventListener('resize', this.resizeHandler);
+			}
+		}
+	};
+
+	/**
+	 * The default layout: a left stick, a d-pad, four face buttons, a right
+	 * stick and a start button.
+	 *
+	 * Controls of type 'stick' drive the axes of the given stick, 'dpad' drives
+	 * the DPAD_* buttons and 'button' drives the given button.
+	 *
+	 * @property DefaultLayout
+	 * @static
+	 */
+	TouchPlatform.DefaultLayout = [{
+		type: 'stick',
+		stick: 'LEFT_STICK',
+		x: 0.15,
+		y: 0.6,
+		radius: 0.14
+	}, {
+		type: 'dpad',
+		x: 0.15,
+		y: 0.87,
+		radius: 0.1
+	}, {
+		type: 'button',
+		button: 'FACE_1',
+		label: 'A',
+		x: 0.85,
+		y: 0.72,
+		radius: 0.06
+	}, {
+		type: 'button',
+		button: 'FACE_2',
+		label: 'B',
+		x: 0.93,
+		y: 0.6,
+		radius: 0.06
+	}, {
+		type: 'button',
+		button: 'FACE_3',
+		label: 'X',
+		x: 0.77,
+		y: 0.6,
+		radius: 0.06
+	}, {
+		type: 'button',
+		button: 'FACE_4',
+		label: 'Y',
+		x: 0.85,
+		y: 0.48,
+		radius: 0.06
+	}, {
+		type: 'stick',
+		stick: 'RIGHT_STICK',
+		x: 0.7,
+		y: 0.87,
+		radius: 0.1
+	}, {
+		type: 'button',
+		button: 'START_FORWARD',
+		label: 'START',
+		x: 0.5,
+		y: 0.9,
+		radius: 0.05
+	}];
+
+	/**
+	 * Provides a platform object that returns true for isSupported() if valid.
+	 * @method factory
+	 * @static
+	 * @param {Object} listener the listener to use
+	 * @return {Object} a platform object
+	 */
+	TouchPlatform.factory = function(listener) {
+		return TouchPlatform.createFactory()(listener);
+	};
+
+	/**
+	 * Creates a factory for touch platforms with the given options. The
+	 * platform is only created on devices with a touch screen.
+	 *
+	 * @method createFactory
+	 * @static
+	 * @param {Object} [options] the options, see the constructor
+	 * @return {Function} a platform factory
+	 */
+	TouchPlatform.createFactory = function(options) {
+		return function(listener) {
+			var win = environment.getWindow();
+			var navigator = environment.getNavigator();
+
+			if (!win || (!('ontouchstart' in win) && !(navigator && (navigator.maxTouchPoints > 0)))) {
+				return nullPlatform;
+			}
+
+			return new TouchPlatform(listener, options);
+		};
+	};
+
+	/**
+	 * @method getType()
+	 * @static
+	 * @return {String} 'Touch'
+	 */
+	TouchPlatform.getType = function() {
+		return 'Touch';
+	};
+
+	/**
+	 * @method getType()
+	 * @return {String} 'Touch'
+	 */
+	TouchPlatform.prototype.getType = function() {
+		return TouchPlatform.getType();
+	};
+
+	/**
+	 * @method isSupported
+	 * @return {Boolean} true if the overlay could be created
+	 */
+	TouchPlatform.prototype.isSupported = function() {
+		return !!this.overlay;
+	};
+
+	/**
+	 * Connects the virtual gamepad on the first call.
+	 * @method update
+	 */
+	TouchPlatform.prototype.update = function() {
+		if (this.connected || !this.overlay) {
+			return;
+		}
+
+		this.gamepad.index = (this.index !== -1) ? this.index : findFreeIndex(this.listener, []);
+		this.connected = true;
+		this.listener._connect(this.gamepad);
+	};
+
+	/**
+	 * Removes the overlay and disconnects the virtual gamepad.
+	 * @method destroy
+	 */
+	TouchPlatform.prototype.destroy = function() {
+		var win = environment.getWindow();
+
+		if (this.overlay) {
+			this.container.removeChild(this.overlay);
+			this.overlay = null;
+			this.controls = [];
+		}
+
+		if (win && (typeof(win.removeEventListener) !== 'undefined')) {
+			win.removeEventListener('resize', this.resizeHandler);
+		}
+
+		if (this.connected) {
+			this.connected = false;
+			this.gamepad.connected = false;
+			this.listener._disconnect(this.gamepad);
+		}
+	};
+
+	/**
+	 * Creates the overlay element and an element for each control.
+	 *
+	 * @method _createOverlay
+	 * @private
+	 */
+	TouchPlatform.prototype._createOverlay = function() {
+		var that = this;
+		var doc = this.document;
+		var overlay = doc.createElement('div');
+
+		overlay.className = 'gamepad-touch-overlay';
+		overlay.style.position = 'absolute';
+		overlay.style.left = '0';
+		overlay.style.top = '0';
+		overlay.style.width = '100%';
+		overlay.style.height = '100%';
+		overlay.style.pointerEvents = 'none';
+
+		this.layout.forEach(function(config) {
+			var element = doc.createElement('div');
+			var knob = null;
+
+			element.className = 'gamepad-touch-' + config.type;
+			element.style.position = 'absolute';
+			element.style.pointerEvents = 'auto';
+			element.style.touchAction = 'none';
+			element.style.borderRadius = (config.type === 'dpad') ? '20%' : '50%';
+			element.style.background = 'rgba(255, 255, 255, 0.25)';
+			element.textContent = config.label || '';
+
+			if (config.type === 'stick') {
+				knob = doc.createElement('div');
+				knob.className = 'gamepad-touch-knob';
+				knob.style.position = 'absolute';
+				knob.style.left = '25%';
+				knob.style.top = '25%';
+				knob.style.width = '50%';
+				knob.style.height = '50%';
+				knob.style.borderRadius = '50%';
+				knob.style.background = 'rgba(255, 255, 255, 0.5)';
+				element.appendChild(knob);
+			}
+
+			overlay.appendChild(element);
+			that.controls.push({
+				config: config,
+				element: element,
+				knob: knob
+			});
+		});
+
+		overlay.addEventListener('touchstart', this.touchHandler);
+		overlay.addEventListener('touchmove', this.touchHandler);
+		overlay.addEventListener('touchend', this.touchHandler);
+		overlay.addEventListener('touchcancel', this.touchHandler);
+
+		this.container.appendChild(overlay);
+		this.overlay = overlay;
+		this._layout();
+	};
+
+	/**
+	 * Returns the center and radius of a control in pixels relative to the
+	 * container.
+	 *
+	 * @method _getBounds
+	 * @private
+	 * @param {Object} config the control's layout entry
+	 * @param {Object} rect the container's bounding rectangle
+	 * @return {Object} the bounds as x, y and radius
+	 */
+	TouchPlatform.prototype._getBounds = function(config, rect) {
+		return {
+			x: config.x * rect.width,
+			y: config.y * rect.height,
+			radius: config.radius * Math.min(rect.width, rect.height)
+		};
+	};
+
+	/**
+	 * Positions the control elements according to the container's size.
+	 *
+	 * @method _layout
+	 * @private
+	 */
+	TouchPlatform.prototype._layout = function() {
+		var that = this;
+		var rect = this.container.getBoundingClientRect();
+
+		this.controls.forEach(function(control) {
+			var bounds = that._getBounds(control.config, rect);
+			var style = control.element.style;
+
+			style.left = (bounds.x - bounds.radius) + 'px';
+			style.top = (bounds.y - bounds.radius) + 'px';
+			style.width = (bounds.radius * 2) + 'px';
+			style.height = (bounds.radius * 2) + 'px';
+			style.lineHeight = style.height;
+		});
+	};
+
+	/**
+	 * Tracks the touches of a touch event and updates the virtual gamepad.
+	 * A touch controls the control it started on until it ends. Only the
+	 * default action of events with such touches is prevented, so the page
+	 * around the controls keeps scrolling and receiving taps.
+	 *
+	 * @method _onTouch
+	 * @private
+	 * @param {Object} e the touch event
+	 */
+	TouchPlatform.prototype._onTouch = function(e) {
+		var rect = this.container.getBoundingClientRect();
+		var touch;
+		var control;
+		var bounds;
+		var consumed = false;
+		var i;
+		var j;
+
+		for (i = 0; i < e.changedTouches.length; i++) {
+			touch = e.changedTouches[i];
+
+			if (e.type === 'touchstart') {
+				for (j = 0; j < this.controls.length; j++) {
+					bounds = this._getBounds(this.controls[j].config, rect);
+
+					if (Math.pow(touch.clientX - rect.left - bounds.x, 2) +
+						Math.pow(touch.clientY - rect.top - bounds.y, 2) <= Math.pow(bounds.radius, 2)) {
+						this.touches[touch.identifier] = {
+							control: this.controls[j],
+							x: 0,
+							y: 0
+						};
+						break;
+					}
+				}
+			} else if ((e.type === 'touchend') || (e.type === 'touchcancel')) {
+				consumed = consumed || this.touches.hasOwnProperty(touch.identifier);
+				delete this.touches[touch.identifier];
+				continue;
+			}
+
+			if (this.touches.hasOwnProperty(touch.identifier)) {
+				consumed = true;
+				control = this.touches[touch.identifier];
+				bounds = this._getBounds(control.control.config, rect);
+				control.x = (touch.clientX - rect.left - bounds.x) / bounds.radius;
+				control.y = (touch.clientY - rect.top - bounds.y) / bounds.radius;
+			}
+		}
+
+		if (consumed && (typeof(e.preventDefault) === 'function')) {
+			e.preventDefault();
+		}
+
+		this._applyTouches();
+	};
+
+	/**
+	 * Sets the buttons and axes of the virtual gamepad from the active touches
+	 * and moves the stick knobs.
+	 *
+	 * @method _applyTouches
+	 * @private
+	 */
+	TouchPlatform.prototype._applyTouches = function() {
+		var gamepad = this.gamepad;
+		var buttons = Gamepad.StandardButtons;
+		var axes = Gamepad.StandardAxes;
+		var activeControls = [];
+		var identifier;
+		var touch;
+		var config;
+		var length;
+		var x;
+		var y;
+
+		gamepad.buttons = gamepad.buttons.map(function() {
+			return 0;
+		});
+		gamepad.axes = gamepad.axes.map(function() {
+			return 0;
+		});
+
+		for (identifier in this.touches) {
+			touch = this.touches[identifier];
+			config = touch.control.config;
+			length = Math.sqrt(touch.x * touch.x + touch.y * touch.y);
+			x = (length > 1) ? touch.x / length : touch.x;
+			y = (length > 1) ? touch.y / length : touch.y;
+			activeControls.push(touch.control);
+
+			if (config.type === 'stick') {
+				gamepad.axes[axes.indexOf(config.stick + '_X')] = x;
+				gamepad.axes[axes.indexOf(config.stick + '_Y')] = y;
+
+				if (touch.control.knob) {
+					touch.control.knob.style.transform = 'translate(' + (x * 100) + '%, ' + (y * 100) + '%)';
+				}
+			} else if (config.type === 'dpad') {
+				// Directions within 67.5 degrees of an axis are pressed, allowing diagonals
+				if (length > 0.3) {
+					gamepad.buttons[buttons.indexOf('DPAD_UP')] = (y < -0.38 * length) ? 1 : 0;
+					gamepad.buttons[buttons.indexOf('DPAD_DOWN')] = (y > 0.38 * length) ? 1 : 0;
+					gamepad.buttons[buttons.indexOf('DPAD_LEFT')] = (x < -0.38 * length) ? 1 : 0;
+					gamepad.buttons[buttons.indexOf('DPAD_RIGHT')] = (x > 0.38 * length) ? 1 : 0;
+				}
+			} else if (config.type === 'button') {
+				gamepad.buttons[buttons.indexOf(config.button)] = 1;
+			}
+		}
+
+		this.controls.forEach(function(control) {
+			var isActive = activeControls.indexOf(control) !== -1;
+
+			control.element.style.opacity = isActive ? '1' : '0.6';
+
+			if (control.knob && !isActive) {
+				control.knob.style.transform = '';
+			}
+		});
+
+		gamepad.timestamp = environment.now();
+	};
+
+	/**
+	 * This platform exposes MIDI input devices, such as pad controllers, as
+	 * gamepads using the Web MIDI API. Note on/off messages press and release
+	 * buttons, control change messages move axes.
+	 *
+	 * The bindings decide which note or controller drives which button or axis:
+	 * the entry at a position of the "buttons" (or "axes") list drives the
+	 * button (or axis) with that index. An entry is either a note (or
+	 * controller) number on any channel, or an object with "channel" (1 to 16)
+	 * and "number".
+	 *
+	 * The gamepads are reported with platform type 'MIDI', so Gamepad.Mappings
+	 * entries can be filtered with the platform and the device name as id.
+	 *
+	 * Options:
+	 *
+	 * * bindings: the notes and controllers, defaults to MidiPlatform.DefaultBindings
+	 * * velocity: true to use the note velocity as button value instead of 1
+	 *
+	 * @class MidiPlatform
+	 * @constructor
+	 * @param {Object} listener the listener to provide _connect and _disconnect callbacks
+	 * @param {Object} [options] the options
+	 * @module Gamepad
+	 */
+	var MidiPlatform = function(listener, options) {
+		var that = this;
+		var navigator = environment.getNavigator();
+
+		options = options || {};
+
+		this.listener = listener;
+		this.bindings = options.bindings || MidiPlatform.DefaultBindings;
+		this.velocity = (options.velocity === true);
+		this.access = null;
+		this.devices = [];
+		this.pendingInputs = [];
+		this.destroyed = false;
+		this.requestMIDIAccess = (navigator && (typeof(navigator.requestMIDIAccess) === 'function')) ?
+			navigator.requestMIDIAccess.bind(navigator) : null;
+
+		this.stateChangeHandler = function(e) {
+			that._onStateChange(e.port);
+		};
+
+		if (this.requestMIDIAccess) {
+			this.requestMIDIAccess().then(function(access) {
+				that._onAccess(access);
+			}, nullFunction);
+		}
+	};
+
+	/**
+	 * Status commands of MIDI channel messages (the upper half of the status byte)
+	 *
+	 * @property Command
+	 * @static
+	 */
+	MidiPlatform.Command = {
+		NOTE_OFF: 8,
+		NOTE_ON: 9,
+		CONTROL_CHANGE: 11
+	};
+
+	/**
+	 * The default bindings: the 16 notes from 36 (the general MIDI bass drum,
+	 * the first pad of most pad controllers) as buttons and the general
+	 * purpose controllers 16 to 19 as axes.
+	 *
+	 * @property DefaultBindings
+	 * @static
+	 */
+	MidiPlatform.DefaultBindings = {
+		buttons: [36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
+		axes: [16, 17, 18, 19]
+	};
+
+	/**
+	 * Provides a platform object that returns true for isSupported() if valid.
+	 * @method factory
+	 * @static
+	 * @param {Object} listener the listener to use
+	 * @return {Object} a platform object
+	 */
+	MidiPlatform.factory = function(listener) {
+		return MidiPlatform.createFactory()(listener);
+	};
+
+	/**
+	 * Creates a factory for MIDI platforms with the given options.
+	 *
+	 * @method createFactory
+	 * @static
+	 * @param {Object} [options] the options, see the constructor
+	 * @return {Function} a platform factory
+	 */
+	MidiPlatform.createFactory = function(options) {
+		return function(listener) {
+			return new MidiPlatform(listener, options);
+		};
+	};
+
+	/**
+	 * Splits a MIDI message into its parts.
+	 *
+	 * @method parseMessage
+	 * @static
+	 * @param {Array} data the bytes of the message
+	 * @return {Object} command, channel (1 to 16), number (note or controller) and value
+	 */
+	MidiPlatform.parseMessage = function(data) {
+		return {
+			command: Math.floor(data[0] / 16),
+			channel: (data[0] % 16) + 1,
+			number: data[1],
+			value: data[2]
+		};
+	};
+
+	/**
+	 * Finds the index of the binding matching the channel and number.
+	 *
+	 * @method findBinding
+	 * @static
+	 * @param {Array} bindings the list of notes or controllers
+	 * @param {Number} channel the channel of the message
+	 * @param {Number} number the note or controller of the message
+	 * @return {Number} the index of the button or axis, -1 if not bound
+	 */
+	MidiPlatform.findBinding = function(bindings, channel, number) {
+		var binding;
+		var i;
+
+		for (i = 0; i < bindings.length; i++) {
+			binding = bindings[i];
+
+			if (typeof(binding) === 'number') {
+				if (binding === number) {
+					return i;
+				}
+			} else if (binding && (binding.number === number) && (binding.channel === channel)) {
+				return i;
+			}
+		}
+
+		return -1;
+	};
+
+	/**
+	 * @method getType()
+	 * @static
+	 * @return {String} 'MIDI'
+	 */
+	MidiPlatform.getType = function() {
+		return 'MIDI';
+	};
+
+	/**
+	 * @method getType()
+	 * @return {String} 'MIDI'
+	 */
+	MidiPlatform.prototype.getType = function() {
+		return MidiPlatform.getType();
+	};
+
+	/**
+	 * @method isSupported
+	 * @return {Boolean} true if the Web MIDI API is available
+	 */
+	MidiPlatform.prototype.isSupported = function() {
+		return !!this.requestMIDIAccess;
+	};
+
+	/**
+	 * Connects the inputs available when access was granted. Afterwards the
+	 * gamepads are updated when messages arrive.
+	 * @method update
+	 */
+	MidiPlatform.prototype.update = function() {
+		var that = this;
+		var inputs = this.pendingInputs;
+
+		this.pendingInputs = [];
+		inputs.forEach(function(input) {
+			that._addInput(input);
+		});
+	};
+
+	/**
+	 * Stops listening to all MIDI inputs and disconnects their gamepads.
+	 * @method destroy
+	 */
+	MidiPlatform.prototype.destroy = function() {
+		var that = this;
+
+		this.destroyed = true;
+		this.pendingInputs = [];
+
+		if (this.access) {
+			if (this.access.onstatechange === this.stateChangeHandler) {
+				this.access.onstatechange = null;
+			}
+			this.access = null;
+		}
+
+		this.devices.slice().forEach(function(device) {
+			that._removeInput(device.input);
+		});
+	};
+
+	/**
+	 * Called when access to MIDI was granted: queues all current inputs to be
+	 * connected on the next update and listens to inputs being (dis)connected.
+	 *
+	 * @method _onAccess
+	 * @private
+	 * @param {Object} access the MIDIAccess object
+	 */
+	MidiPlatform.prototype._onAccess = function(access) {
+		var that = this;
+
+		if (this.destroyed) {
+			return;
+		}
+
+		this.access = access;
+		access.onstatechange = this.stateChangeHandler;
+
+		if (access.inputs && (typeof(access.inputs.forEach) === 'function')) {
+			access.inputs.forEach(function(input) {
+				that.pendingInputs.push(input);
+			});
+		}
+	};
+
+	/**
+	 * @method _onStateChange
+	 * @private
+	 * @param {Object} port the MIDI port whose state changed
+	 */
+	MidiPlatform.prototype._onStateChange = function(port) {
+		if (!port || (port.type !== 'input')) {
+			return;
+		}
+
+		if (port.state === 'connected') {
+			this._addInput(port);
+		} else if (port.state === 'disconnected') {
+			this._removeInput(port);
+		}
+	};
+
+	/**
+	 * @method _getDevice
+	 * @private
+	 * @param {Object} input the MIDI input
+	 * @return {Object} the device entry of the input, or null
+	 */
+	MidiPlatform.prototype._getDevice = function(input) {
+		var i;
+
+		for (i = 0; i < this.devices.length; i++) {
+			if ((this.devices[i].input === input) || (input.id && (this.devices[i].input.id === input.id))) {
+				return this.devices[i];
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * Connects a gamepad for the MIDI input.
+	 *
+	 * @method _addInput
+	 * @private
+	 * @param {Object} input the MIDI input
+	 */
+	MidiPlatform.prototype._addInput = function(input) {
+		var that = this;
+		var device;
+
+		if (this._getDevice(input)) {
+			return;
+		}
+
+		device = {
+			input: input,
+			gamepad: createGamepadObject(input.name || 'MIDI device', this.bindings.buttons.length,
+				this.bindings.axes.length)
+		};
+		device.gamepad.index = findFreeIndex(this.listener, this.devices.map(function(other) {
+			return other.gamepad.index;
+		}));
+
+		input.onmidimessage = function(e) {
+			that._onMessage(device.gamepad, e);
+		};
+
+		this.devices.push(device);
+		this.listener._connect(device.gamepad);
+	};
+
+	/**
+	 * Disconnects the gamepad of the MIDI input.
+	 *
+	 * @method _removeInput
+	 * @private
+	 * @param {Object} input the MIDI input
+	 */
+	MidiPlatform.prototype._removeInput = function(input) {
+		var device = this._getDevice(input);
+
+		if (!device) {
+			return;
+		}
+
+		this.devices.splice(this.devices.indexOf(device), 1);
+		device.input.onmidimessage = null;
+		device.gamepad.connected = false;
+		this.listener._disconnect(device.gamepad);
+	};
+
+	/**
+	 * Applies a MIDI message to the gamepad.
+	 *
+	 * @method _onMessage
+	 * @private
+	 * @param {Object} gamepad the gamepad of the input
+	 * @param {Object} e the MIDIMessageEvent
+	 */
+	MidiPlatform.prototype._onMessage = function(gamepad, e) {
+		var Command = MidiPlatform.Command;
+		var message;
+		var index;
+
+		if (!e || !e.data || (e.data.length < 3)) {
+			return;
+		}
+
+		message = MidiPlatform.parseMessage(e.data);
+
+		if ((message.command === Command.NOTE_ON) || (message.command === Command.NOTE_OFF)) {
+			index = MidiPlatform.findBinding(this.bindings.buttons, message.channel, message.number);
+
+			if (index >= 0) {
+				if ((message.command === Command.NOTE_OFF) || (message.value === 0)) {
+					gamepad.buttons[index] = 0;
+				} else {
+					gamepad.buttons[index] = this.velocity ? message.value / 127 : 1;
+				}
+			}
+		} else if (message.command === Command.CONTROL_CHANGE) {
+			index = MidiPlatform.findBinding(this.bindings.axes, message.channel, message.number);
+
+			if (index >= 0) {
+				gamepad.axes[index] = ((message.value / 127) * 2) - 1;
+			}
+		}
+
+		gamepad.timestamp = (typeof(e.timeStamp) === 'number') ? e.timeStamp : environment.now();
+	};
+
+	/**
+	 * Records the raw values of all gamepads of a Gamepad instance, together
+	 * with their connects and disconnects, for example to reproduce a bug
+	 * report. Play the recording back with
+	 * {{#crossLink "ReplayPlatform"}}{{/crossLink}}.
+	 *
+	 * A frame is recorded on each update while gamepads are connected,
+	 * including the poll-only updates of a HybridUpdateStrategy that fire no
+	 * TICK, so presses shorter than a frame replay as well.
+	 *
+	 * The recording is a plain object that can be stored as JSON:
+	 *
+	 *     {
+	 *         "version": 1,
+	 *         "frames": [{
+	 *             "time": 0,
+	 *             "events": [{"type": "connect", "index": 0, "id": "Xbox 360 Controller",
+	 *                 "mapping": "standard", "platform": "WebKit", "buttons": 17, "axes": 4}],
+	 *             "gamepads": [{"index": 0, "buttons": [0, 1, ...], "axes": [0, 0.5, ...]}]
+	 *         }, {
+	 *             "time": 16.7,
+	 *             "events": [{"type": "disconnect", "index": 0}],
+	 *             "gamepads": []
+	 *         }]
+	 *     }
+	 *
+	 * The time is in milliseconds since the recording started.
+	 *
+	 * @class Recorder
+	 * @constructor
+	 * @param {Gamepad} gamepad the Gamepad instance to record
+	 * @module Gamepad
+	 */
+	var Recorder = function(gamepad) {
+		var that = this;
+
+		this.gamepad = gamepad;
+		this.active = false;
+		this.startTime = 0;
+		this.pendingEvents = [];
+		this.frames = [];
+
+		this.connectedHandler = function(device) {
+			that._recordConnect(device);
+		};
+		this.disconnectedHandler = function(device) {
+			that.pendingEvents.push({
+				type: 'disconnect',
+				index: device.index
+			});
+		};
+	};
+
+	/**
+	 * The version of the recording format
+	 *
+	 * @property VERSION
+	 * @static
+	 */
+	Recorder.VERSION = 1;
+
+	/**
+	 * Returns the numeric value of a raw button, which is either a number or an
+	 * object with a value.
+	 *
+	 * @method getButtonValue
+	 * @static
+	 * @param {Number|Object} button the raw button
+	 * @return {Number} the value
+	 */
+	Recorder.getButtonValue = function(button) {
+		if (typeof(button) === 'number') {
+			return button;
+		}
+
+		return (button && (typeof(button.value) === 'number')) ? button.value : 0;
+	};
+
+	/**
+	 * Starts a new recording. Gamepads connected already are recorded as
+	 * connecting in the first frame.
+	 *
+	 * @method start
+	 */
+	Recorder.prototype.start = function() {
+		var that = this;
+
+		if (this.active) {
+			return;
+		}
+
+		this.active = true;
+		this.startTime = this.gamepad.clock();
+		this.pendingEvents = [];
+		this.frames = [];
+
+		this.gamepad.gamepads.forEach(function(device) {
+			if (device) {
+				that._recordConnect(device);
+			}
+		});
+
+		this.gamepad.bind(Gamepad.Event.CONNECTED, this.connectedHandler);
+		this.gamepad.bind(Gamepad.Event.DISCONNECTED, this.disconnectedHandler);
+		this.gamepad.recorders.push(this);
+	};
+
+	/**
+	 * Stops the recording.
+	 *
+	 * @method stop
+	 * @return {Object} the recording
+	 */
+	Recorder.prototype.stop = function() {
+		if (this.active) {
+			this.active = false;
+
+			this.gamepad.unbind(Gamepad.Event.CONNECTED, this.connectedHandler);
+			this.gamepad.unbind(Gamepad.Event.DISCONNECTED, this.disconnectedHandler);
+			this.gamepad.recorders.splice(this.gamepad.recorders.indexOf(this), 1);
+
+			if (this.pendingEvents.length > 0) {
+				this._recordFrame([]);
+			}
+		}
+
+		return this.getRecording();
+	};
+
+	/**
+	 * @method getRecording
+	 * @return {Object} the recording so far
+	 */
+	Recorder.prototype.getRecording = function() {
+		return {
+			version: Recorder.VERSION,
+			frames: this.frames.slice()
+		};
+	};
+
+	/**
+	 * @method _recordConnect
+	 * @private
+	 * @param {Object} device the connected gamepad
+	 */
+	Recorder.prototype._recordConnect = function(device) {
+		this.pendingEvents.push({
+			type: 'connect',
+			index: device.index,
+			id: device.id,
+			mapping: device.mapping,
+			platform: this.gamepad.platform.getType(device),
+			buttons: device.buttons.length,
+			axes: device.axes.length
+		});
+	};
+
+	/**
+	 * Records the current raw values of all gamepads and the events since the
+	 * last frame.
+	 *
+	 * @method _recordFrame
+	 * @private
+	 * @param {Array} devices the gamepads
+	 */
+	Recorder.prototype._recordFrame = function(devices) {
+		var gamepads = [];
+
+		devices.forEach(function(device) {
+			if (device) {
+				gamepads.push({
+					index: device.index,
+					buttons: Array.prototype.map.call(device.buttons, Recorder.getButtonValue),
+					axes: Array.prototype.slice.call(device.axes)
+				});
+			}
+		});
+
+		this.frames.push({
+			time: this.gamepad.clock() - this.startTime,
+			events: this.pendingEvents,
+			gamepads: gamepads
+		});
+		this.pendingEvents = [];
+	};
+
+	/**
+	 * Records gamepad input for playback, see
+	 * {{#crossLink "Recorder"}}{{/crossLink}}.
+	 *
+	 * @property Recorder
+	 * @type {Function}
+	 */
+	Gamepad.Recorder = Recorder;
+
+	/**
+	 * This platform plays back a recording made with
+	 * {{#crossLink "Recorder"}}{{/crossLink}}. The recorded raw values go
+	 * through the same mappings and updaters as during capture, so the same
+	 * events fire again.
+	 *
+	 * By default, each update plays back one recorded frame, which makes the
+	 * replay deterministic when driven by a ManualUpdateStrategy. With the
+	 * option "realtime", each update plays back all frames recorded up to the
+	 * time passed since the first update.
+	 *
+	 * The gamepads report the platform type they were recorded with, so the
+	 * same mappings apply.
+	 *
+	 * @class ReplayPlatform
+	 * @constructor
+	 * @param {Object} listener the listener to provide _connect and _disconnect callbacks
+	 * @param {Object|String} recording the recording, or its JSON string
+	 * @param {Object} [options] the options
+	 * @module Gamepad
+	 */
+	var ReplayPlatform = function(listener, recording, options) {
+		options = options || {};
+
+		if (typeof(recording) === 'string') {
+			try {
+				recording = JSON.parse(recording);
+			} catch (e) {
+				recording = null;
+			}
+		}
+
+		this.listener = listener;
+		this.recording = recording;
+		this.realtime = (options.realtime === true);
+		this.position = 0;
+		this.startTime = -1;
+		this.devices = {};
+	};
+
+	/**
+	 * The maximum number of buttons and of axes of a replayed gamepad. Larger
+	 * counts in the recording are cut to it.
+	 *
+	 * @property MAX_CONTROLS
+	 * @static
+	 */
+	ReplayPlatform.MAX_CONTROLS = 64;
+
+	/**
+	 * Creates a factory for replay platforms.
+	 *
+	 * @method createFactory
+	 * @static
+	 * @param {Object|String} recording the recording, or its JSON string
+	 * @param {Object} [options] the options, see the constructor
+	 * @return {Function} a platform factory
+	 */
+	ReplayPlatform.createFactory = function(recording, options) {
+		return function(listener) {
+			return new ReplayPlatform(listener, recording, options);
+		};
+	};
+
+	/**
+	 * @method getType()
+	 * @static
+	 * @return {String} 'Replay'
+	 */
+	ReplayPlatform.getType = function() {
+		return 'Replay';
+	};
+
+	/**
+	 * @method getType()
+	 * @param {Object} [gamepad] a gamepad of this platform
+	 * @return {String} the platform type the gamepad was recorded with, 'Replay' otherwise
+	 */
+	ReplayPlatform.prototype.getType = function(gamepad) {
+		var key;
+
+		if (gamepad) {
+			for (key in this.devices) {
+				if (this.devices[key].gamepad === gamepad) {
+					return this.devices[key].platform;
+				}
+			}
+		}
+
+		return ReplayPlatform.getType();
+	};
+
+	/**
+	 * @method isSupported
+	 * @return {Boolean} true if the recording has a supported format
+	 */
+	ReplayPlatform.prototype.isSupported = function() {
+		return !!this.recording && (this.recording.version === Recorder.VERSION) &&
+			Array.isArray(this.recording.frames);
+	};
+
+	/**
+	 * @method isFinished
+	 * @return {Boolean} true if all frames were played back
+	 */
+	ReplayPlatform.prototype.isFinished = function() {
+		return !this.isSupported() || (this.position >= this.recording.frames.length);
+	};
+
+	/**
+	 * Plays back the next frame, or all due frames in realtime mode.
+	 * @method update
+	 */
+	ReplayPlatform.prototype.update = function() {
+		var frames;
+		var elapsed;
+
+		if (this.isFinished()) {
+			return;
+		}
+
+		frames = this.recording.frames;
+
+		if (!this.realtime) {
+			this._applyFrame(frames[this.position]);
+			this.position++;
+			return;
+		}
+
+		if (this.startTime < 0) {
+			this.startTime = environment.now() - frames[0].time;
+		}
+
+		elapsed = environment.now() - this.startTime;
+		while ((this.position < frames.length) && (frames[this.position].time <= elapsed)) {
+			this._applyFrame(frames[this.position]);
+			this.position++;
+		}
+	};
+
+	/**
+	 * Disconnects all replayed gamepads.
+	 * @method destroy
+	 */
+	ReplayPlatform.prototype.destroy = function() {
+		var key;
+
+		for (key in this.devices) {
+			this._disconnect(key);
+		}
+	};
+
+	/**
+	 * Applies the events and values of a recorded frame.
+	 *
+	 * @method _applyFrame
+	 * @private
+	 * @param {Object} frame the recorded frame
+	 */
+	ReplayPlatform.prototype._applyFrame = function(frame) {
+		var that = this;
+
+		(frame.events || []).forEach(function(event) {
+			if (event.type === 'connect') {
+				that._connect(event);
+			} else if (event.type === 'disconnect') {
+				that._disconnect(String(event.index));
+			}
+		});
+
+		(frame.gamepads || []).forEach(function(values) {
+			var device = that.devices[String(values.index)];
+
+			if (device) {
+				copyValues(values.buttons, device.gamepad.buttons);
+				copyValues(values.axes, device.gamepad.axes);
+				device.gamepad.timestamp = frame.time;
+			}
+		});
+	};
+
+	/**
+	 * @method _connect
+	 * @private
+	 * @param {Object} event the recorded connect event
+	 */
+	ReplayPlatform.prototype._connect = function(event) {
+		var key = String(event.index);
+		var gamepad;
+
+		if (this.devices.hasOwnProperty(key)) {
+			this._disconnect(key);
+		}
+
+		gamepad = createGamepadObject(event.id, limitCount(event.buttons, ReplayPlatform.MAX_CONTROLS),
+			limitCount(event.axes, ReplayPlatform.MAX_CONTROLS), event.mapping);
+		gamepad.index = event.index;
+
+		this.devices[key] = {
+			gamepad: gamepad,
+			platform: event.platform || ReplayPlatform.getType()
+		};
+		this.listener._connect(gamepad);
+	};
+
+	/**
+	 * @method _disconnect
+	 * @private
+	 * @param {String} key the index of the gamepad as string
+	 */
+	ReplayPlatform.prototype._disconnect = function(key) {
+		var device = this.devices[key];
+
+		if (!device) {
+			return;
+		}
+
+		delete this.devices[key];
+		device.gamepad.connected = false;
+		this.listener._disconnect(device.gamepad);
+	};
+
+	/**
+	 * Adds a listener to a WebSocket or a compatible object, supporting both
+	 * the DOM style addEventListener() and the node.js style on().
+	 */
+	var addSocketListener = function(socket, type, listener) {
+		if (typeof(socket.addEventListener) === 'function') {
+			socket.addEventListener(type, listener);
+		} else if (typeof(socket.on) === 'function') {
+			socket.on(type, listener);
+		}
+	};
+
+	/**
+	 * Removes a listener added by addSocketListener().
+	 */
+	var removeSocketListener = function(socket, type, listener) {
+		if (typeof(socket.removeEventListener) === 'function') {
+			socket.removeEventListener(type, listener);
+		} else if (typeof(socket.removeListener) === 'function') {
+			socket.removeListener(type, listener);
+		}
+	};
+
+	/**
+	 * This platform receives gamepads from another device over a WebSocket, for
+	 * example from a phone acting as the controller of a big-screen game. The
+	 * other side typically uses {{#crossLink "RemoteSender"}}{{/crossLink}}.
+	 *
+	 * The messages are JSON objects with a "type" and a "device" key that
+	 * identifies the remote gamepad among all the gamepads sent over the socket:
+	 *
+	 *     {"type": "connect", "device": "phone-1:0", "id": "Xbox 360 Controller",
+	 *         "mapping": "standard", "buttons": 17, "axes": 4}
+	 *     {"type": "state", "device": "phone-1:0", "timestamp": 1234.5,
+	 *         "buttons": [0, 1, 0.5, ...], "axes": [0, -0.25, ...]}
+	 *     {"type": "disconnect", "device": "phone-1:0"}
+	 *
+	 * "connect" announces a gamepad with the number of its buttons and axes,
+	 * at most RemotePlatform.MAX_CONTROLS each, "state" provides the current
+	 * values of all of them and "disconnect" removes it. Unknown or malformed
+	 * messages are ignored. When the socket closes, all its gamepads are
+	 * disconnected.
+	 *
+	 * @class RemotePlatform
+	 * @constructor
+	 * @param {Object} listener the listener to provide _connect and _disconnect callbacks
+	 * @param {Object|String} socket a WebSocket (or compatible object) or the URL to open one to
+	 * @module Gamepad
+	 */
+	var RemotePlatform = function(listener, socket) {
+		var that = this;
+		var win = environment.getWindow();
+
+		this.listener = listener;
+		this.devices = {};
+		this.socket = null;
+
+		if ((typeof(socket) === 'string') && win && win.WebSocket) {
+			socket = new win.WebSocket(socket);
+		}
+		if (!socket || (typeof(socket) !== 'object')) {
+			return;
+		}
+
+		this.socket = socket;
+		this.messageHandler = function(e) {
+			that._onMessage((e && (typeof(e.data) !== 'undefined')) ? e.data : e);
+		};
+		this.closeHandler = function() {
+			that._disconnectAll();
+		};
+
+		addSocketListener(socket, 'message', this.messageHandler);
+		addSocketListener(socket, 'close', this.closeHandler);
+	};
+
+	/**
+	 * The maximum number of buttons and of axes of a remote gamepad. Larger
+	 * counts announced by the other side are cut to it.
+	 *
+	 * @property MAX_CONTROLS
+	 * @static
+	 */
+	RemotePlatform.MAX_CONTROLS = 64;
+
+	/**
+	 * Creates a factory for remote platforms receiving from the given socket.
+	 * @method createFactory
+	 * @static
+	 * @param {Object|String} socket a WebSocket (or compatible object) or the URL to open one to
+	 * @return {Function} a platform factory
+	 */
+	RemotePlatform.createFactory = function(socket) {
+		return function(listener) {
+			return new RemotePlatform(listener, socket);
+		};
+	};
+
+	/**
+	 * @method getType()
+	 * @static
+	 * @return {String} 'Remote'
+	 */
+	RemotePlatform.getType = function() {
+		return 'Remote';
+	};
+
+	/**
+	 * @method getType()
+	 * @return {String} 'Remote'
+	 */
+	RemotePlatform.prototype.getType = function() {
+		return RemotePlatform.getType();
+	};
+
+	/**
+	 * @method isSupported
+	 * @return {Boolean} true if there is a socket to receive from
+	 */
+	RemotePlatform.prototype.isSupported = function() {
+		return !!this.socket;
+	};
+
+	/**
+	 * Does nothing, the gamepads are updated when messages arrive
+	 * @method update
+	 */
+	RemotePlatform.prototype.update = nullFunction;
+
+	/**
+	 * Stops listening to the socket and disconnects all remote gamepads. The
+	 * socket itself is left open.
+	 * @method destroy
+	 */
+	RemotePlatform.prototype.destroy = function() {
+		if (this.socket) {
+			removeSocketListener(this.socket, 'message', this.messageHandler);
+			removeSocketListener(this.socket, 'close', this.closeHandler);
+		}
+
+		this._disconnectAll();
+	};
+
+	/**
+	 * Handles a message received over the socket. The devices are stored by
+	 * their key with a prefix, so keys such as "__proto__" are plain entries.
+	 *
+	 * @method _onMessage
+	 * @private
+	 * @param {String} data the message
+	 */
+	RemotePlatform.prototype._onMessage = function(data) {
+		var count = function(value) {
+			return limitCount(value, RemotePlatform.MAX_CONTROLS);
+		};
+		var message;
+		var gamepad;
+		var taken;
+		var key;
+		var other;
+
+		try {
+			message = JSON.parse(String(data));
+		} catch (e) {
+			return;
+		}
+
+		if (!message || (typeof(message.device) === 'undefined')) {
+			return;
+		}
+
+		key = 'device:' + message.device;
+		gamepad = this.devices.hasOwnProperty(key) ? this.devices[key] : null;
+
+		if ((message.type === 'connect') && !gamepad) {
+			gamepad = createGamepadObject(String(message.id || 'Remote gamepad'), count(message.buttons),
+				count(message.axes), (typeof(message.mapping) === 'string') ? message.mapping : '');
+
+			taken = [];
+			for (other in this.devices) {
+				taken.push(this.devices[other].index);
+			}
+
+			gamepad.index = findFreeIndex(this.listener, taken);
+			this.devices[key] = gamepad;
+			this.listener._connect(gamepad);
+		} else if ((message.type === 'state') && gamepad) {
+			copyValues(message.buttons, gamepad.buttons);
+			copyValues(message.axes, gamepad.axes);
+			gamepad.timestamp = (typeof(message.timestamp) === 'number') ? message.timestamp : environment.now();
+		} else if ((message.type === 'disconnect') && gamepad) {
+			delete this.devices[key];
+			gamepad.connected = false;
+			this.listener._disconnect(gamepad);
+		}
+	};
+
+	/**
+	 * Disconnects all remote gamepads.
+	 *
+	 * @method _disconnectAll
+	 * @private
+	 */
+	RemotePlatform.prototype._disconnectAll = function() {
+		var key;
+		var gamepad;
+
+		for (key in this.devices) {
+			gamepad = this.devices[key];
+			delete this.devices[key];
+			gamepad.connected = false;
+			this.listener._disconnect(gamepad);
+		}
+	};
+
+	/**
+	 * This platform combines several platforms, for example the keyboard and the
+	 * browser's gamepads, reporting the gamepads of all of them.
+	 *
+	 * Each entry of the factories list is either a platform factory or an
+	 * array of alternative factories, of which the first supported one is used
+	 * (as in {{#crossLink "Gamepad/resolvePlatform:method"}}{{/crossLink}}).
+	 *
+	 * @class CompositePlatform
+	 * @constructor
+	 * @param {Object} listener the listener to provide _connect and _disconnect callbacks
+	 * @param {Array} factories the factories of the platforms to combine
+	 * @module Gamepad
+	 */
+	var CompositePlatform = function(listener, factories) {
+		var that = this;
+
+		this.listener = listener;
+		this.owners = [];
+		this.platforms = [];
+
+		factories.forEach(function(factory) {
+			var proxy = that._createProxyListener();
+			var platform;
+
+			if (Object.prototype.toString.call(factory) === '[object Array]') {
+				platform = Gamepad.resolvePlatform(proxy, factory);
+			} else {
+				platform = Gamepad.resolvePlatform(proxy, [factory]);
+			}
+
+			if (platform.isSupported()) {
+				proxy.platform = platform;
+				that.platforms.push(platform);
+			}
+		});
+	};
+
+	/**
+	 * Creates a factory for composite platforms of the given factories.
+	 * @method createFactory
+	 * @static
+	 * @param {Array} factories the factories of the platforms to combine
+	 * @return {Function} a platform factory
+	 */
+	CompositePlatform.createFactory = function(factories) {
+		return function(listener) {
+			return new CompositePlatform(listener, factories);
+		};
+	};
+
+	/**
+	 * @method getType()
+	 * @static
+	 * @return {String} 'Composite'
+	 */
+	CompositePlatform.getType = function() {
+		return 'Composite';
+	};
+
+	/**
+	 * Returns the type of the platform that reported the given gamepad, or
+	 * 'Composite' if no gamepad is given.
+	 *
+	 * @method getType()
+	 * @param {Object} [gamepad] the gamepad to return the platform type of
+	 * @return {String} the platform type
+	 */
+	CompositePlatform.prototype.getType = function(gamepad) {
+		var i;
+
+		for (i = 0; i < this.owners.length; i++) {
+			if (this.owners[i].gamepad === gamepad) {
+				return this.owners[i].platform.getType(gamepad);
+			}
+		}
+
+		return CompositePlatform.getType();
+	};
+
+	/**
+	 * @method isSupported
+	 * @return {Boolean} true if any of the combined platforms is supported
+	 */
+	CompositePlatform.prototype.isSupported = function() {
+		return this.platforms.length > 0;
+	};
+
+	/**
+	 * Updates all the combined platforms.
+	 * @method update
+	 */
+	CompositePlatform.prototype.update = function() {
+		this.platforms.forEach(function(platform) {
+			platform.update();
+		});
+	};
+
+	/**
+	 * Destroys all the combined platforms.
+	 * @method destroy
+	 */
+	CompositePlatform.prototype.destroy = function() {
+		this.platforms.forEach(function(platform) {
+			if (typeof(platform.destroy) === 'function') {
+				platform.destroy();
+			}
+		});
+		this.platforms = [];
+		this.owners = [];
+	};
+
+	/**
+	 * Creates a listener for a combined platform that remembers which platform
+	 * reported a gamepad before passing the calls on. Everything else is
+	 * inherited from the real listener.
+	 *
+	 * @method _createProxyListener
+	 * @private
+	 * @return {Object} the proxy listener
+	 */
+	CompositePlatform.prototype._createProxyListener = function() {
+		var that = this;
+		var proxy = Object.create(this.listener);
+
+		proxy.platform = nullPlatform;
+		proxy._connect = function(gamepad) {
+			that.owners.push({
+				gamepad: gamepad,
+				platform: proxy.platform
+			});
+			that.listener._connect(gamepad);
+		};
+		proxy._disconnect = function(gamepad) {
+			that.listener._disconnect(gamepad);
+			that.owners = that.owners.filter(function(owner) {
+				return owner.gamepad !== gamepad;
+			});
+		};
+
+		return proxy;
+	};
+
+	/**
+	 * The available update strategies
+	 * @property UpdateStrategies
+	 * @param {AnimFrameUpdateStrategy} AnimFrameUpdateStrategy
+	 * @param {IntervalUpdateStrategy} IntervalUpdateStrategy
+	 * @param {HybridUpdateStrategy} HybridUpdateStrategy
+	 * @param {ManualUpdateStrategy} ManualUpdateStrategy
+	 */
+	Gamepad.UpdateStrategies = {
+		AnimFrameUpdateStrategy: AnimFrameUpdateStrategy,
+		IntervalUpdateStrategy: IntervalUpdateStrategy,
+		HybridUpdateStrategy: HybridUpdateStrategy,
+		ManualUpdateStrategy: ManualUpdateStrategy
+	};
+
+	/**
+	 * The available platforms
+	 * @property Platforms
+	 * @param {WebKitPlatform} WebKitPlatform
+	 * @param {FirefoxPlatform} FirefoxPlatform
+	 * @param {LinuxJoystickPlatform} LinuxJoystickPlatform
+	 * @param {KeyboardPlatform} KeyboardPlatform
+	 * @param {TouchPlatform} TouchPlatform
+	 * @param {CompositePlatform} CompositePlatform
+	 * @param {RemotePlatform} RemotePlatform
+	 * @param {MidiPlatform} MidiPlatform
+	 * @param {ReplayPlatform} ReplayPlatform
+	 */
+	Gamepad.Platforms = {
+		WebKitPlatform: WebKitPlatform,
+		FirefoxPlatform: FirefoxPlatform,
+		LinuxJoystickPlatform: LinuxJoystickPlatform,
+		KeyboardPlatform: KeyboardPlatform,
+		TouchPlatform: TouchPlatform,
+		CompositePlatform: CompositePlatform,
+		RemotePlatform: RemotePlatform,
+		MidiPlatform: MidiPlatform,
+		ReplayPlatform: ReplayPlatform
+	};
+
+	/**
+	 * Access to the host environment (window, navigator, animation frames and
+	 * time). Replace its methods to run the library in a custom environment.
+	 *
+	 * @property Environment
+	 * @param {Function} getWindow returns the window object or null
+	 * @param {Function} getNavigator returns the navigator object or null
+	 * @param {Function} getRequestAnimationFrame returns a requestAnimationFrame function or null
+	 * @param {Function} now returns the current time in milliseconds
+	 * @param {Function} getOperatingSystem returns the operating system as named by SDL
+	 * @param {Function} requireModule returns a node.js module or null
+	 */
+	Gamepad.Environment = environment;
+
+	/**
+	 * List of factories of supported platforms. Currently available platforms:
+	 * {{#crossLink "WebKitPlatform"}}{{/crossLink}},
+	 * {{#crossLink "FirefoxPlatform"}}{{/crossLink}},
+	 * {{#crossLink "LinuxJoystickPlatform"}}{{/crossLink}},
+	 * @property PlatformFactories
+	 * @type {Array}
+	 */
+	Gamepad.PlatformFactories = [FirefoxPlatform.factory, WebKitPlatform.factory,
+		LinuxJoystickPlatform.factory
+	];
+
+	/**
+	 * List of supported controller types.
+	 *
+	 * @property Type
+	 * @param {String} Type.N64 Retrolink N64 controller
+	 * @param {String} Type.PLAYSTATION Playstation controller
+	 * @param {String} Type.LOGITECH Logitech controller
+	 * @param {String} Type.XBOX XBOX controller
+	 * @param {String} Type.SWITCH Nintendo Switch controller
+	 * @param {String} Type.STADIA Stadia controller
+	 * @param {String} Type.EIGHTBITDO 8BitDo controller
+	 * @param {String} Type.SNES SNES style USB pad
+	 * @param {String} Type.UNKNOWN Unknown controller
+	 */
+	Gamepad.Type = {
+		N64: 'n64',
+		PLAYSTATION: 'playstation',
+		LOGITECH: 'logitech',
+		XBOX: 'xbox',
+		SWITCH: 'switch',
+		STADIA: 'stadia',
+		EIGHTBITDO: '8bitdo',
+		SNES: 'snes',
+		UNKNOWN: 'unknown'
+	};
+
+	/**
+	 * List of known controller models, each belonging to a family of
+	 * Gamepad.Type.
+	 *
+	 * @property Model
+	 * @param {String} Model.DUALSHOCK_3 Sony DualShock 3
+	 * @param {String} Model.DUALSHOCK_4 Sony DualShock 4
+	 * @param {String} Model.DUALSENSE Sony DualSense
+	 * @param {String} Model.XBOX_360 Xbox 360 controller
+	 * @param {String} Model.XBOX_ONE Xbox One controller
+	 * @param {String} Model.XBOX_SERIES Xbox Series controller
+	 * @param {String} Model.SWITCH_PRO Nintendo Switch Pro controller
+	 * @param {String} Model.JOYCON_LEFT Left Joy-Con
+	 * @param {String} Model.JOYCON_RIGHT Right Joy-Con
+	 * @param {String} Model.JOYCON_PAIR Pair of Joy-Cons acting as one controller
+	 * @param {String} Model.STADIA Stadia controller
+	 * @param {String} Model.DUAL_ACTION Logitech Dual Action
+	 * @param {String} Model.F310 Logitech F310
+	 * @param {String} Model.F710 Logitech F710
+	 */
+	Gamepad.Model = {
+		DUALSHOCK_3: 'dualshock3',
+		DUALSHOCK_4: 'dualshock4',
+		DUALSENSE: 'dualsense',
+		XBOX_360: 'xbox360',
+		XBOX_ONE: 'xboxone',
+		XBOX_SERIES: 'xboxseries',
+		SWITCH_PRO: 'switchpro',
+		JOYCON_LEFT: 'joyconleft',
+		JOYCON_RIGHT: 'joyconright',
+		JOYCON_PAIR: 'joyconpair',
+		STADIA: 'stadia',
+		DUAL_ACTION: 'dualaction',
+		F310: 'f310',
+		F710: 'f710'
+	};
+
+	/**
+	 * List of rules by which a mapping gets chosen for a gamepad, as reported
+	 * by {{#crossLink "Gamepad/resolveMapping"}}{{/crossLink}}.
+	 *
+	 * @property MappingRule
+	 * @param {String} MappingRule.BROWSER the browser declared the standard
+	 *		mapping and no entry of Gamepad.Mappings overrides it
+	 * @param {String} MappingRule.MAPPING an entry of Gamepad.Mappings matched
+	 * @param {String} MappingRule.FALLBACK no entry matched, the standard
+	 *		mapping is assumed
+	 * @param {String} MappingRule.OVERRIDE the mapping was set with
+	 *		{{#crossLink "Gamepad/setMapping"}}{{/crossLink}}
+	 */
+	Gamepad.MappingRule = {
+		BROWSER: 'browser',
+		MAPPING: 'mapping',
+		FALLBACK: 'fallback',
+		OVERRIDE: 'override'
+	};
+
+	/*
+	 * List of events you can expect from the library.
+	 *
+	 * CONNECTED, DISCONNECTED and UNSUPPORTED events include the gamepad in
+	 * question and tick provides the list of all connected gamepads.
+	 *
+	 * BUTTON_DOWN and BUTTON_UP events provide an alternative to polling button states at each tick.
+	 *
+	 * AXIS_CHANGED is called if a value of some specific axis changes.
+	 */
+	Gamepad.Event = {
+		/**
+		 * Triggered when a new controller connects.
+		 *
+		 * @event connected
+		 * @param {Object} device
+		 */
+		CONNECTED: 'connected',
+
+		/**
+		 * Called when an unsupported controller connects.
+		 *
+		 * @event unsupported
+		 * @param {Object} device
+		 * @deprecated not used anymore. Any controller is supported.
+		 */
+		UNSUPPORTED: 'unsupported',
+
+		/**
+		 * Triggered when a controller disconnects.
+		 *
+		 * @event disconnected
+		 * @param {Object} device
+		 */
+		DISCONNECTED: 'disconnected',
+
+		/**
+		 * Called regularly with the latest controllers info.
+		 *
+		 * @event tick
+		 * @param {Array} gamepads
+		 */
+		TICK: 'tick',
+
+		/**
+		 * Called when a gamepad button is pressed down.
+		 *
+		 * @event button-down
+		 * @param {Object} event
+		 * @param {Object} event.gamepad The gamepad object
+		 * @param {String} event.control Control name
+		 */
+		BUTTON_DOWN: 'button-down',
+
+		/**
+		 * Called when a gamepad button is released.
+		 *
+		 * @event button-up
+		 * @param {Object} event
+		 * @param {Object} event.gamepad The gamepad object
+		 * @param {String} event.control Control name
+		 */
+		BUTTON_UP: 'button-up',
+
+		/**
+		 * Called when gamepad axis value changed.
+		 *
+		 * @event axis-changed
+		 * @param {Object} event
+		 * @param {Object} event.gamepad The gamepad object
+		 * @param {String} event.axis Axis name
+		 * @param {Number} event.value New axis value
+		 */
+		AXIS_CHANGED: 'axis-changed',
+
+		/**
+		 * Called when the mapping of a gamepad was changed with setMapping().
+		 *
+		 * @event mapping-changed
+		 * @param {Object} event
+		 * @param {Object} event.gamepad The gamepad object
+		 * @param {Object} event.mapping The new mapping
+		 * @param {Object} event.previous The previous mapping
+		 */
+		MAPPING_CHANGED: 'mapping-changed',
+
+		/**
+		 * Called when a stick rests off-center, see setDriftDetection().
+		 *
+		 * @event drift-detected
+		 * @param {Object} event
+		 * @param {Object} event.gamepad The gamepad object
+		 * @param {String} event.stick The stick, a key of Gamepad.Sticks
+		 * @param {Array} event.offset The X and Y values the stick rests at
+		 * @param {String} event.action The action taken, one of Gamepad.DriftAction
+		 */
+		DRIFT_DETECTED: 'drift-detected',
+
+		/**
+		 * Called when resolving the mapping of a gamepad for each entry of
+		 * Gamepad.Mappings that cannot be flattened. The entry is skipped.
+		 *
+		 * @event mapping-error
+		 * @param {Object} event
+		 * @param {Object} event.mapping The invalid mapping
+		 * @param {Error} event.error The reason
+		 */
+		MAPPING_ERROR: 'mapping-error'
+	};
+
+	/**
+	 * List of standard button names. The index is the according standard button
+	 * index as per standard.
+	 *
+	 * @property StandardButtons
+	 */
+	Gamepad.StandardButtons = [
+		'FACE_1', 'FACE_2', 'FACE_3', 'FACE_4',
+		'LEFT_TOP_SHOULDER', 'RIGHT_TOP_SHOULDER', 'LEFT_BOTTOM_SHOULDER', 'RIGHT_BOTTOM_SHOULDER',
+		'SELECT_BACK', 'START_FORWARD', 'LEFT_STICK', 'RIGHT_STICK',
+		'DPAD_UP', 'DPAD_DOWN', 'DPAD_LEFT', 'DPAD_RIGHT',
+		'HOME'
+	];
+
+	/**
+	 * List of standard axis names. The index is the according standard axis
+	 * index as per standard.
+	 *
+	 * @property StandardAxes
+	 */
+	Gamepad.StandardAxes = ['LEFT_STICK_X', 'LEFT_STICK_Y', 'RIGHT_STICK_X', 'RIGHT_STICK_Y'];
+
+	var getControlName = function(names, index, extraPrefix) {
+		return (index < names.length) ? names[index] : extraPrefix + (index - names.length + 1);
+	};
+
+	/**
+	 * The reverse of getControlName(): the index of a control name.
+	 */
+	var getControlIndex = function(names, name, extraPrefix) {
+		var index = names.indexOf(name);
+
+		if ((index === -1) && (name.indexOf(extraPrefix) === 0)) {
+			index = names.length + parseInt(name.substring(extraPrefix.length), 10) - 1;
+		}
+
+		return index;
+	};
+
+	/**
+	 * Returns the index of a button or axis by its name, as used by mappings.
+	 * Controls beyond the standard ones are named "EXTRA_BUTTON_1",
+	 * "EXTRA_AXIS_1" and so on.
+	 *
+	 * @method getControlIndex
+	 * @static
+	 * @param {String} name the name, see Gamepad.StandardButtons and Gamepad.StandardAxes
+	 * @param {Boolean} [isAxis] true if the name is the one of an axis
+	 * @return {Number} the index, -1 for unknown names
+	 */
+	Gamepad.getControlIndex = function(name, isAxis) {
+		var index = isAxis ? getControlIndex(Gamepad.StandardAxes, name, 'EXTRA_AXIS_') :
+			getControlIndex(Gamepad.StandardButtons, name, 'EXTRA_BUTTON_');
+
+		return (index >= 0) ? index : -1;
+	};
+
+	/**
+	 * The standard mapping that represents the mapping as per definition.
+	 * Each button and axis map to the same index.
+	 *
+	 * @property StandardMapping
+	 */
+	Gamepad.StandardMapping = {
+		env: {},
+		buttons: {
+			byButton: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]
+		},
+		axes: {
+			byAxis: [0, 1, 2, 3]
+		}
+	};
+
+	/**
+	 * Values a hat switch axis reports for its eight positions, starting with
+	 * up and going clockwise, by platform type. Platforms without an entry use
+	 * DEFAULT, the values of DirectInput hats as reported by Chrome. Other
+	 * values, such as the one above 1 most hats report when released, mean the
+	 * hat is centered.
+	 *
+	 * @property HatValues
+	 * @static
+	 */
+	Gamepad.HatValues = {
+		DEFAULT: [-1, -5 / 7, -3 / 7, -1 / 7, 1 / 7, 3 / 7, 5 / 7, 1]
+	};
+
+	/**
+	 * The hat positions, as indices into a row of Gamepad.HatValues, in which
+	 * each d-pad button is pressed.
+	 *
+	 * @property HatButtons
+	 * @static
+	 */
+	Gamepad.HatButtons = {
+		DPAD_UP: [7, 0, 1],
+		DPAD_RIGHT: [1, 2, 3],
+		DPAD_DOWN: [3, 4, 5],
+		DPAD_LEFT: [5, 6, 7]
+	};
+
+	/**
+	 * Decodes the value of a hat switch axis into its position.
+	 *
+	 * @method decodeHat
+	 * @static
+	 * @param {Number} value the axis value
+	 * @param {Array} values the eight values of the positions, see Gamepad.HatValues
+	 * @param {Number} [tolerance] how far off a value may be, 0.1 by default
+	 * @return {Number} the position from 0 (up) clockwise to 7 (up left), or -1 if centered
+	 */
+	Gamepad.decodeHat = function(value, values, tolerance) {
+		var i;
+
+		tolerance = (typeof(tolerance) === 'number') ? tolerance : 0.1;
+
+		for (i = 0; i < values.length; i++) {
+			if (Math.abs(value - values[i]) <= tolerance) {
+				return i;
+			}
+		}
+
+		return -1;
+	};
+
+	/**
+	 * Mapping of various gamepads that differ from the standard mapping on
+	 * different platforms too unify their buttons and axes.
+	 *
+	 * Each mapping should have an 'env' object, which describes the environment
+	 * in which the mapping is active. The more entries such an environment has,
+	 * the more specific it is. Available entries are 'platform' (the platform
+	 * type), 'type' (the family, see Gamepad.Type), 'model' (see Gamepad.Model,
+	 * null if unknown), 'vendor' and 'product' (USB ids as four digit hex
+	 * strings), 'os' (see Gamepad.Environment) and 'mapping' (the mapping the
+	 * browser applied, 'standard' or empty), 'id' (the gamepad id), 'buttons'
+	 * and 'axes' (the number of buttons and axes). Gamepads the browser maps as
+	 * 'standard' only use entries that filter on that mapping explicitly.
+	 *
+	 * Filter entries may also be regular expressions or functions, see
+	 * {{#crossLink "Gamepad/envMatchesFilter"}}{{/crossLink}}. A mapping may
+	 * carry a "priority" and a "specificity" to win over other matching
+	 * mappings, see {{#crossLink "Gamepad/resolveMapping"}}{{/crossLink}}.
+	 *
+	 * Mappings are expressed for both buttons and axes. Buttons might refer to
+	 * axes if they are notified as such.
+	 *
+	 * A mapping may decode a hat switch, an axis stepping through eight
+	 * positions, into the d-pad buttons with a 'hat' entry: 'axis' is the index
+	 * into gamepad.axes, 'values' optionally replaces the row of
+	 * Gamepad.HatValues for the platform, 'tolerance' how far off a value may
+	 * be (0.1 by default) and 'vector' adds the DPAD_X and DPAD_Y axes, from -1
+	 * (left, up) to 1 (right, down).
+	 *
+	 * Instead of listing all controls, a mapping may name another mapping it
+	 * "extends" and override single controls by name, see
+	 * {{#crossLink "Gamepad/flattenMapping"}}{{/crossLink}}.
+	 *
+	 * @property Mappings
+	 */
+	Gamepad.Mappings = [
+		// Retrolink N64 controller on Firefox
+		{
+			name: 'n64-firefox',
+			env: {
+				platform: FirefoxPlatform.getType(),
+				type: Gamepad.Type.N64
+			},
+			buttons: {
+				byButton: [
+					// TODO: Figure out which buttons to map A and Z buttons to.
+					2, // FACE_1 -- C-down button
+					1, // FACE_2 -- C-right button
+					3, // FACE_3 -- C-left button
+					0, // FACE_4 -- C-down button
 					4, // LEFT_TOP_SHOULDER -- L button
 					5, // RIGHT_TOP_SHOULDER -- R button
 					-1, // LEFT_BOTTOM_SHOULDER -- missing on controller
@@ -507,653 +3463,3639 @@
 				]
 			},
 			axes: {
-				byAxis: [
-					1, // LEFT_STICK_X
-					2, // LEFT_STICK_Y
-					-1, // RIGHT_STICK_X
-					-1 // RIGHT_STICK_Y
-				]
+				byAxis: [
+					1, // LEFT_STICK_X
+					2, // LEFT_STICK_Y
+					-1, // RIGHT_STICK_X
+					-1 // RIGHT_STICK_Y
+				]
+			}
+		},
+		// Retrolink N64 controller on WebKit, differs in the axes only
+		{
+			name: 'n64-webkit',
+			extends: 'n64-firefox',
+			env: {
+				platform: WebKitPlatform.getType(),
+				type: Gamepad.Type.N64
+			},
+			axes: {
+				LEFT_STICK_X: 0,
+				LEFT_STICK_Y: 1
+			}
+		},
+		// XBOX360 controller on Firefox
+		{
+			name: 'xbox360-firefox',
+			env: {
+				platform: FirefoxPlatform.getType(),
+				type: Gamepad.Type.XBOX
+			},
+			buttons: {
+				byButton: [0, 1, 2, 3, 4, 5, 15, 16, 9, 8, 6, 7, 11, 12, 13, 14, 10]
+			},
+			axes: {
+				byAxis: [0, 1, 2, 3]
+			}
+		},
+		// PS3 controller on Firefox
+		{
+			name: 'ps3-firefox',
+			env: {
+				platform: FirefoxPlatform.getType(),
+				type: Gamepad.Type.PLAYSTATION
+			},
+			buttons: {
+				byButton: [14, 13, 15, 12, 10, 11, 8, 9, 0, 3, 1, 2, 4, 6, 7, 5, 16]
+			},
+			axes: {
+				byAxis: [0, 1, 2, 3]
+			}
+		},
+		// Logitech gamepad on WebKit
+		{
+			name: 'logitech-webkit',
+			env: {
+				platform: WebKitPlatform.getType(),
+				type: Gamepad.Type.LOGITECH
+			},
+			buttons: { // TODO: This can't be right - LEFT/RIGHT_STICK have same mappings as HOME/DPAD_UP
+				byButton: [1, 2, 0, 3, 4, 5, 6, 7, 8, 9, 10, 11, 11, 12, 13, 14, 10]
+			},
+			axes: {
+				byAxis: [0, 1, 2, 3]
+			}
+		},
+		// Logitech gamepad on Firefox
+		{
+			name: 'logitech-firefox',
+			env: {
+				platform: FirefoxPlatform.getType(),
+				type: Gamepad.Type.LOGITECH
+			},
+			buttons: {
+				byButton: [0, 1, 2, 3, 4, 5, -1, -1, 6, 7, 8, 9, 11, 12, 13, 14, 10],
+				byAxis: [-1, -1, -1, -1, -1, -1, [2, 0, 1],
+					[2, 0, -1]
+				]
+			},
+			axes: {
+				byAxis: [0, 1, 3, 4]
+			}
+		},
+		// XBOX360 controller on the Linux joystick API (xpad driver)
+		{
+			name: 'xbox360-linux',
+			env: {
+				platform: LinuxJoystickPlatform.getType(),
+				type: Gamepad.Type.XBOX
+			},
+			buttons: {
+				byButton: [0, 1, 2, 3, 4, 5, -1, -1, 6, 7, 9, 10, -1, -1, -1, -1, 8],
+				byAxis: [-1, -1, -1, -1, -1, -1, [2, -1, 1],
+					[5, -1, 1], -1, -1, -1, -1, [7, 0, -1],
+					[7, 0, 1],
+					[6, 0, -1],
+					[6, 0, 1]
+				]
+			},
+			axes: {
+				byAxis: [0, 1, 3, 4]
+			}
+		}
+	];
+
+	/**
+	 * Sets all missing entries of a mapping array up to the length to -1.
+	 */
+	var fillMissing = function(entries, length) {
+		var i;
+
+		for (i = 0; i < Math.max(length, entries.length); i++) {
+			if (typeof(entries[i]) === 'undefined') {
+				entries[i] = -1;
+			}
+		}
+	};
+
+	/**
+	 * Copies a mapping array, filling entries up to the length with -1.
+	 */
+	var copyEntries = function(entries, length) {
+		var result = (entries || []).slice();
+
+		fillMissing(result, length);
+
+		return result;
+	};
+
+	/**
+	 * Tells whether a mapping lists any of its controls by name instead of in
+	 * "byButton" and "byAxis" arrays.
+	 */
+	var hasNamedControls = function(mapping) {
+		var buttons = mapping.buttons || {};
+		var axes = mapping.axes || {};
+
+		return Object.keys(buttons).some(function(name) {
+			return (name !== 'byButton') && (name !== 'byAxis');
+		}) || Object.keys(axes).some(function(name) {
+			return name !== 'byAxis';
+		});
+	};
+
+	/**
+	 * Finds the mapping with the given name among Gamepad.Mappings, or
+	 * Gamepad.StandardMapping for 'standard'.
+	 */
+	var findNamedMapping = function(name) {
+		var mappings = Gamepad.Mappings;
+		var i;
+
+		for (i = 0; i < mappings.length; i++) {
+			if (mappings[i].name === name) {
+				return mappings[i];
+			}
+		}
+
+		return (name === 'standard') ? Gamepad.StandardMapping : null;
+	};
+
+	/**
+	 * Resolves a mapping that "extends" another mapping, by name, into the flat
+	 * form with "byButton" and "byAxis" arrays. Bases may extend mappings
+	 * themselves; 'standard' names Gamepad.StandardMapping.
+	 *
+	 * Besides flat arrays, which replace the ones of the base, "buttons" and
+	 * "axes" may list controls by name (see Gamepad.StandardButtons and
+	 * Gamepad.StandardAxes, extra controls are named "EXTRA_BUTTON_1" and so
+	 * on). A number maps a button or axis index, an array maps an axis as in
+	 * "byAxis". A "hat" is inherited, the "env" filter, "priority" and
+	 * "specificity" are not. For example, { extends: 'xbox360-firefox', env: { ... },
+	 * buttons: { HOME: 12 } } differs from the Firefox XBOX360 mapping in the
+	 * HOME button only. Mappings without base that list controls by name
+	 * extend a mapping without any controls.
+	 *
+	 * @method flattenMapping
+	 * @static
+	 * @param {Object} mapping the mapping to flatten
+	 * @param {Array} [visited] names of mappings being flattened, to detect cycles
+	 * @return {Object} the flat mapping; mappings without base that list no
+	 *		controls by name are returned as is
+	 * @throws {Error} if the base is unknown, extends itself or a control is unknown
+	 */
+	Gamepad.flattenMapping = function(mapping, visited) {
+		var base;
+		var result;
+		var buttons = mapping.buttons || {};
+		var axes = mapping.axes || {};
+		var index;
+		var entry;
+		var name;
+
+		if (!mapping.hasOwnProperty('extends')) {
+			if (!hasNamedControls(mapping)) {
+				return mapping;
+			}
+
+			base = {
+				buttons: {
+					byButton: [],
+					byAxis: []
+				},
+				axes: {
+					byAxis: []
+				}
+			};
+		} else {
+			visited = (visited || []).concat([mapping.name]);
+			if (visited.indexOf(mapping.extends) >= 0) {
+				throw new Error('Mapping ' + mapping.name + ' extends itself through ' + mapping.extends);
+			}
+
+			base = findNamedMapping(mapping.extends);
+			if (!base) {
+				throw new Error('Mapping ' + mapping.name + ' extends unknown mapping ' + mapping.extends);
+			}
+			base = Gamepad.flattenMapping(base, visited);
+		}
+
+		result = {
+			env: mapping.env || {},
+			buttons: {
+				byButton: copyEntries(buttons.byButton || base.buttons.byButton, 0),
+				byAxis: copyEntries(buttons.byAxis || base.buttons.byAxis, 0)
+			},
+			axes: {
+				byAxis: copyEntries(axes.byAxis || base.axes.byAxis, 0)
+			}
+		};
+
+		if (base.hat) {
+			result.hat = base.hat;
+		}
+
+		for (name in mapping) {
+			if (['extends', 'env', 'buttons', 'axes'].indexOf(name) < 0) {
+				result[name] = mapping[name];
+			}
+		}
+
+		for (name in buttons) {
+			if ((name === 'byButton') || (name === 'byAxis')) {
+				continue;
+			}
+
+			index = getControlIndex(Gamepad.StandardButtons, name, 'EXTRA_BUTTON_');
+			if (isNaN(index) || (index < 0)) {
+				throw new Error('Mapping ' + mapping.name + ' overrides unknown button ' + name);
+			}
+
+			entry = buttons[name];
+			fillMissing(result.buttons.byButton, index + 1);
+			fillMissing(result.buttons.byAxis, index + 1);
+			result.buttons.byButton[index] = (typeof(entry) === 'number') ? entry : -1;
+			result.buttons.byAxis[index] = (typeof(entry) === 'number') ? -1 : entry;
+		}
+
+		for (name in axes) {
+			if (name === 'byAxis') {
+				continue;
+			}
+
+			index = getControlIndex(Gamepad.StandardAxes, name, 'EXTRA_AXIS_');
+			if (isNaN(index) || (index < 0)) {
+				throw new Error('Mapping ' + mapping.name + ' overrides unknown axis ' + name);
+			}
+
+			fillMissing(result.axes.byAxis, index + 1);
+			result.axes.byAxis[index] = axes[name];
+		}
+
+		return result;
+	};
+
+	/**
+	 * Flattens a mapping and adds it to Gamepad.Mappings, so an invalid
+	 * mapping is reported to the caller instead of when gamepads connect. The
+	 * given object is left as is.
+	 *
+	 * @method addMapping
+	 * @static
+	 * @param {Object} mapping the mapping to add, in the form of Gamepad.Mappings
+	 * @param {Boolean} [first] true to add it before all other mappings
+	 * @return {Object} the flat mapping that was added
+	 * @throws {Error} if the mapping cannot be flattened
+	 */
+	Gamepad.addMapping = function(mapping, first) {
+		var flat = Gamepad.flattenMapping(mapping);
+
+		if (first) {
+			Gamepad.Mappings.unshift(flat);
+		} else {
+			Gamepad.Mappings.push(flat);
+		}
+
+		return flat;
+	};
+
+	/**
+	 * The library controls for the control names of SDL mapping strings.
+	 * Buttons SDL has beyond the standard ones become extra buttons.
+	 *
+	 * @property SdlControls
+	 * @static
+	 */
+	Gamepad.SdlControls = {
+		buttons: {
+			a: 'FACE_1',
+			b: 'FACE_2',
+			x: 'FACE_3',
+			y: 'FACE_4',
+			leftshoulder: 'LEFT_TOP_SHOULDER',
+			rightshoulder: 'RIGHT_TOP_SHOULDER',
+			lefttrigger: 'LEFT_BOTTOM_SHOULDER',
+			righttrigger: 'RIGHT_BOTTOM_SHOULDER',
+			back: 'SELECT_BACK',
+			start: 'START_FORWARD',
+			leftstick: 'LEFT_STICK',
+			rightstick: 'RIGHT_STICK',
+			dpup: 'DPAD_UP',
+			dpdown: 'DPAD_DOWN',
+			dpleft: 'DPAD_LEFT',
+			dpright: 'DPAD_RIGHT',
+			guide: 'HOME',
+			misc1: 'EXTRA_BUTTON_1',
+			paddle1: 'EXTRA_BUTTON_2',
+			paddle2: 'EXTRA_BUTTON_3',
+			paddle3: 'EXTRA_BUTTON_4',
+			paddle4: 'EXTRA_BUTTON_5',
+			touchpad: 'EXTRA_BUTTON_6'
+		},
+		axes: {
+			leftx: 'LEFT_STICK_X',
+			lefty: 'LEFT_STICK_Y',
+			rightx: 'RIGHT_STICK_X',
+			righty: 'RIGHT_STICK_Y'
+		}
+	};
+
+	/**
+	 * Converts the binding of an SDL mapping string into the raw control it
+	 * refers to: {button} for buttons, {axis, from, to} for (half) axes and hat
+	 * directions, with "from" being the released and "to" the pressed value.
+	 */
+	var parseSdlBinding = function(binding, hatAxis) {
+		var match = /^b(\d+)$/.exec(binding);
+		var directions = {
+			1: [1, -1],
+			2: [0, 1],
+			4: [1, 1],
+			8: [0, -1]
+		};
+		var result = null;
+		var direction;
+
+		if (match) {
+			return {
+				button: parseInt(match[1], 10)
+			};
+		}
+
+		match = /^([+\-]?)a(\d+)(~?)$/.exec(binding);
+		if (match) {
+			result = {
+				axis: parseInt(match[2], 10),
+				from: (match[1] === '') ? -1 : 0,
+				to: (match[1] === '-') ? -1 : 1
+			};
+
+			if (match[3] === '~') {
+				result = {
+					axis: result.axis,
+					from: result.to,
+					to: result.from
+				};
+			}
+
+			return result;
+		}
+
+		match = /^h(\d+)\.(\d+)$/.exec(binding);
+		direction = match && directions[match[2]];
+		if (direction) {
+			result = {
+				axis: hatAxis + (2 * parseInt(match[1], 10)) + direction[0],
+				from: 0,
+				to: direction[1]
+			};
+		}
+
+		return result;
+	};
+
+	/**
+	 * Parses one line of the SDL game controller database
+	 * (gamecontrollerdb.txt) into a mapping for Gamepad.Mappings.
+	 *
+	 * The line has the form "GUID,name,control:binding,...". Bindings are raw
+	 * buttons ("b2"), axes ("a1"), half axes ("+a1", "-a1"), inverted axes
+	 * ("a1~") and hat directions ("h0.4"). The mapping applies to gamepads with
+	 * the vendor and product encoded in the GUID, on the operating system of
+	 * the "platform" field, that the browser does not map itself.
+	 *
+	 * Depending on browser and operating system, a hat is reported either as
+	 * two axes, horizontal and vertical, or as one hat switch axis stepping
+	 * through eight positions. By default hats are expected as two axes each,
+	 * following the other axes. With the "hatSwitch" option, each hat is
+	 * expected as one axis and the d-pad bound to a hat becomes a "hat" entry
+	 * (see Gamepad.Mappings) instead; other buttons bound to hat directions
+	 * are left out then. Hat 0 is expected right after the highest axis used
+	 * in the line; the "hatAxis" option sets its first axis instead. The first
+	 * hat axis is kept as "hatAxis" of the mapping.
+	 * Bindings the library cannot express, such as sticks driven by buttons,
+	 * are left out.
+	 *
+	 * @method parseSdlMapping
+	 * @static
+	 * @param {String} line the line of the database
+	 * @param {Object} [options] the options "hatAxis" and "hatSwitch"
+	 * @return {Object} the mapping, or null for comments, malformed lines and
+	 *		GUIDs without vendor and product
+	 */
+	Gamepad.parseSdlMapping = function(line, options) {
+		var fields = String(line).replace(/^\s+|\s+$/g, '').split(',');
+		var guid = fields[0].toLowerCase();
+		var bindings = [];
+		var hatAxis = 0;
+		var mapping;
+
+		options = options || {};
+
+		if ((fields.length < 3) || !/^[0-9a-f]{32}$/.test(guid) || (guid.substring(12, 16) !== '0000') ||
+			(guid.substring(20, 24) !== '0000')) {
+			return null;
+		}
+
+		mapping = {
+			env: {
+				vendor: guid.substring(10, 12) + guid.substring(8, 10),
+				product: guid.substring(18, 20) + guid.substring(16, 18),
+				mapping: ''
+			},
+			name: fields[1],
+			guid: guid,
+			buttons: {
+				byButton: [],
+				byAxis: []
+			},
+			axes: {
+				byAxis: []
+			}
+		};
+
+		fields.slice(2).forEach(function(field) {
+			var parts = field.split(':');
+			var match = /^[+\-]?a(\d+)~?$/.exec(parts[1]);
+
+			if (parts[0] === 'platform') {
+				mapping.env.os = parts[1];
+			} else if (parts.length === 2) {
+				bindings.push(parts);
+			}
+
+			if (match) {
+				hatAxis = Math.max(hatAxis, parseInt(match[1], 10) + 1);
+			}
+		});
+
+		if (typeof(options.hatAxis) === 'number') {
+			hatAxis = options.hatAxis;
+		}
+		mapping.hatAxis = hatAxis;
+
+		bindings.forEach(function(binding) {
+			var button = Gamepad.SdlControls.buttons[binding[0]];
+			var axis = Gamepad.SdlControls.axes[binding[0]];
+			var raw = parseSdlBinding(binding[1], hatAxis);
+			var hat = /^h(\d+)\./.exec(binding[1]);
+			var range;
+			var index;
+
+			if (raw && hat && options.hatSwitch) {
+				if (Gamepad.HatButtons.hasOwnProperty(button)) {
+					mapping.hat = {
+						axis: hatAxis + parseInt(hat[1], 10)
+					};
+				}
+
+				return;
+			}
+
+			if (!raw) {
+				return;
+			}
+
+			range = [raw.axis, raw.from, raw.to];
+
+			if (button) {
+				index = getControlIndex(Gamepad.StandardButtons, button, 'EXTRA_BUTTON_');
+				mapping.buttons.byButton[index] = (typeof(raw.button) === 'number') ? raw.button : -1;
+				mapping.buttons.byAxis[index] = (typeof(raw.button) === 'number') ? -1 : range;
+			} else if (axis && /a\d/.test(binding[1])) {
+				index = Gamepad.StandardAxes.indexOf(axis);
+				mapping.axes.byAxis[index] = ((raw.from === -1) && (raw.to === 1)) ? raw.axis : range;
+			}
+		});
+
+		fillMissing(mapping.buttons.byButton, Gamepad.StandardButtons.length);
+		fillMissing(mapping.buttons.byAxis, mapping.buttons.byButton.length);
+		fillMissing(mapping.axes.byAxis, Gamepad.StandardAxes.length);
+
+		return mapping;
+	};
+
+	/**
+	 * Parses a whole SDL game controller database and adds its mappings to
+	 * Gamepad.Mappings, after the existing ones. A mapping loaded before for
+	 * the same vendor, product and operating system is replaced. Mappings
+	 * only apply to gamepads connecting afterwards.
+	 *
+	 * @method loadSdlDatabase
+	 * @static
+	 * @param {String} text the content of gamecontrollerdb.txt
+	 * @param {Object} [options] the options, see parseSdlMapping()
+	 * @return {Array} the added mappings
+	 */
+	Gamepad.loadSdlDatabase = function(text, options) {
+		var added = [];
+
+		String(text).split(/\r?\n/).forEach(function(line) {
+			var mapping = Gamepad.parseSdlMapping(line, options);
+			var other;
+			var i;
+
+			if (!mapping) {
+				return;
+			}
+
+			for (i = Gamepad.Mappings.length - 1; i >= 0; i--) {
+				other = Gamepad.Mappings[i];
+				if (other.guid && Gamepad.envMatchesFilter(other.env, mapping.env) &&
+					Gamepad.envMatchesFilter(mapping.env, other.env)) {
+					Gamepad.Mappings.splice(i, 1);
+				}
+			}
+
+			Gamepad.Mappings.push(mapping);
+			added.push(mapping);
+		});
+
+		return added;
+	};
+
+	/**
+	 * Converts a raw axis range of a mapping entry into an SDL axis binding.
+	 * Returns null for ranges SDL cannot express.
+	 */
+	var formatSdlAxis = function(axis, from, to) {
+		var formats = {
+			'-1:1': 'a',
+			'1:-1': 'a~',
+			'0:1': '+a',
+			'0:-1': '-a',
+			'1:0': '+a~',
+			'-1:0': '-a~'
+		};
+		var format = formats[from + ':' + to];
+
+		if (!format) {
+			return null;
+		}
+
+		return format.replace('a', 'a' + axis);
+	};
+
+	/**
+	 * Converts a mapping of Gamepad.Mappings into a line of the SDL game
+	 * controller database, the reverse of parseSdlMapping().
+	 *
+	 * Buttons mapped from hat axes and the d-pad of a "hat" entry are written
+	 * as hat directions. The first hat axis is taken from the "hatAxis"
+	 * option, the "hatAxis" of the mapping or else assumed right after the
+	 * highest other axis used; a "hat" entry is expected to be one axis per
+	 * hat, as parseSdlMapping() reads it with the "hatSwitch" option.
+	 *
+	 * Constructs SDL cannot represent are left out and reported: raw ranges
+	 * other than full, half and inverted axes, extra buttons SDL has no name
+	 * for, extra axes, and env filters other than vendor, product and os.
+	 *
+	 * @method exportSdlMapping
+	 * @static
+	 * @param {Object} mapping the mapping
+	 * @param {Object} [options] "guid", "name", "platform" (the SDL operating
+	 *		system name) and "hatAxis" overriding the values of the mapping
+	 * @return {Object} the SDL mapping string as "line" and the descriptions of
+	 *		the left out constructs as "unsupported" array
+	 */
+	Gamepad.exportSdlMapping = function(mapping, options) {
+		var env = mapping.env || {};
+		var buttons = mapping.buttons || {};
+		var byButton = buttons.byButton || [];
+		var byAxis = buttons.byAxis || [];
+		var axes = (mapping.axes && mapping.axes.byAxis) || [];
+		var filters = ['vendor', 'product', 'os', 'mapping'];
+		var sdlNames = {};
+		var fields = [];
+		var unsupported = [];
+		var hatDirections = {
+			DPAD_UP: 1,
+			DPAD_RIGHT: 2,
+			DPAD_DOWN: 4,
+			DPAD_LEFT: 8
+		};
+		var guid;
+		var hatAxis;
+		var hatIndex;
+		var platform;
+		var key;
+
+		options = options || {};
+
+		for (key in Gamepad.SdlControls.buttons) {
+			sdlNames[Gamepad.SdlControls.buttons[key]] = key;
+		}
+		for (key in Gamepad.SdlControls.axes) {
+			sdlNames[Gamepad.SdlControls.axes[key]] = key;
+		}
+
+		guid = options.guid || mapping.guid;
+		if (!guid && env.vendor && env.product) {
+			guid = '03000000' + env.vendor.substring(2, 4) + env.vendor.substring(0, 2) + '0000' +
+				env.product.substring(2, 4) + env.product.substring(0, 2) + '000000000000';
+		}
+		if (!guid) {
+			guid = '00000000000000000000000000000000';
+			unsupported.push('no GUID, vendor or product');
+		}
+
+		for (key in env) {
+			if ((filters.indexOf(key) === -1) || (env.mapping && (key === 'mapping'))) {
+				unsupported.push('env.' + key + ': ' + env[key]);
+			}
+		}
+
+		hatAxis = (typeof(options.hatAxis) === 'number') ? options.hatAxis : mapping.hatAxis;
+		if (typeof(hatAxis) !== 'number') {
+			hatAxis = 0;
+			axes.concat(byAxis).forEach(function(entry, i) {
+				var isButton = i >= axes.length;
+
+				if (typeof(entry) === 'number') {
+					hatAxis = Math.max(hatAxis, entry + 1);
+				} else if (entry && (entry.length === 3) && (!isButton || (entry[1] !== 0))) {
+					hatAxis = Math.max(hatAxis, entry[0] + 1);
+				}
+			});
+		}
+
+		if (mapping.hat) {
+			hatIndex = mapping.hat.axis - hatAxis;
+			if (hatIndex >= 0) {
+				for (key in hatDirections) {
+					fields.push(sdlNames[key] + ':h' + hatIndex + '.' + hatDirections[key]);
+				}
+			}
+			if ((hatIndex < 0) || mapping.hat.values || mapping.hat.tolerance || mapping.hat.vector) {
+				unsupported.push('hat: ' + JSON.stringify(mapping.hat));
+			}
+		}
+
+		byButton.forEach(function(entry, i) {
+			var control = getControlName(Gamepad.StandardButtons, i, 'EXTRA_BUTTON_');
+			var range = byAxis[i];
+			var binding = null;
+			var directions = ['8', '2', '1', '4'];
+
+			if (((entry === -1) && !(range && (range.length === 3))) ||
+				(mapping.hat && Gamepad.HatButtons.hasOwnProperty(control))) {
+				return;
+			}
+
+			if (entry !== -1) {
+				binding = 'b' + entry;
+			} else if ((range[0] >= hatAxis) && (range[1] === 0) && (Math.abs(range[2]) === 1)) {
+				binding = 'h' + Math.floor((range[0] - hatAxis) / 2) + '.' +
+					directions[(((range[0] - hatAxis) % 2) * 2) + ((range[2] + 1) / 2)];
+			} else {
+				binding = formatSdlAxis(range[0], range[1], range[2]);
+			}
+
+			if (!sdlNames[control] || !binding) {
+				unsupported.push(control + ': ' + JSON.stringify((entry !== -1) ? entry : range));
+				return;
+			}
+
+			fields.push(sdlNames[control] + ':' + binding);
+		});
+
+		axes.forEach(function(entry, i) {
+			var control = getControlName(Gamepad.StandardAxes, i, 'EXTRA_AXIS_');
+			var binding = null;
+
+			if (entry === -1) {
+				return;
+			}
+
+			if (typeof(entry) === 'number') {
+				binding = 'a' + entry;
+			} else if (entry && (entry.length === 3)) {
+				binding = formatSdlAxis(entry[0], entry[1], entry[2]);
+			}
+
+			if (!sdlNames[control] || !binding) {
+				unsupported.push(control + ': ' + JSON.stringify(entry));
+				return;
+			}
+
+			fields.push(sdlNames[control] + ':' + binding);
+		});
+
+		fields.sort();
+
+		platform = options.platform || env.os;
+		if (platform) {
+			fields.push('platform:' + platform);
+		}
+
+		fields.unshift(guid, (options.name || mapping.name || 'Gamepad').replace(/,/g, ''));
+
+		return {
+			line: fields.join(',') + ',',
+			unsupported: unsupported
+		};
+	};
+
+	/**
+	 * Initializes the gamepad.
+	 *
+	 * You usually want to bind to the events first and then initialize it.
+	 *
+	 * @method init
+	 * @return {Boolean} true if a supporting platform was detected, false otherwise.
+	 */
+	Gamepad.prototype.init = function() {
+		var platform;
+		var that = this;
+
+		this._release();
+
+		platform = Gamepad.resolvePlatform(this, this.platformFactories);
+		this.platform = platform;
+		this.paused = false;
+		this.updateStrategy.start(function(pollOnly) {
+			that._update(pollOnly);
+		});
+
+		return platform.isSupported();
+	};
+
+	/**
+	 * Stops updating the gamepads. No events are fired until resume() is called.
+	 *
+	 * @method pause
+	 */
+	Gamepad.prototype.pause = function() {
+		this.paused = true;
+		this._stopUpdateStrategy();
+	};
+
+	/**
+	 * Continues updating the gamepads after pause().
+	 *
+	 * @method resume
+	 */
+	Gamepad.prototype.resume = function() {
+		var that = this;
+
+		if (!this.paused) {
+			return;
+		}
+
+		this.paused = false;
+		this.updateStrategy.start(function(pollOnly) {
+			that._update(pollOnly);
+		});
+	};
+
+	/**
+	 * Stops updating, releases the platform and removes all listeners.
+	 *
+	 * The connected gamepads are forgotten without firing DISCONNECTED events.
+	 * The instance can be initialized again with init().
+	 *
+	 * @method destroy
+	 */
+	Gamepad.prototype.destroy = function() {
+		this.unbind();
+		this._release();
+	};
+
+	/**
+	 * Stops the update strategy, destroys the platform and disconnects all
+	 * known gamepads.
+	 *
+	 * @method _release
+	 * @private
+	 */
+	Gamepad.prototype._release = function() {
+		var that = this;
+
+		this._stopUpdateStrategy();
+
+		if (typeof(this.platform.destroy) === 'function') {
+			this.platform.destroy();
+		}
+		this.platform = nullPlatform;
+
+		this.gamepads.forEach(function(gamepad) {
+			if (gamepad) {
+				that._disconnect(gamepad);
+			}
+		});
+		this.gamepads = [];
+	};
+
+	/**
+	 * Stops the update strategy, if it supports stopping.
+	 *
+	 * @method _stopUpdateStrategy
+	 * @private
+	 */
+	Gamepad.prototype._stopUpdateStrategy = function() {
+		if (typeof(this.updateStrategy.stop) === 'function') {
+			this.updateStrategy.stop();
+		}
+	};
+
+	/**
+	 * Binds a listener to a gamepad event.
+	 *
+	 * @method bind
+	 * @param {String} event Event to bind to, one of Gamepad.Event..
+	 * @param {Function} listener Listener to call when given event occurs
+	 * @return {Gamepad} Self
+	 */
+	Gamepad.prototype.bind = function(event, listener) {
+		if (typeof(this.listeners[event]) === 'undefined') {
+			this.listeners[event] = [];
+		}
+
+		this.listeners[event].push(listener);
+
+		return this;
+	};
+
+	/**
+	 * Removes listener of given type.
+	 *
+	 * If no type is given, all listeners are removed. If no listener is given, all
+	 * listeners of given type are removed.
+	 *
+	 * @method unbind
+	 * @param {String} [type] Type of listener to remove
+	 * @param {Function} [listener] The listener function to remove
+	 * @return {Boolean} Was unbinding the listener successful
+	 */
+	Gamepad.prototype.unbind = function(type, listener) {
+		if (typeof(type) === 'undefined') {
+			this.listeners = {};
+
+			return;
+		}
+
+		if (typeof(listener) === 'undefined') {
+			this.listeners[type] = [];
+
+			return;
+		}
+
+		if (typeof(this.listeners[type]) === 'undefined') {
+			return false;
+		}
+
+		for (var i = 0; i < this.listeners[type].length; i++) {
+			if (this.listeners[type][i] === listener) {
+				this.listeners[type].splice(i, 1);
+
+				return true;
+			}
+		}
+
+		return false;
+	};
+
+	/**
+	 * Returns the number of connected gamepads.
+	 *
+	 * @method count
+	 * @return {Number}
+	 */
+	Gamepad.prototype.count = function() {
+		return this.gamepads.length;
+	};
+
+	/**
+	 * Fires an internal event with given data.
+	 *
+	 * @method _fire
+	 * @param {String} event Event to fire, one of Gamepad.Event..
+	 * @param {*} data Data to pass to the listener
+	 * @private
+	 */
+	Gamepad.prototype._fire = function(event, data) {
+		if (typeof(this.listeners[event]) === 'undefined') {
+			return;
+		}
+
+		for (var i = 0; i < this.listeners[event].length; i++) {
+			this.listeners[event][i].apply(this.listeners[event][i], [data]);
+		}
+	};
+
+	/**
+	 * @method getNullPlatform
+	 * @static
+	 * @return {Object} a platform that does not support anything
+	 */
+	Gamepad.getNullPlatform = function() {
+		return Object.create(nullPlatform);
+	};
+
+	/**
+	 * Resolves platform.
+	 *
+	 * Factories are tried in order until one provides a supported platform.
+	 * Unsupported platforms are destroyed and a factory that throws, for example
+	 * because the environment lacks something it needs, is skipped.
+	 *
+	 * @method resolvePlatform
+	 * @static
+	 * @param listener {Object} the listener to handle _connect() or _disconnect() calls
+	 * @param {Array} [factories] the factories to try, defaults to Gamepad.PlatformFactories
+	 * @return {Object} A platform instance
+	 */
+	Gamepad.resolvePlatform = function(listener, factories) {
+		var platform = nullPlatform;
+		var i;
+		var destroy = function() {
+			if (typeof(platform.destroy) === 'function') {
+				platform.destroy();
+			}
+		};
+
+		factories = factories || Gamepad.PlatformFactories;
+
+		for (i = 0; !platform.isSupported() && (i < factories.length); i++) {
+			destroy();
+
+			try {
+				platform = factories[i](listener);
+			} catch (e) {
+				platform = nullPlatform;
+			}
+		}
+
+		if (!platform.isSupported()) {
+			destroy();
+			platform = nullPlatform;
+		}
+
+		return platform;
+	};
+
+	/**
+	 * Registers given gamepad.
+	 *
+	 * @method _connect
+	 * @param {Object} gamepad Gamepad to connect to
+	 * @private
+	 */
+	Gamepad.prototype._connect = function(gamepad) {
+		var controller;
+
+		gamepad.descriptor = Gamepad.parseDeviceId(gamepad.id);
+		controller = Gamepad.identifyController(gamepad.descriptor);
+		gamepad.family = controller.family;
+		gamepad.model = controller.model;
+		gamepad.calibration = this.getCalibration(gamepad);
+		gamepad.mappingResolution = this.resolveMapping(gamepad);
+
+		//gamepad.mapping = this._resolveMapping(gamepad);
+		gamepad.state = {};
+		gamepad.lastState = {};
+		this._addUpdaters(gamepad, gamepad.mappingResolution.mapping);
+
+		this.gamepads[gamepad.index] = gamepad;
+
+		this._fire(Gamepad.Event.CONNECTED, gamepad);
+	};
+
+	/**
+	 * Replaces the updaters of a gamepad with ones for the given mapping.
+	 * Controls keep their state if the mapping has them too.
+	 *
+	 * @method _addUpdaters
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to create the updaters
+	 * @param {Object} mapping the mapping on which to work on
+	 */
+	Gamepad.prototype._addUpdaters = function(gamepad, mapping) {
+		var state = gamepad.state;
+		var lastState = gamepad.lastState;
+		var count;
+		var name;
+		var i;
+
+		gamepad.state = {};
+		gamepad.lastState = {};
+		gamepad.updater = [];
+		gamepad.axisGetters = {};
+		gamepad.drift = null;
+
+		count = mapping.buttons.byButton.length;
+		for (i = 0; i < count; i++) {
+			this._addButtonUpdater(gamepad, mapping, i);
+		}
+
+		count = mapping.axes.byAxis.length;
+		for (i = 0; i < count; i++) {
+			this._addAxisUpdater(gamepad, mapping, i);
+		}
+
+		if (mapping.hat && mapping.hat.vector) {
+			this._addHatVectorUpdaters(gamepad, mapping.hat);
+		}
+
+		for (name in gamepad.state) {
+			if (state.hasOwnProperty(name)) {
+				gamepad.state[name] = state[name];
+				gamepad.lastState[name] = lastState[name];
+			}
+		}
+	};
+
+	/**
+	 * Changes the mapping of a connected gamepad, for example to fix a wrong
+	 * layout of one device. Controls keep their state, so only controls whose
+	 * value differs with the new mapping fire events on the next update.
+	 *
+	 * @method setMapping
+	 * @param {Object} gamepad the connected gamepad
+	 * @param {Object} [mapping] the mapping to use, in the form of
+	 *		Gamepad.Mappings (it may extend another mapping); without, the
+	 *		mapping is resolved again
+	 * @return {Boolean} false if the gamepad is not connected
+	 * @throws {Error} if the mapping cannot be flattened
+	 */
+	Gamepad.prototype.setMapping = function(gamepad, mapping) {
+		var previous;
+		var resolution;
+
+		if (this.gamepads[gamepad.index] !== gamepad) {
+			return false;
+		}
+
+		previous = gamepad.mappingResolution.mapping;
+		if (mapping) {
+			resolution = {
+				mapping: Gamepad.flattenMapping(mapping),
+				rule: Gamepad.MappingRule.OVERRIDE,
+				index: -1,
+				env: gamepad.mappingResolution.env
+			};
+		} else {
+			resolution = this.resolveMapping(gamepad);
+		}
+
+		gamepad.mappingResolution = resolution;
+		this._addUpdaters(gamepad, resolution.mapping);
+
+		this._fire(Gamepad.Event.MAPPING_CHANGED, {
+			gamepad: gamepad,
+			mapping: resolution.mapping,
+			previous: previous
+		});
+
+		return true;
+	};
+
+	/**
+	 * Adds an updater for a button control
+	 *
+	 * @method _addButtonUpdater
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to create the updater
+	 * @param {Object} mapping the mapping on which to work on
+	 * @param {Number} index button index
+	 */
+	Gamepad.prototype._addButtonUpdater = function(gamepad, mapping, index) {
+		var updater = nullFunction;
+		var controlName = getControlName(Gamepad.StandardButtons, index, 'EXTRA_BUTTON_');
+		var isHatButton = mapping.hat && Gamepad.HatButtons.hasOwnProperty(controlName);
+		var getter = isHatButton ? this._createHatGetter(gamepad, mapping.hat, controlName) :
+			this._createButtonGetter(gamepad, mapping.buttons, index);
+		var that = this;
+		var buttonEventData = {
+			gamepad: gamepad,
+			control: controlName
+		};
+
+		gamepad.state[controlName] = 0;
+		gamepad.lastState[controlName] = 0;
+
+		updater = function() {
+			var value = getter();
+			var lastValue = gamepad.lastState[controlName];
+			var isDown = value > 0.5;
+			var wasDown = lastValue > 0.5;
+
+			gamepad.state[controlName] = value;
+
+			if (isDown && !wasDown) {
+				that._fire(Gamepad.Event.BUTTON_DOWN, Object.create(buttonEventData));
+			} else if (!isDown && wasDown) {
+				that._fire(Gamepad.Event.BUTTON_UP, Object.create(buttonEventData));
+			}
+
+			if ((value !== 0) && (value !== 1) && (value !== lastValue)) {
+				that._fireAxisChangedEvent(gamepad, controlName, value);
+			}
+
+			gamepad.lastState[controlName] = value;
+		};
+
+		gamepad.updater.push(updater);
+	};
+
+	/**
+	 * Adds an updater for an axis control
+	 *
+	 * @method _addAxisUpdater
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to create the updater
+	 * @param {Object} mapping the mapping on which to work on
+	 * @param {Number} index axis index
+	 */
+	Gamepad.prototype._addAxisUpdater = function(gamepad, mapping, index) {
+		var controlName = getControlName(Gamepad.StandardAxes, index, 'EXTRA_AXIS_');
+		var rawGetter = this._createAxisGetter(gamepad, mapping.axes, index);
+		var getter = this._createFilteredGetter(gamepad, controlName, rawGetter);
+		var stick = Gamepad.getStick(controlName);
+		var isX = (index % 2) === 0;
+		var otherIndex = isX ? (index + 1) : (index - 1);
+		var otherGetter;
+		var that = this;
+
+		gamepad.axisGetters[controlName] = rawGetter;
+
+		if (!stick) {
+			this._addValueUpdater(gamepad, controlName, function() {
+				return that._applyCurve(gamepad, controlName, that._applyDeadzoneMaximize(getter()));
+			});
+
+			return;
+		}
+
+		otherGetter = this._createFilteredGetter(gamepad, Gamepad.StandardAxes[otherIndex],
+			this._createAxisGetter(gamepad, mapping.axes, otherIndex));
+		this._addValueUpdater(gamepad, controlName, function() {
+			var settings = that.getStickDeadzone(gamepad, stick);
+			var x = isX ? getter() : otherGetter();
+			var y = isX ? otherGetter() : getter();
+
+			var value = Gamepad.applyStickDeadzone(x, y, settings)[isX ? 0 : 1];
+
+			return that._applyCurve(gamepad, controlName, value);
+		});
+	};
+
+	/**
+	 * Adds updaters for the DPAD_X and DPAD_Y axes of a hat switch
+	 *
+	 * @method _addHatVectorUpdaters
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to create the updaters
+	 * @param {Object} hat the hat entry of the mapping
+	 */
+	Gamepad.prototype._addHatVectorUpdaters = function(gamepad, hat) {
+		var getters = {};
+		var name;
+
+		for (name in Gamepad.HatButtons) {
+			getters[name] = this._createHatGetter(gamepad, hat, name);
+		}
+
+		this._addValueUpdater(gamepad, 'DPAD_X', function() {
+			return getters.DPAD_RIGHT() - getters.DPAD_LEFT();
+		});
+		this._addValueUpdater(gamepad, 'DPAD_Y', function() {
+			return getters.DPAD_DOWN() - getters.DPAD_UP();
+		});
+	};
+
+	/**
+	 * Adds an updater for an axis-like control, firing AXIS_CHANGED events
+	 *
+	 * @method _addValueUpdater
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to create the updater
+	 * @param {String} controlName name of the control
+	 * @param {Function} getter returns the value of the control
+	 */
+	Gamepad.prototype._addValueUpdater = function(gamepad, controlName, getter) {
+		var updater = nullFunction;
+		var that = this;
+
+		gamepad.state[controlName] = 0;
+		gamepad.lastState[controlName] = 0;
+
+		updater = function() {
+			var value = getter();
+			var lastValue = gamepad.lastState[controlName];
+
+			gamepad.state[controlName] = value;
+
+			if ((value !== lastValue)) {
+				that._fireAxisChangedEvent(gamepad, controlName, value);
+			}
+
+			gamepad.lastState[controlName] = value;
+		};
+
+		gamepad.updater.push(updater);
+	};
+
+	/**
+	 * Fires an AXIS_CHANGED event
+	 * @method _fireAxisChangedEvent
+	 * @private
+	 * @param {Object} gamepad the gamepad to notify for
+	 * @param {String} controlName name of the control that changes its value
+	 * @param {Number} value the new value
+	 */
+	Gamepad.prototype._fireAxisChangedEvent = function(gamepad, controlName, value) {
+		var eventData = {
+			gamepad: gamepad,
+			axis: controlName,
+			value: value
+		};
+
+		this._fire(Gamepad.Event.AXIS_CHANGED, eventData);
+	};
+
+	/**
+	 * Creates a getter according to the mapping entry for the specific index.
+	 * Currently supported entries:
+	 *
+	 * buttons.byButton[index]: Number := Index into gamepad.buttons; -1 tests byAxis
+	 * buttons.byAxis[index]: Array := [Index into gamepad.axes; Zero Value, One Value]
+	 *
+	 * Axes are corrected by the calibration of the gamepad first.
+	 *
+	 * @method _createButtonGetter
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to create a getter
+	 * @param {Object} buttons the mappings entry for the buttons
+	 * @param {Number} index the specific button entry
+	 * @return {Function} a getter returning the value for the requested button
+	 */
+	Gamepad.prototype._createButtonGetter = (function() {
+		var nullGetter = function() {
+			return 0;
+		};
+
+		var createRangeGetter = function(valueGetter, from, to) {
+			var getter = nullGetter;
+
+			if (from < to) {
+				getter = function() {
+					var range = to - from;
+					var value = valueGetter();
+
+					value = (value - from) / range;
+
+					return (value < 0) ? 0 : value;
+				};
+			} else if (to < from) {
+				getter = function() {
+					var range = from - to;
+					var value = valueGetter();
+
+					value = (value - to) / range;
+
+					return (value > 1) ? 0 : (1 - value);
+				};
+			}
+
+			return getter;
+		};
+
+		var isArray = function(thing) {
+			return Object.prototype.toString.call(thing) === '[object Array]';
+		};
+
+		return function(gamepad, buttons, index) {
+			var controlName = getControlName(Gamepad.StandardButtons, index, 'EXTRA_BUTTON_');
+			var getter = nullGetter;
+			var rangeGetter;
+			var entry;
+			var that = this;
+
+			entry = buttons.byButton[index];
+			if (entry !== -1) {
+				if ((typeof(entry) === 'number') && (entry < gamepad.buttons.length)) {
+					getter = function() {
+						var value = gamepad.buttons[entry];
+
+						if (typeof value === 'number') {
+							return value;
+						}
+
+						if (typeof value.value === 'number') {
+							return value.value;
+						}
+
+						return 0;
+					};
+				}
+			} else if (buttons.byAxis && (index < buttons.byAxis.length)) {
+				entry = buttons.byAxis[index];
+				if (isArray(entry) && (entry.length == 3) && (entry[0] < gamepad.axes.length)) {
+					getter = function() {
+						var calibration = gamepad.calibration;
+						var value = Gamepad.applyCalibration(gamepad.axes[entry[0]],
+							calibration && calibration.axes[entry[0]]);
+
+						return that._applyDeadzoneMaximize(value);
+					};
+
+					rangeGetter = createRangeGetter(getter, entry[1], entry[2]);
+					getter = (rangeGetter === nullGetter) ? nullGetter : function() {
+						return that._applyCurve(gamepad, controlName, rangeGetter());
+					};
+				}
+			}
+
+			return getter;
+		};
+	})();
+
+	/**
+	 * Creates a getter according to the mapping entry for the specific index.
+	 * Currently supported entries:
+	 *
+	 * axes.byAxis[index]: Number := Index into gamepad.axes; -1 ignored
+	 * axes.byAxis[index]: Array := [Index into gamepad.axes; Minus One Value, One Value]
+	 *
+	 * The getter returns the mapped value before any deadzone is applied; the
+	 * raw axes are corrected by the calibration of the gamepad first.
+	 *
+	 * @method _createAxisGetter
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to create a getter
+	 * @param {Object} axes the mappings entry for the axes
+	 * @param {Number} index the specific axis entry
+	 * @return {Function} a getter returning the value for the requested axis
+	 */
+	Gamepad.prototype._createAxisGetter = (function() {
+		var nullGetter = function() {
+			return 0;
+		};
+
+		var isArray = function(thing) {
+			return Object.prototype.toString.call(thing) === '[object Array]';
+		};
+
+		var readAxis = function(gamepad, axis) {
+			var calibration = gamepad.calibration;
+
+			return Gamepad.applyCalibration(gamepad.axes[axis], calibration && calibration.axes[axis]);
+		};
+
+		return function(gamepad, axes, index) {
+			var getter = nullGetter;
+			var entry;
+
+			entry = axes.byAxis[index];
+			if (entry !== -1) {
+				if ((typeof(entry) === 'number') && (entry < gamepad.axes.length)) {
+					getter = function() {
+						return readAxis(gamepad, entry);
+					};
+				} else if (isArray(entry) && (entry.length === 3) && (entry[0] < gamepad.axes.length) &&
+					(entry[1] !== entry[2])) {
+					getter = function() {
+						var value = (((readAxis(gamepad, entry[0]) - entry[1]) / (entry[2] - entry[1])) * 2) - 1;
+
+						return Math.max(-1, Math.min(1, value));
+					};
+				}
+			}
+
+			return getter;
+		};
+	})();
+
+	/**
+	 * Creates a getter for a d-pad button decoded from a hat switch axis.
+	 *
+	 * @method _createHatGetter
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to create a getter
+	 * @param {Object} hat the hat entry of the mapping
+	 * @param {String} controlName the d-pad button, a key of Gamepad.HatButtons
+	 * @return {Function} a getter returning 1 if the button is pressed, 0 otherwise
+	 */
+	Gamepad.prototype._createHatGetter = function(gamepad, hat, controlName) {
+		var platformValues = Gamepad.HatValues[this.platform.getType(gamepad)];
+		var values = hat.values || platformValues || Gamepad.HatValues.DEFAULT;
+		var positions = Gamepad.HatButtons[controlName];
+
+		if (hat.axis >= gamepad.axes.length) {
+			return function() {
+				return 0;
+			};
+		}
+
+		return function() {
+			var position = Gamepad.decodeHat(gamepad.axes[hat.axis], values, hat.tolerance);
+
+			return (positions.indexOf(position) >= 0) ? 1 : 0;
+		};
+	};
+
+	/**
+	 * Disconnects from given gamepad.
+	 *
+	 * @method _disconnect
+	 * @param {Object} gamepad Gamepad to disconnect
+	 * @private
+	 */
+	Gamepad.prototype._disconnect = function(gamepad) {
+		var newGamepads = [],
+			i;
+
+		if (typeof(this.gamepads[gamepad.index]) !== 'undefined') {
+			delete this.gamepads[gamepad.index];
+		}
+
+		for (i = 0; i < this.gamepads.length; i++) {
+			if (typeof(this.gamepads[i]) !== 'undefined') {
+				newGamepads[i] = this.gamepads[i];
+			}
+		}
+
+		this.gamepads = newGamepads;
+
+		this._fire(Gamepad.Event.DISCONNECTED, gamepad);
+	};
+
+	/**
+	 * Parses a gamepad id into a device descriptor. Chrome reports ids like
+	 * "Wireless Controller (STANDARD GAMEPAD Vendor: 054c Product: 09cc)",
+	 * Firefox and Safari like "54c-9cc-Wireless Controller".
+	 *
+	 * Connected gamepads carry their descriptor as "descriptor".
+	 *
+	 * @method parseDeviceId
+	 * @static
+	 * @param {String} id the gamepad id
+	 * @return {Object} the descriptor with "vendor" and "product" (USB ids as
+	 *		four digit lowercase hex strings, or null if the id has none), "name"
+	 *		and "format" of the id ('chrome', 'firefox' or 'unknown')
+	 */
+	Gamepad.parseDeviceId = function(id) {
+		var pad = function(hex) {
+			return ('0000' + hex.toLowerCase()).slice(-4);
+		};
+		var descriptor = {
+			vendor: null,
+			product: null,
+			name: String(id || '').replace(/^\s+|\s+$/g, ''),
+			format: 'unknown'
+		};
+		var match = /^([0-9a-f]{1,4})-([0-9a-f]{1,4})-(.*)$/i.exec(descriptor.name);
+		var ids;
+
+		if (match) {
+			descriptor.vendor = pad(match[1]);
+			descriptor.product = pad(match[2]);
+			descriptor.name = match[3].replace(/^\s+|\s+$/g, '');
+			descriptor.format = 'firefox';
+
+			return descriptor;
+		}
+
+		match = /^(.*?)\s*\(([^()]*)\)$/.exec(descriptor.name);
+		ids = match && /Vendor: ([0-9a-f]{1,4}) Product: ([0-9a-f]{1,4})/i.exec(match[2]);
+
+		if (ids || (match && /STANDARD GAMEPAD/.test(match[2]))) {
+			descriptor.name = match[1];
+			descriptor.format = 'chrome';
+
+			if (ids) {
+				descriptor.vendor = pad(ids[1]);
+				descriptor.product = pad(ids[2]);
+			}
+		}
+
+		return descriptor;
+	};
+
+	/**
+	 * Catalog of known controllers, tested in order by
+	 * {{#crossLink "Gamepad/identifyController"}}{{/crossLink}}. Entries with
+	 * a "vendor" (and optionally "product", a single id or a list of ids) match
+	 * devices reporting USB ids, entries with only a "name" pattern match the
+	 * names of devices that do not or whose USB ids match no entry, such as
+	 * third party pads. Each entry names the "family" (see
+	 * Gamepad.Type) and, if known, the "model" (see Gamepad.Model).
+	 *
+	 * @property Controllers
+	 * @static
+	 */
+	Gamepad.Controllers = [
+		// Sony
+		{
+			vendor: '054c',
+			product: '0268',
+			family: Gamepad.Type.PLAYSTATION,
+			model: Gamepad.Model.DUALSHOCK_3
+		}, {
+			vendor: '054c',
+			product: ['05c4', '09cc', '0ba0'],
+			family: Gamepad.Type.PLAYSTATION,
+			model: Gamepad.Model.DUALSHOCK_4
+		}, {
+			vendor: '054c',
+			product: ['0ce6', '0df2'],
+			family: Gamepad.Type.PLAYSTATION,
+			model: Gamepad.Model.DUALSENSE
+		}, {
+			vendor: '054c',
+			family: Gamepad.Type.PLAYSTATION
+		},
+		// Microsoft
+		{
+			vendor: '045e',
+			product: ['028e', '028f', '0291', '0719'],
+			family: Gamepad.Type.XBOX,
+			model: Gamepad.Model.XBOX_360
+		}, {
+			vendor: '045e',
+			product: ['02d1', '02dd', '02e0', '02e3', '02ea', '02fd', '0b00', '0b05', '0b20', '0b22'],
+			family: Gamepad.Type.XBOX,
+			model: Gamepad.Model.XBOX_ONE
+		}, {
+			vendor: '045e',
+			product: ['0b12', '0b13'],
+			family: Gamepad.Type.XBOX,
+			model: Gamepad.Model.XBOX_SERIES
+		}, {
+			vendor: '045e',
+			family: Gamepad.Type.XBOX
+		},
+		// Nintendo
+		{
+			vendor: '057e',
+			product: '2009',
+			family: Gamepad.Type.SWITCH,
+			model: Gamepad.Model.SWITCH_PRO
+		}, {
+			vendor: '057e',
+			product: '2006',
+			family: Gamepad.Type.SWITCH,
+			model: Gamepad.Model.JOYCON_LEFT
+		}, {
+			vendor: '057e',
+			product: '2007',
+			family: Gamepad.Type.SWITCH,
+			model: Gamepad.Model.JOYCON_RIGHT
+		}, {
+			vendor: '057e',
+			product: '200e',
+			family: Gamepad.Type.SWITCH,
+			model: Gamepad.Model.JOYCON_PAIR
+		}, {
+			vendor: '057e',
+			family: Gamepad.Type.SWITCH
+		},
+		// Google
+		{
+			vendor: '18d1',
+			product: '9400',
+			family: Gamepad.Type.STADIA,
+			model: Gamepad.Model.STADIA
+		},
+		// 8BitDo
+		{
+			vendor: '2dc8',
+			family: Gamepad.Type.EIGHTBITDO
+		},
+		// Logitech
+		{
+			vendor: '046d',
+			product: 'c216',
+			family: Gamepad.Type.LOGITECH,
+			model: Gamepad.Model.DUAL_ACTION
+		}, {
+			vendor: '046d',
+			product: 'c21d',
+			family: Gamepad.Type.LOGITECH,
+			model: Gamepad.Model.F310
+		}, {
+			vendor: '046d',
+			product: 'c21f',
+			family: Gamepad.Type.LOGITECH,
+			model: Gamepad.Model.F710
+		}, {
+			vendor: '046d',
+			family: Gamepad.Type.LOGITECH
+		},
+		// Retrolink N64 controller
+		{
+			vendor: '0079',
+			product: '0006',
+			name: /generic\s+usb\s+joystick/i,
+			family: Gamepad.Type.N64
+		},
+		// SNES style USB pads
+		{
+			vendor: '0079',
+			product: '0011',
+			family: Gamepad.Type.SNES
+		}, {
+			vendor: '0583',
+			product: '2060',
+			family: Gamepad.Type.SNES
+		}, {
+			vendor: '0810',
+			product: 'e501',
+			family: Gamepad.Type.SNES
+		}, {
+			vendor: '12bd',
+			product: 'd015',
+			family: Gamepad.Type.SNES
+		},
+		// Devices without USB ids, by name
+		{
+			name: /8bitdo/i,
+			family: Gamepad.Type.EIGHTBITDO
+		}, {
+			name: /dualsense/i,
+			family: Gamepad.Type.PLAYSTATION,
+			model: Gamepad.Model.DUALSENSE
+		}, {
+			name: /dualshock\s*4|ps4/i,
+			family: Gamepad.Type.PLAYSTATION,
+			model: Gamepad.Model.DUALSHOCK_4
+		}, {
+			name: /playstation\(r\)\s*3|ps3/i,
+			family: Gamepad.Type.PLAYSTATION,
+			model: Gamepad.Model.DUALSHOCK_3
+		}, {
+			name: /playstation/i,
+			family: Gamepad.Type.PLAYSTATION
+		}, {
+			name: /logitech|wireless gamepad/i,
+			family: Gamepad.Type.LOGITECH
+		}, {
+			name: /xbox\s*series/i,
+			family: Gamepad.Type.XBOX,
+			model: Gamepad.Model.XBOX_SERIES
+		}, {
+			name: /xbox\s*one/i,
+			family: Gamepad.Type.XBOX,
+			model: Gamepad.Model.XBOX_ONE
+		}, {
+			name: /xbox|360/i,
+			family: Gamepad.Type.XBOX
+		}, {
+			name: /joy-con\s*\(l\)/i,
+			family: Gamepad.Type.SWITCH,
+			model: Gamepad.Model.JOYCON_LEFT
+		}, {
+			name: /joy-con\s*\(r\)/i,
+			family: Gamepad.Type.SWITCH,
+			model: Gamepad.Model.JOYCON_RIGHT
+		}, {
+			name: /joy-con/i,
+			family: Gamepad.Type.SWITCH,
+			model: Gamepad.Model.JOYCON_PAIR
+		}, {
+			name: /pro controller/i,
+			family: Gamepad.Type.SWITCH,
+			model: Gamepad.Model.SWITCH_PRO
+		}, {
+			name: /stadia/i,
+			family: Gamepad.Type.STADIA,
+			model: Gamepad.Model.STADIA
+		}, {
+			name: /snes|super famicom/i,
+			family: Gamepad.Type.SNES
+		}
+	];
+
+	/**
+	 * Identifies a controller by looking up its device descriptor (see
+	 * {{#crossLink "Gamepad/parseDeviceId"}}{{/crossLink}}) in
+	 * Gamepad.Controllers.
+	 *
+	 * Connected gamepads carry the result as "family" and "model".
+	 *
+	 * @method identifyController
+	 * @static
+	 * @param {Object} descriptor the device descriptor
+	 * @return {Object} "family", one of Gamepad.Type, and "model", one of
+	 *		Gamepad.Model or null if unknown
+	 */
+	Gamepad.identifyController = function(descriptor) {
+		var name = descriptor.name.replace(/\s+/g, ' ');
+		var find = function(vendor) {
+			var controllers = Gamepad.Controllers;
+			var count = controllers.length;
+			var products;
+			var entry;
+			var i;
+
+			for (i = 0; i < count; i++) {
+				entry = controllers[i];
+				products = [].concat(entry.product || []);
+
+				if ((entry.vendor || null) !== vendor) {
+					continue;
+				}
+				if ((products.length > 0) && (products.indexOf(descriptor.product) < 0)) {
+					continue;
+				}
+				if (!entry.name || entry.name.test(name)) {
+					return entry;
+				}
+			}
+
+			return null;
+		};
+		var entry = find(descriptor.vendor) || (descriptor.vendor && find(null));
+
+		return {
+			family: entry ? entry.family : Gamepad.Type.UNKNOWN,
+			model: (entry && entry.model) || null
+		};
+	};
+
+	/**
+	 * Resolves controller type from its id.
+	 *
+	 * @method _resolveControllerType
+	 * @param {String} id Controller id
+	 * @return {String} Controller type, one of Gamepad.Type
+	 * @private
+	 */
+	Gamepad.prototype._resolveControllerType = function(id) {
+		return Gamepad.identifyController(Gamepad.parseDeviceId(id)).family;
+	};
+
+	/**
+	 * Returns the flat form of an entry of Gamepad.Mappings. The flat forms of
+	 * entries that extend other mappings are kept per entry, so each is
+	 * flattened once.
+	 *
+	 * @method _getFlatMapping
+	 * @private
+	 * @param {Object} mapping the entry
+	 * @return {Object} the flat mapping, null if the entry cannot be flattened
+	 */
+	Gamepad.prototype._getFlatMapping = function(mapping) {
+		var cache = this.flatMappings;
+		var index = cache.entries.indexOf(mapping);
+		var flat;
+
+		if (index >= 0) {
+			return cache.results[index];
+		}
+
+		try {
+			flat = Gamepad.flattenMapping(mapping);
+		} catch (error) {
+			this._fire(Gamepad.Event.MAPPING_ERROR, {
+				mapping: mapping,
+				error: error
+			});
+
+			return null;
+		}
+
+		if (flat !== mapping) {
+			cache.entries.push(mapping);
+			cache.results.push(flat);
+		}
+
+		return flat;
+	};
+
+	/**
+	 * Resolves the mapping for a gamepad and tells which rule chose it.
+	 *
+	 * If the browser declares the "standard" mapping, it has normalized the
+	 * layout already and only entries of Gamepad.Mappings that explicitly
+	 * filter on mapping 'standard' are considered. Of the entries whose filter
+	 * matches, the one with the highest "priority" wins (0 if not given), then
+	 * the most specific one (see
+	 * {{#crossLink "Gamepad/getSpecificity"}}{{/crossLink}}), then the first
+	 * one. Without a match, Gamepad.StandardMapping is used.
+	 *
+	 * Entries that extend another mapping are flattened on first use. Entries
+	 * that cannot be flattened are skipped and reported with the
+	 * MAPPING_ERROR event.
+	 *
+	 * Connected gamepads carry their resolution as "mappingResolution".
+	 *
+	 * @method resolveMapping
+	 * @param {Object} gamepad the gamepad for which to resolve the mapping
+	 * @return {Object} the resolution with the flat "mapping", "rule" (one of
+	 *		Gamepad.MappingRule), "index" of the entry in Gamepad.Mappings (-1 if
+	 *		none) and the "env" the filters were matched against
+	 */
+	Gamepad.prototype.resolveMapping = function(gamepad) {
+		var mappings = Gamepad.Mappings;
+		var descriptor = gamepad.descriptor || Gamepad.parseDeviceId(gamepad.id);
+		var controller = Gamepad.identifyController(descriptor);
+		var env = {
+			platform: this.platform.getType(gamepad),
+			type: controller.family,
+			model: controller.model,
+			vendor: descriptor.vendor,
+			product: descriptor.product,
+			os: environment.getOperatingSystem(),
+			mapping: gamepad.mapping || '',
+			id: gamepad.id,
+			buttons: gamepad.buttons.length,
+			axes: gamepad.axes.length
+		};
+		var isStandard = env.mapping === 'standard';
+		var best = -1;
+		var bestMapping = null;
+		var bestPriority = 0;
+		var bestSpecificity = 0;
+		var priority;
+		var specificity;
+		var i;
+		var test;
+
+		for (i = 0; i < mappings.length; i++) {
+			test = this._getFlatMapping(mappings[i]);
+			if (!test) {
+				continue;
+			}
+			if (isStandard && (test.env.mapping !== 'standard')) {
+				continue;
+			}
+			if (!Gamepad.envMatchesFilter(test.env, env)) {
+				continue;
+			}
+
+			priority = test.priority || 0;
+			specificity = Gamepad.getSpecificity(test);
+
+			if ((best < 0) || (priority > bestPriority) ||
+				((priority === bestPriority) && (specificity > bestSpecificity))) {
+				best = i;
+				bestMapping = test;
+				bestPriority = priority;
+				bestSpecificity = specificity;
+			}
+		}
+
+		if (best >= 0) {
+			return {
+				mapping: bestMapping,
+				rule: Gamepad.MappingRule.MAPPING,
+				index: best,
+				env: env
+			};
+		}
+
+		return {
+			mapping: Gamepad.StandardMapping,
+			rule: isStandard ? Gamepad.MappingRule.BROWSER : Gamepad.MappingRule.FALLBACK,
+			index: -1,
+			env: env
+		};
+	};
+
+	/**
+	 * Tells how specific a mapping is. This is its "specificity" if given, the
+	 * number of entries of its env filter otherwise.
+	 *
+	 * @method getSpecificity
+	 * @static
+	 * @param {Object} mapping the mapping
+	 * @return {Number} the specificity
+	 */
+	Gamepad.getSpecificity = function(mapping) {
+		var count = 0;
+		var field;
+
+		if (typeof(mapping.specificity) === 'number') {
+			return mapping.specificity;
+		}
+
+		for (field in mapping.env) {
+			if (mapping.env.hasOwnProperty(field)) {
+				count++;
+			}
+		}
+
+		return count;
+	};
+
+	/**
+	 * @method _resolveMapping
+	 * @private
+	 * @param {Object} gamepad the gamepad for which to resolve the mapping
+	 * @return {Object} a mapping object for the given gamepad
+	 */
+	Gamepad.prototype._resolveMapping = function(gamepad) {
+		return this.resolveMapping(gamepad).mapping;
+	};
+
+	/**
+	 * Tells whether an environment matches a filter. Each entry of the filter
+	 * must match the same entry of the environment: a RegExp is tested against
+	 * the value, a function is called with the value and the whole environment
+	 * and matches if it returns true, anything else must be equal.
+	 *
+	 * @method envMatchesFilter
+	 * @static
+	 * @param {Object} filter the filter object describing properties to match
+	 * @param {Object} env the environment object that is matched against filter
+	 * @return {Boolean} true if env is covered by filter
+	 */
+	Gamepad.envMatchesFilter = function(filter, env) {
+		var result = true;
+		var expected;
+		var field;
+
+		for (field in filter) {
+			expected = filter[field];
+
+			if (expected instanceof RegExp) {
+				result = result && (typeof(env[field]) === 'string') && expected.test(env[field]);
+			} else if (typeof(expected) === 'function') {
+				result = result && (expected(env[field], env) === true);
+			} else if (expected !== env[field]) {
+				result = false;
+			}
+		}
+
+		return result;
+	};
+
+	/**
+	 * Updates the controllers, triggering TICK events. Active recorders record
+	 * a frame on every update, poll-only ones included.
+	 *
+	 * @method _update
+	 * @param {Boolean} [pollOnly] if true, the controllers are updated without a TICK event
+	 * @private
+	 */
+	Gamepad.prototype._update = function(pollOnly) {
+		var that = this;
+
+		this.platform.update();
+		this.updateTime = this.clock();
+
+		this.gamepads.forEach(function(gamepad) {
+			if (gamepad) {
+				gamepad.updater.forEach(function(updater) {
+					updater();
+				});
+
+				if (that.driftDetection) {
+					that._detectDrift(gamepad);
+				}
+			}
+		});
+
+		this.recorders.forEach(function(recorder) {
+			if ((that.gamepads.length > 0) || (recorder.pendingEvents.length > 0)) {
+				recorder._recordFrame(that.gamepads);
+			}
+		});
+
+		if ((this.gamepads.length > 0) && !pollOnly) {
+			this._fire(Gamepad.Event.TICK, this.gamepads);
+		}
+	},
+
+	/**
+	 * Applies deadzone and maximization.
+	 *
+	 * You can change the thresholds via deadzone and maximizeThreshold members.
+	 *
+	 * @method _applyDeadzoneMaximize
+	 * @param {Number} value Value to modify
+	 * @param {Number} [deadzone] Deadzone to apply
+	 * @param {Number} [maximizeThreshold] From which value to maximize value
+	 * @private
+	 */
+	Gamepad.prototype._applyDeadzoneMaximize = function(
+		value,
+		deadzone,
+		maximizeThreshold) {
+		deadzone = typeof(deadzone) !== 'undefined' ? deadzone : this.deadzone;
+		maximizeThreshold = typeof(maximizeThreshold) !== 'undefined' ? maximizeThreshold : this.maximizeThreshold;
+
+		if (value >= 0) {
+			if (value < deadzone) {
+				value = 0;
+			} else if (value > maximizeThreshold) {
+				value = 1;
+			}
+		} else {
+			if (value > -deadzone) {
+				value = 0;
+			} else if (value < -maximizeThreshold) {
+				value = -1;
+			}
+		}
+
+		return value;
+	};
+
+	/**
+	 * List of deadzone modes for sticks, see
+	 * {{#crossLink "Gamepad/applyStickDeadzone"}}{{/crossLink}}.
+	 *
+	 * @property DeadzoneMode
+	 * @param {String} DeadzoneMode.AXIAL each axis on its own, the default
+	 * @param {String} DeadzoneMode.RADIAL by the distance of the stick from the center
+	 * @param {String} DeadzoneMode.SCALED_RADIAL radial, rescaled to start at zero
+	 * @param {String} DeadzoneMode.HYBRID scaled radial, snapping to the axes near them
+	 */
+	Gamepad.DeadzoneMode = {
+		AXIAL: 'axial',
+		RADIAL: 'radial',
+		SCALED_RADIAL: 'scaled-radial',
+		HYBRID: 'hybrid'
+	};
+
+	/**
+	 * The X and Y axes of the sticks.
+	 *
+	 * @property Sticks
+	 * @static
+	 */
+	Gamepad.Sticks = {
+		LEFT_STICK: ['LEFT_STICK_X', 'LEFT_STICK_Y'],
+		RIGHT_STICK: ['RIGHT_STICK_X', 'RIGHT_STICK_Y']
+	};
+
+	/**
+	 * @method getStick
+	 * @static
+	 * @param {String} axis the axis name
+	 * @return {String} the stick of the axis (a key of Gamepad.Sticks), or null
+	 */
+	Gamepad.getStick = function(axis) {
+		var stick;
+
+		for (stick in Gamepad.Sticks) {
+			if (Gamepad.Sticks[stick].indexOf(axis) >= 0) {
+				return stick;
+			}
+		}
+
+		return null;
+	};
+
+	/**
+	 * Applies a deadzone to the X and Y values of a stick.
+	 *
+	 * AXIAL applies deadzone and maximizeThreshold to each axis like
+	 * {{#crossLink "Gamepad/_applyDeadzoneMaximize"}}{{/crossLink}}, which
+	 * gives a square deadzone. RADIAL zeroes the stick within the deadzone
+	 * distance from the center and keeps the values outside. SCALED_RADIAL
+	 * rescales the distance from deadzone to maximizeThreshold to 0 to 1, so
+	 * the output starts smoothly at zero and keeps the direction. HYBRID
+	 * additionally drops the part of each axis within the deadzone scaled by
+	 * the other axis, so movements close to an axis snap to it. A deadzone of
+	 * 1 or more, or one reaching the maximizeThreshold, zeroes the stick or
+	 * maximizes it outside of the deadzone instead of dividing by zero.
+	 *
+	 * @method applyStickDeadzone
+	 * @static
+	 * @param {Number} x the X value
+	 * @param {Number} y the Y value
+	 * @param {Object} settings "mode" (one of Gamepad.DeadzoneMode),
+	 *		"deadzone" and "maximizeThreshold"
+	 * @return {Array} the X and Y values
+	 */
+	Gamepad.applyStickDeadzone = function(x, y, settings) {
+		var deadzone = settings.deadzone;
+		var maximizeThreshold = settings.maximizeThreshold;
+		var magnitude = Math.sqrt((x * x) + (y * y));
+		var slope = function(value, other) {
+			var offset = deadzone * Math.abs(other);
+			var divisor = 1 - offset;
+
+			return (divisor > 0) ? Math.max(0, Math.abs(value) - offset) / divisor : 0;
+		};
+		var range;
+		var scale;
+		var slopedX;
+		var slopedY;
+
+		if (settings.mode === Gamepad.DeadzoneMode.AXIAL) {
+			return [
+				Gamepad.prototype._applyDeadzoneMaximize(x, deadzone, maximizeThreshold),
+				Gamepad.prototype._applyDeadzoneMaximize(y, deadzone, maximizeThreshold)
+			];
+		}
+
+		if (magnitude < deadzone) {
+			return [0, 0];
+		}
+		if (settings.mode === Gamepad.DeadzoneMode.RADIAL) {
+			return [x, y];
+		}
+
+		if (settings.mode === Gamepad.DeadzoneMode.HYBRID) {
+			slopedX = slope(x, y);
+			slopedY = slope(y, x);
+			x = (x < 0) ? -slopedX : slopedX;
+			y = (y < 0) ? -slopedY : slopedY;
+			magnitude = Math.sqrt((x * x) + (y * y));
+
+			if (magnitude === 0) {
+				return [0, 0];
+			}
+		}
+
+		range = maximizeThreshold - deadzone;
+		scale = (range > 0) ? (magnitude - deadzone) / range : 1;
+		scale = Math.min(1, Math.max(0, scale)) / magnitude;
+
+		return [x * scale, y * scale];
+	};
+
+	/**
+	 * Configures the deadzone of the sticks, either for all gamepads or for
+	 * one device. Settings of a device win over the ones for all gamepads;
+	 * missing "deadzone" and "maximizeThreshold" default to the members of
+	 * this instance.
+	 *
+	 * @method setStickDeadzone
+	 * @param {Object} settings "mode" (one of Gamepad.DeadzoneMode),
+	 *		"deadzone" and "maximizeThreshold"; null to remove the settings
+	 * @param {Object} [device] the gamepad to configure, all if not given
+	 * @param {String} [stick] the stick to configure (a key of Gamepad.Sticks),
+	 *		both if not given
+	 */
+	Gamepad.prototype.setStickDeadzone = function(settings, device, stick) {
+		var target = this.stickDeadzones;
+		var sticks = stick ? [stick] : Object.keys(Gamepad.Sticks);
+
+		if (device) {
+			device.stickDeadzones = device.stickDeadzones || {};
+			target = device.stickDeadzones;
+		}
+
+		sticks.forEach(function(name) {
+			if (settings) {
+				target[name] = settings;
+			} else {
+				delete target[name];
+			}
+		});
+	};
+
+	/**
+	 * @method getStickDeadzone
+	 * @param {Object} device the gamepad
+	 * @param {String} stick the stick, a key of Gamepad.Sticks
+	 * @return {Object} the effective deadzone settings of the stick
+	 */
+	Gamepad.prototype.getStickDeadzone = function(device, stick) {
+		var deviceSettings = device.stickDeadzones || {};
+		var settings = deviceSettings[stick] || this.stickDeadzones[stick] || {};
+
+		return {
+			mode: settings.mode || Gamepad.DeadzoneMode.AXIAL,
+			deadzone: (typeof(settings.deadzone) === 'number') ? settings.deadzone : this.deadzone,
+			maximizeThreshold: (typeof(settings.maximizeThreshold) === 'number') ?
+				settings.maximizeThreshold : this.maximizeThreshold
+		};
+	};
+
+	/**
+	 * List of response curve types, see
+	 * {{#crossLink "Gamepad/applyCurve"}}{{/crossLink}}.
+	 *
+	 * @property CurveType
+	 * @param {String} CurveType.LINEAR the value as is
+	 * @param {String} CurveType.POWER the value to the power of "exponent"
+	 * @param {String} CurveType.EXPONENTIAL exponential growth with rate "exponent"
+	 * @param {String} CurveType.S_CURVE flat at both ends and steep in the middle, by "exponent"
+	 * @param {String} CurveType.POINTS linear between "points", a list of [input, output] pairs
+	 */
+	Gamepad.CurveType = {
+		LINEAR: 'linear',
+		POWER: 'power',
+		EXPONENTIAL: 'exponential',
+		S_CURVE: 's-curve',
+		POINTS: 'points'
+	};
+
+	/**
+	 * Applies a response curve to a value. Curves work on the magnitude of the
+	 * value, from 0 to 1, and keep its sign.
+	 *
+	 * @method applyCurve
+	 * @static
+	 * @param {Number} value the value, from -1 to 1
+	 * @param {Object|Function} curve the curve with "type" (one of
+	 *		Gamepad.CurveType) and its parameters, or a function returning the
+	 *		output for the value
+	 * @return {Number} the value on the curve
+	 * @throws {Error} if the curve type is unknown
+	 */
+	Gamepad.applyCurve = function(value, curve) {
+		var magnitude = Math.abs(value);
+		var exponent = curve.exponent || 2;
+		var points = curve.points;
+		var from;
+		var to;
+		var result;
+		var i;
+
+		if (typeof(curve) === 'function') {
+			return curve(value);
+		}
+
+		if ((curve.type === Gamepad.CurveType.LINEAR) || (magnitude === 0)) {
+			result = magnitude;
+		} else if (curve.type === Gamepad.CurveType.POWER) {
+			result = Math.pow(magnitude, exponent);
+		} else if (curve.type === Gamepad.CurveType.EXPONENTIAL) {
+			result = (Math.exp(exponent * magnitude) - 1) / (Math.exp(exponent) - 1);
+		} else if (curve.type === Gamepad.CurveType.S_CURVE) {
+			result = Math.pow(magnitude, exponent);
+			result = result / (result + Math.pow(1 - magnitude, exponent));
+		} else if (curve.type === Gamepad.CurveType.POINTS) {
+			result = (magnitude <= points[0][0]) ? points[0][1] : points[points.length - 1][1];
+
+			for (i = 1; i < points.length; i++) {
+				from = points[i - 1];
+				to = points[i];
+
+				if ((magnitude > from[0]) && (magnitude <= to[0])) {
+					result = from[1] + (((magnitude - from[0]) / (to[0] - from[0])) * (to[1] - from[1]));
+					break;
+				}
+			}
+		} else {
+			throw new Error('Unknown curve type ' + curve.type);
+		}
+
+		return (value < 0) ? -result : result;
+	};
+
+	/**
+	 * Checks that a response curve can be applied: that its type is known and
+	 * that a POINTS curve has at least two [input, output] pairs, sorted by
+	 * input.
+	 *
+	 * @method validateCurve
+	 * @static
+	 * @param {Object|Function} curve the curve, see
+	 *		{{#crossLink "Gamepad/applyCurve"}}{{/crossLink}}
+	 * @throws {Error} if the curve is invalid
+	 */
+	Gamepad.validateCurve = function(curve) {
+		var types = Object.keys(Gamepad.CurveType).map(function(key) {
+			return Gamepad.CurveType[key];
+		});
+		var points = curve.points;
+		var i;
+
+		if (typeof(curve) === 'function') {
+			return;
+		}
+
+		if (types.indexOf(curve.type) < 0) {
+			throw new Error('Unknown curve type ' + curve.type);
+		}
+
+		if (curve.type !== Gamepad.CurveType.POINTS) {
+			return;
+		}
+
+		if (!Array.isArray(points) || (points.length < 2)) {
+			throw new Error('Curve needs at least two points');
+		}
+
+		for (i = 0; i < points.length; i++) {
+			if (!Array.isArray(points[i]) || (typeof(points[i][0]) !== 'number') ||
+				(typeof(points[i][1]) !== 'number')) {
+				throw new Error('Curve point ' + i + ' is not an [input, output] pair');
+			}
+			if ((i > 0) && (points[i][0] < points[i - 1][0])) {
+				throw new Error('Curve points are not sorted by input');
+			}
+		}
+	};
+
+	/**
+	 * Sets the response curve of axes and of buttons mapped from axes, either
+	 * for all gamepads or for one device, and for all controls or one of them.
+	 * The most specific curve applies: of the device and control, of the
+	 * device, of the control, then for all. Curves apply after the deadzone,
+	 * from the next update on. Digital buttons are not shaped.
+	 *
+	 * @method setCurve
+	 * @param {Object|Function} curve the curve, see
+	 *		{{#crossLink "Gamepad/applyCurve"}}{{/crossLink}}; null to remove it
+	 * @param {Object} [device] the gamepad to configure, all if not given
+	 * @param {String} [control] the control name, all if not given
+	 * @throws {Error} if the curve is invalid, see
+	 *		{{#crossLink "Gamepad/validateCurve"}}{{/crossLink}}
+	 */
+	Gamepad.prototype.setCurve = function(curve, device, control) {
+		var target = this.curves;
+
+		if (curve) {
+			Gamepad.validateCurve(curve);
+		}
+
+		if (device) {
+			device.curves = device.curves || {};
+			target = device.curves;
+		}
+
+		if (curve) {
+			target[control || '*'] = curve;
+		} else {
+			delete target[control || '*'];
+		}
+	};
+
+	/**
+	 * Applies the curve configured for a control, if any.
+	 *
+	 * @method _applyCurve
+	 * @private
+	 * @param {Object} device the gamepad
+	 * @param {String} control the control name
+	 * @param {Number} value the value
+	 * @return {Number} the value on the curve
+	 */
+	Gamepad.prototype._applyCurve = function(device, control, value) {
+		var deviceCurves = device.curves || {};
+		var curve = deviceCurves[control] || deviceCurves['*'];
+
+		curve = curve || this.curves[control] || this.curves['*'];
+
+		return curve ? Gamepad.applyCurve(value, curve) : value;
+	};
+
+	/**
+	 * List of smoothing filter types, see
+	 * {{#crossLink "Gamepad/createFilter"}}{{/crossLink}}.
+	 *
+	 * @property FilterType
+	 * @param {String} FilterType.EMA exponential moving average with the "cutoff" frequency
+	 * @param {String} FilterType.ONE_EURO One Euro filter, whose cutoff rises from "minCutoff" with the speed
+	 */
+	Gamepad.FilterType = {
+		EMA: 'ema',
+		ONE_EURO: 'one-euro'
+	};
+
+	/**
+	 * Creates a smoothing filter. The filter works on the time between its
+	 * calls, so it smoothes the same at any update rate.
+	 *
+	 * EMA takes the "cutoff" frequency in Hz, 5 by default; lower values
+	 * smooth more. ONE_EURO (see http://cristal.univ-lille.fr/~casiez/1euro/)
+	 * smooths slow movements by "minCutoff" in Hz, 1 by default, and raises
+	 * the cutoff by "beta", 0.007 by default, times the speed, so fast
+	 * movements do not lag; the speed is smoothed by "derivativeCutoff" in Hz,
+	 * 1 by default.
+	 *
+	 * @method createFilter
+	 * @static
+	 * @param {Object} settings the "type" (one of Gamepad.FilterType) and its
+	 *		parameters
+	 * @return {Function} the filter, taking a value and the time in
+	 *		milliseconds and returning the smoothed value; calls with the same
+	 *		time return the previous result
+	 * @throws {Error} if the filter type is unknown
+	 */
+	Gamepad.createFilter = function(settings) {
+		var number = function(value, defaultValue) {
+			return (typeof(value) === 'number') ? value : defaultValue;
+		};
+		var smoothing = function(cutoff, elapsed) {
+			var tau = 1 / (2 * Math.PI * cutoff);
+
+			return 1 - Math.exp(-elapsed / tau);
+		};
+		var cutoff = number(settings.cutoff, 5);
+		var minCutoff = number(settings.minCutoff, 1);
+		var beta = number(settings.beta, 0.007);
+		var derivativeCutoff = number(settings.derivativeCutoff, 1);
+		var last = null;
+
+		if ((settings.type !== Gamepad.FilterType.EMA) && (settings.type !== Gamepad.FilterType.ONE_EURO)) {
+			throw new Error('Unknown filter type ' + settings.type);
+		}
+
+		return function(value, time) {
+			var elapsed;
+			var derivative;
+
+			if (!last) {
+				last = {
+					time: time,
+					value: value,
+					derivative: 0
+				};
 			}
-		},
-		// Retrolink N64 controller on WebKit
-		{
-			env: {
-				platform: WebKitPlatform.getType(),
-				type: Gamepad.Type.N64
-			},
-			buttons: {
-				byButton: [
-					// TODO: Figure out which buttons to map A and Z buttons to.
-					2, // FACE_1 -- C-down button
-					1, // FACE_2 -- C-right button
-					3, // FACE_3 -- C-left button
-					0, // FACE_4 -- C-down button
-					4, // LEFT_TOP_SHOULDER -- L button
-					5, // RIGHT_TOP_SHOULDER -- R button
-					-1, // LEFT_BOTTOM_SHOULDER -- missing on controller
-					-1, // RIGHT_BOTTOM_SHOULDER -- missing on controller
-					8, // SELECT_BACK -- B button (is this right?)
-					9, // START_FORWARD -- START button
-					-1, // LEFT_STICK -- missing on controller
-					-1, // RIGHT_STICK -- missing on controller
-					12, // DPAD_UP -- D-Pad-up button
-					13, // DPAD_DOWN -- D-Pad-down button
-					14, // DPAD_LEFT -- D-Pad-left button
-					15, // DPAD_RIGHT -- D-Pad-right button
-					-1 // HOME -- missing on controller (could be START/B?)
-				]
-			},
-			axes: {
-				byAxis: [
-					0, // LEFT_STICK_X
-					1, // LEFT_STICK_Y
-					-1, // RIGHT_STICK_X
-					-1 // RIGHT_STICK_Y
-				]
+
+			if (time <= last.time) {
+				return last.value;
 			}
-		},
-		// XBOX360 controller on Firefox
-		{
-			env: {
-				platform: FirefoxPlatform.getType(),
-				type: Gamepad.Type.XBOX
-			},
-			buttons: {
-				byButton: [0, 1, 2, 3, 4, 5, 15, 16, 9, 8, 6, 7, 11, 12, 13, 14, 10]
-			},
-			axes: {
-				byAxis: [0, 1, 2, 3]
+
+			elapsed = (time - last.time) / 1000;
+
+			if (settings.type === Gamepad.FilterType.ONE_EURO) {
+				derivative = (value - last.value) / elapsed;
+				derivative = last.derivative + (smoothing(derivativeCutoff, elapsed) * (derivative - last.derivative));
+				cutoff = minCutoff + (beta * Math.abs(derivative));
+				last.derivative = derivative;
 			}
-		},
-		// PS3 controller on Firefox
-		{
-			env: {
-				platform: FirefoxPlatform.getType(),
-				type: Gamepad.Type.PLAYSTATION
-			},
-			buttons: {
-				byButton: [14, 13, 15, 12, 10, 11, 8, 9, 0, 3, 1, 2, 4, 6, 7, 5, 16]
-			},
-			axes: {
-				byAxis: [0, 1, 2, 3]
+
+			last.value = last.value + (smoothing(cutoff, elapsed) * (value - last.value));
+			last.time = time;
+
+			return last.value;
+		};
+	};
+
+	/**
+	 * Sets the smoothing filter of axes, either for all gamepads or for one
+	 * device, and for all axes or one of them. The most specific filter
+	 * applies like with {{#crossLink "Gamepad/setCurve"}}{{/crossLink}}.
+	 * Filters apply to the raw values, before the deadzone, from the next
+	 * update on.
+	 *
+	 * @method setFilter
+	 * @param {Object} settings the filter settings, see
+	 *		{{#crossLink "Gamepad/createFilter"}}{{/crossLink}}; null to remove them
+	 * @param {Object} [device] the gamepad to configure, all if not given
+	 * @param {String} [axis] the axis name, all if not given
+	 * @throws {Error} if the filter type is unknown
+	 */
+	Gamepad.prototype.setFilter = function(settings, device, axis) {
+		var target = this.filters;
+
+		if (device) {
+			device.filters = device.filters || {};
+			target = device.filters;
+		}
+
+		if (settings) {
+			Gamepad.createFilter(settings);
+			target[axis || '*'] = settings;
+		} else {
+			delete target[axis || '*'];
+		}
+	};
+
+	/**
+	 * Creates a getter that smoothes the values of another getter by the
+	 * filter configured for the axis, if any. Getters of the same axis share
+	 * the filter, which keeps its state until its settings change.
+	 *
+	 * @method _createFilteredGetter
+	 * @private
+	 * @param {Object} gamepad the gamepad
+	 * @param {String} axis the axis name
+	 * @param {Function} getter returns the raw value of the axis
+	 * @return {Function} a getter returning the smoothed value
+	 */
+	Gamepad.prototype._createFilteredGetter = function(gamepad, axis, getter) {
+		var that = this;
+
+		gamepad.filterStates = gamepad.filterStates || {};
+
+		return function() {
+			var deviceFilters = gamepad.filters || {};
+			var settings = deviceFilters[axis] || deviceFilters['*'];
+			var state = gamepad.filterStates[axis];
+
+			settings = settings || that.filters[axis] || that.filters['*'];
+
+			if (!settings) {
+				delete gamepad.filterStates[axis];
+
+				return getter();
 			}
-		},
-		// Logitech gamepad on WebKit
-		{
-			env: {
-				platform: WebKitPlatform.getType(),
-				type: Gamepad.Type.LOGITECH
-			},
-			buttons: { // TODO: This can't be right - LEFT/RIGHT_STICK have same mappings as HOME/DPAD_UP
-				byButton: [1, 2, 0, 3, 4, 5, 6, 7, 8, 9, 10, 11, 11, 12, 13, 14, 10]
-			},
-			axes: {
-				byAxis: [0, 1, 2, 3]
+
+			if (!state || (state.settings !== settings)) {
+				state = {
+					settings: settings,
+					filter: Gamepad.createFilter(settings)
+				};
+				gamepad.filterStates[axis] = state;
+			}
+
+			return state.filter(getter(), that.updateTime);
+		};
+	};
+
+	/**
+	 * Returns the key under which the calibration of a gamepad is stored: its
+	 * USB ids if known, its id otherwise. Devices of the same model share it.
+	 *
+	 * @method getDeviceKey
+	 * @static
+	 * @param {Object} device the gamepad
+	 * @return {String} the key, like "054c-09cc"
+	 */
+	Gamepad.getDeviceKey = function(device) {
+		var descriptor = device.descriptor || Gamepad.parseDeviceId(device.id);
+
+		return descriptor.vendor ? (descriptor.vendor + '-' + descriptor.product) : String(device.id);
+	};
+
+	/**
+	 * Corrects a raw axis value by its calibration, so the rest position
+	 * reads 0 and both ends of the travel read -1 and 1.
+	 *
+	 * @method applyCalibration
+	 * @static
+	 * @param {Number} value the raw value
+	 * @param {Object} [calibration] "center", "min" and "max" of the axis
+	 * @return {Number} the corrected value, the raw value without calibration
+	 */
+	Gamepad.applyCalibration = function(value, calibration) {
+		var range;
+
+		if (!calibration) {
+			return value;
+		}
+
+		range = (value >= calibration.center) ? (calibration.max - calibration.center) :
+			(calibration.center - calibration.min);
+
+		if (range <= 0) {
+			return value;
+		}
+
+		return Math.max(-1, Math.min(1, (value - calibration.center) / range));
+	};
+
+	/**
+	 * The default storage of calibrations, keeping them in localStorage if
+	 * available. Replace the calibrationStorage member of a Gamepad instance
+	 * by an object with the same methods to store them elsewhere.
+	 *
+	 * @property CalibrationStorage
+	 * @static
+	 */
+	Gamepad.CalibrationStorage = {
+		/**
+		 * @param {String} key the device key
+		 * @return {Object} the stored calibration or null
+		 */
+		load: function(key) {
+			var storage = environment.getLocalStorage();
+
+			try {
+				return (storage && JSON.parse(storage.getItem('gamepad.calibration.' + key))) || null;
+			} catch (e) {
+				return null;
 			}
 		},
-		// Logitech gamepad on Firefox
-		{
-			env: {
-				platform: FirefoxPlatform.getType(),
-				type: Gamepad.Type.LOGITECH
-			},
-			buttons: {
-				byButton: [0, 1, 2, 3, 4, 5, -1, -1, 6, 7, 8, 9, 11, 12, 13, 14, 10],
-				byAxis: [-1, -1, -1, -1, -1, -1, [2, 0, 1],
-					[2, 0, -1]
-				]
-			},
-			axes: {
-				byAxis: [0, 1, 3, 4]
+
+		/**
+		 * @param {String} key the device key
+		 * @param {Object} calibration the calibration to store, null to remove it
+		 */
+		save: function(key, calibration) {
+			var storage = environment.getLocalStorage();
+
+			try {
+				if (storage && calibration) {
+					storage.setItem('gamepad.calibration.' + key, JSON.stringify(calibration));
+				} else if (storage) {
+					storage.removeItem('gamepad.calibration.' + key);
+				}
+			} catch (e) {
+				// storage full or not permitted, the calibration stays for this session
 			}
 		}
-	];
+	};
+
+	/**
+	 * Sets the calibration of a device, as created by a
+	 * {{#crossLink "Calibrator"}}{{/crossLink}}. It applies to all connected
+	 * and later connected gamepads with the same
+	 * {{#crossLink "Gamepad/getDeviceKey"}}{{/crossLink}} and is stored in
+	 * the calibrationStorage.
+	 *
+	 * @method setCalibration
+	 * @param {Object} device the gamepad
+	 * @param {Object} calibration "axes", a list of "center", "min" and "max"
+	 *		(or null) by raw axis index; null to remove the calibration
+	 */
+	Gamepad.prototype.setCalibration = function(device, calibration) {
+		var key = Gamepad.getDeviceKey(device);
+
+		this.calibrations[key] = calibration || null;
+		this.calibrationStorage.save(key, calibration || null);
+
+		this.gamepads.forEach(function(gamepad) {
+			if (gamepad && (Gamepad.getDeviceKey(gamepad) === key)) {
+				gamepad.calibration = calibration || null;
+			}
+		});
+	};
+
+	/**
+	 * @method getCalibration
+	 * @param {Object} device the gamepad
+	 * @return {Object} the calibration of the device, loaded from the
+	 *		calibrationStorage if not known yet, or null
+	 */
+	Gamepad.prototype.getCalibration = function(device) {
+		var key = Gamepad.getDeviceKey(device);
+
+		if (!this.calibrations.hasOwnProperty(key)) {
+			this.calibrations[key] = this.calibrationStorage.load(key) || null;
+		}
+
+		return this.calibrations[key];
+	};
+
+	/**
+	 * List of actions to take on stick drift, see
+	 * {{#crossLink "Gamepad/setDriftDetection"}}{{/crossLink}}.
+	 *
+	 * @property DriftAction
+	 * @param {String} DriftAction.NONE only fire the DRIFT_DETECTED event
+	 * @param {String} DriftAction.DEADZONE widen the deadzone of the stick on the device
+	 * @param {String} DriftAction.RECENTER take the offset as the new center of the stick on the device
+	 */
+	Gamepad.DriftAction = {
+		NONE: 'none',
+		DEADZONE: 'deadzone',
+		RECENTER: 'recenter'
+	};
+
+	/**
+	 * Enables the detection of stick drift. A stick drifts if its axes stay
+	 * steady beyond the threshold for the given duration while no other
+	 * control is used. Each drifting stick fires a DRIFT_DETECTED event with
+	 * its offset, once until the stick or another control moves. Offsets
+	 * farther from the center than "maxOffset" are taken for a stick held on
+	 * purpose and are never reported nor corrected.
+	 *
+	 * DEADZONE widens the deadzone of the stick on that device to the
+	 * distance of the offset plus "margin", up to "maxDeadzone". RECENTER
+	 * corrects the calibration of the device (only in memory, not stored), so
+	 * the offset reads as center.
+	 *
+	 * @method setDriftDetection
+	 * @param {Object} options "duration" in milliseconds the stick must rest,
+	 *		3000 by default, "tolerance" within which the values count as
+	 *		steady, 0.02 by default, "threshold" beyond which a value counts as
+	 *		off-center, the deadzone of the stick by default, "action" (one of
+	 *		Gamepad.DriftAction), "margin", 0.02 by default, "maxDeadzone",
+	 *		0.3 by default, and "maxOffset", 0.3 by default; null to disable
+	 *		the detection
+	 */
+	Gamepad.prototype.setDriftDetection = function(options) {
+		var number = function(value, defaultValue) {
+			return (typeof(value) === 'number') ? value : defaultValue;
+		};
+
+		this.driftDetection = options ? {
+			duration: number(options.duration, 3000),
+			tolerance: number(options.tolerance, 0.02),
+			threshold: number(options.threshold, null),
+			action: options.action || Gamepad.DriftAction.NONE,
+			margin: number(options.margin, 0.02),
+			maxDeadzone: number(options.maxDeadzone, 0.3),
+			maxOffset: number(options.maxOffset, 0.3)
+		} : null;
+
+		this.gamepads.forEach(function(gamepad) {
+			if (gamepad) {
+				gamepad.drift = null;
+			}
+		});
+	};
+
+	/**
+	 * Tracks how long the sticks of a gamepad have been steady and reports
+	 * the drifting ones once the duration has passed.
+	 *
+	 * @method _detectDrift
+	 * @private
+	 * @param {Object} gamepad the gamepad to watch
+	 */
+	Gamepad.prototype._detectDrift = function(gamepad) {
+		var options = this.driftDetection;
+		var now = this.updateTime;
+		var drift = gamepad.drift;
+		var steady = (drift !== null);
+		var values = {};
+		var getter;
+		var stick;
+		var name;
+
+		for (name in gamepad.state) {
+			getter = gamepad.axisGetters[name];
+
+			if (getter && Gamepad.getStick(name)) {
+				values[name] = getter();
+				steady = steady && (Math.abs(values[name] - drift.values[name]) <= options.tolerance);
+			} else if (!getter && (gamepad.state[name] !== 0)) {
+				steady = false;
+			}
+		}
+
+		if (!steady) {
+			gamepad.drift = {
+				since: now,
+				values: values,
+				reported: false
+			};
+
+			return;
+		}
+
+		if (drift.reported || ((now - drift.since) < options.duration)) {
+			return;
+		}
+
+		drift.reported = true;
+
+		for (stick in Gamepad.Sticks) {
+			this._reportDrift(gamepad, stick, values);
+		}
+	};
+
+	/**
+	 * Fires DRIFT_DETECTED and takes the configured action if the stick is
+	 * off-center, but not farther than maxOffset.
+	 *
+	 * @method _reportDrift
+	 * @private
+	 * @param {Object} gamepad the gamepad
+	 * @param {String} stick the stick, a key of Gamepad.Sticks
+	 * @param {Object} values the raw values of the stick axes by name
+	 */
+	Gamepad.prototype._reportDrift = function(gamepad, stick, values) {
+		var options = this.driftDetection;
+		var settings = this.getStickDeadzone(gamepad, stick);
+		var threshold = (options.threshold !== null) ? options.threshold : settings.deadzone;
+		var offset = Gamepad.Sticks[stick].map(function(name) {
+			return values[name] || 0;
+		});
+		var distance = Math.sqrt((offset[0] * offset[0]) + (offset[1] * offset[1]));
+
+		if ((distance > options.maxOffset) ||
+			((Math.abs(offset[0]) <= threshold) && (Math.abs(offset[1]) <= threshold))) {
+			return;
+		}
+
+		if (options.action === Gamepad.DriftAction.DEADZONE) {
+			this.setStickDeadzone({
+				mode: settings.mode,
+				deadzone: Math.min(distance + options.margin, options.maxDeadzone),
+				maximizeThreshold: settings.maximizeThreshold
+			}, gamepad, stick);
+		} else if (options.action === Gamepad.DriftAction.RECENTER) {
+			this._recenter(gamepad, stick);
+		}
+
+		this._fire(Gamepad.Event.DRIFT_DETECTED, {
+			gamepad: gamepad,
+			stick: stick,
+			offset: offset,
+			action: options.action
+		});
+	};
+
+	/**
+	 * Takes the current raw values of the stick axes as their center in the
+	 * calibration of the gamepad.
+	 *
+	 * @method _recenter
+	 * @private
+	 * @param {Object} gamepad the gamepad
+	 * @param {String} stick the stick, a key of Gamepad.Sticks
+	 */
+	Gamepad.prototype._recenter = function(gamepad, stick) {
+		var byAxis = gamepad.mappingResolution.mapping.axes.byAxis;
+		var axes = gamepad.calibration ? gamepad.calibration.axes.slice() : [];
+
+		Gamepad.Sticks[stick].forEach(function(name) {
+			var entry = byAxis[Gamepad.StandardAxes.indexOf(name)];
+			var index = (typeof(entry) === 'number') ? entry : (entry && entry[0]);
+			var previous;
+
+			if ((typeof(index) !== 'number') || (index < 0) || (index >= gamepad.axes.length)) {
+				return;
+			}
+
+			previous = axes[index] || {
+				min: -1,
+				max: 1
+			};
+			axes[index] = {
+				center: gamepad.axes[index],
+				min: previous.min,
+				max: previous.max
+			};
+		});
+
+		gamepad.calibration = {
+			axes: axes
+		};
+	};
+
+	/**
+	 * Sends the gamepads of a Gamepad instance over a WebSocket to a
+	 * {{#crossLink "RemotePlatform"}}{{/crossLink}}, using the protocol
+	 * described there.
+	 *
+	 * The values are sent in the standard layout (the library's mapped state),
+	 * so the receiving side can use the standard mapping for any controller.
+	 * A state message is sent on each TICK where any value has changed.
+	 *
+	 * @class RemoteSender
+	 * @constructor
+	 * @param {Gamepad} gamepad the initialized Gamepad instance whose gamepads to send
+	 * @param {Object} socket an open (or opening) WebSocket or compatible object
+	 * @param {String} [name] the prefix of the device keys, unique among the senders
+	 *		of the same socket, defaults to 'remote'
+	 * @module Gamepad
+	 */
+	var RemoteSender = function(gamepad, socket, name) {
+		var that = this;
+
+		this.gamepad = gamepad;
+		this.socket = socket;
+		this.name = name || 'remote';
+		this.lastSent = {};
+
+		this.connectedHandler = function(device) {
+			that._sendConnect(device);
+		};
+		this.disconnectedHandler = function(device) {
+			that._sendDisconnect(device);
+		};
+		this.tickHandler = function(devices) {
+			devices.forEach(function(device) {
+				if (device) {
+					that._sendState(device);
+				}
+			});
+		};
+		this.openHandler = function() {
+			that.lastSent = {};
+			that.gamepad.gamepads.forEach(function(device) {
+				if (device) {
+					that._sendConnect(device);
+				}
+			});
+		};
+
+		gamepad.bind(Gamepad.Event.CONNECTED, this.connectedHandler);
+		gamepad.bind(Gamepad.Event.DISCONNECTED, this.disconnectedHandler);
+		gamepad.bind(Gamepad.Event.TICK, this.tickHandler);
+		addSocketListener(socket, 'open', this.openHandler);
+
+		this.openHandler();
+	};
+
+	/**
+	 * Stops sending, announcing all gamepads as disconnected.
+	 *
+	 * @method stop
+	 */
+	RemoteSender.prototype.stop = function() {
+		var that = this;
+
+		this.gamepad.unbind(Gamepad.Event.CONNECTED, this.connectedHandler);
+		this.gamepad.unbind(Gamepad.Event.DISCONNECTED, this.disconnectedHandler);
+		this.gamepad.unbind(Gamepad.Event.TICK, this.tickHandler);
+		removeSocketListener(this.socket, 'open', this.openHandler);
+
+		this.gamepad.gamepads.forEach(function(device) {
+			if (device) {
+				that._sendDisconnect(device);
+			}
+		});
+	};
 
 	/**
-	 * Initializes the gamepad.
-	 *
-	 * You usually want to bind to the events first and then initialize it.
+	 * Returns the mapped values of a gamepad's buttons and axes, in the order
+	 * of Gamepad.StandardButtons and Gamepad.StandardAxes followed by extras.
 	 *
-	 * @method init
-	 * @return {Boolean} true if a supporting platform was detected, false otherwise.
+	 * @method getValues
+	 * @static
+	 * @param {Object} device the connected gamepad
+	 * @return {Object} the values as "buttons" and "axes" arrays
 	 */
-	Gamepad.prototype.init = function() {
-		var platform = Gamepad.resolvePlatform(this);
-		var that = this;
+	RemoteSender.getValues = function(device) {
+		var collect = function(names, extraPrefix) {
+			var values = [];
+			var name = getControlName(names, 0, extraPrefix);
+
+			while (device.state.hasOwnProperty(name)) {
+				values.push(device.state[name]);
+				name = getControlName(names, values.length, extraPrefix);
+			}
 
-		this.platform = platform;
-		this.updateStrategy.start(function() {
-			that._update();
-		});
+			return values;
+		};
 
-		return platform.isSupported();
+		return {
+			buttons: collect(Gamepad.StandardButtons, 'EXTRA_BUTTON_'),
+			axes: collect(Gamepad.StandardAxes, 'EXTRA_AXIS_')
+		};
 	};
 
 	/**
-	 * Binds a listener to a gamepad event.
+	 * @method _getKey
+	 * @private
+	 * @param {Object} device the gamepad
+	 * @return {String} the device key used in messages
+	 */
+	RemoteSender.prototype._getKey = function(device) {
+		return this.name + ':' + device.index;
+	};
+
+	/**
+	 * Sends a message if the socket is open.
 	 *
-	 * @method bind
-	 * @param {String} event Event to bind to, one of Gamepad.Event..
-	 * @param {Function} listener Listener to call when given event occurs
-	 * @return {Gamepad} Self
+	 * @method _send
+	 * @private
+	 * @param {Object} message the message to send as JSON
 	 */
-	Gamepad.prototype.bind = function(event, listener) {
-		if (typeof(this.listeners[event]) === 'undefined') {
-			this.listeners[event] = [];
+	RemoteSender.prototype._send = function(message) {
+		if ((typeof(this.socket.readyState) === 'number') && (this.socket.readyState !== 1)) {
+			return;
 		}
 
-		this.listeners[event].push(listener);
+		this.socket.send(JSON.stringify(message));
+	};
 
-		return this;
+	/**
+	 * @method _sendConnect
+	 * @private
+	 * @param {Object} device the connected gamepad
+	 */
+	RemoteSender.prototype._sendConnect = function(device) {
+		var values = RemoteSender.getValues(device);
+
+		this._send({
+			type: 'connect',
+			device: this._getKey(device),
+			id: device.id,
+			mapping: 'standard',
+			buttons: values.buttons.length,
+			axes: values.axes.length
+		});
+		this._sendState(device);
 	};
 
 	/**
-	 * Removes listener of given type.
-	 *
-	 * If no type is given, all listeners are removed. If no listener is given, all
-	 * listeners of given type are removed.
+	 * @method _sendDisconnect
+	 * @private
+	 * @param {Object} device the disconnected gamepad
+	 */
+	RemoteSender.prototype._sendDisconnect = function(device) {
+		delete this.lastSent[this._getKey(device)];
+
+		this._send({
+			type: 'disconnect',
+			device: this._getKey(device)
+		});
+	};
+
+	/**
+	 * Sends the state of the gamepad if it changed since last sent.
 	 *
-	 * @method unbind
-	 * @param {String} [type] Type of listener to remove
-	 * @param {Function} [listener] The listener function to remove
-	 * @return {Boolean} Was unbinding the listener successful
+	 * @method _sendState
+	 * @private
+	 * @param {Object} device the gamepad
 	 */
-	Gamepad.prototype.unbind = function(type, listener) {
-		if (typeof(type) === 'undefined') {
-			this.listeners = {};
+	RemoteSender.prototype._sendState = function(device) {
+		var key = this._getKey(device);
+		var values = RemoteSender.getValues(device);
+		var serialized = JSON.stringify(values);
 
+		if (this.lastSent[key] === serialized) {
 			return;
 		}
 
-		if (typeof(listener) === 'undefined') {
-			this.listeners[type] = [];
+		this.lastSent[key] = serialized;
+		this._send({
+			type: 'state',
+			device: key,
+			timestamp: environment.now(),
+			buttons: values.buttons,
+			axes: values.axes
+		});
+	};
 
-			return;
-		}
+	/**
+	 * Sends the gamepads of a Gamepad instance to a RemotePlatform, see
+	 * {{#crossLink "RemoteSender"}}{{/crossLink}}.
+	 *
+	 * @property RemoteSender
+	 * @type {Function}
+	 */
+	Gamepad.RemoteSender = RemoteSender;
 
-		if (typeof(this.listeners[type]) === 'undefined') {
-			return false;
-		}
+	/**
+	 * Learns the mapping of an unknown gamepad by asking the user to actuate
+	 * one control after the other. The learner fires a PROMPT event naming the
+	 * control, detects the raw button or axis the user actuates and, once all
+	 * inputs are back at rest, prompts for the next control. For buttons, the
+	 * user presses the button; for axes, the user moves the stick to the right
+	 * (X axes) or down (Y axes).
+	 *
+	 * Buttons reported as axes, such as triggers, are learned with their rest
+	 * value and direction. Axes resting beyond -1 and 1 are taken for hat
+	 * switches, which are learned as hat entry when prompted for a d-pad
+	 * button; the other d-pad buttons are skipped then.
+	 *
+	 *     var learner = new Gamepad.MappingLearner(gamepad, device);
+	 *
+	 *     learner.bind(Gamepad.MappingLearner.Event.PROMPT, function(e) {
+	 *         showPrompt('Press ' + e.control);
+	 *     });
+	 *     learner.bind(Gamepad.MappingLearner.Event.COMPLETE, function(e) {
+	 *         gamepad.setMapping(device, e.mapping);
+	 *     });
+	 *     learner.start();
+	 *
+	 * @class MappingLearner
+	 * @constructor
+	 * @param {Gamepad} gamepad the Gamepad instance the device is connected to
+	 * @param {Object} device the connected gamepad to learn
+	 * @param {Object} [options] "controls" to learn, StandardButtons and
+	 *		StandardAxes by default, and "threshold" from which an input counts as
+	 *		actuated, 0.5 by default
+	 * @module Gamepad
+	 */
+	var MappingLearner = function(gamepad, device, options) {
+		var that = this;
 
-		for (var i = 0; i < this.listeners[type].length; i++) {
-			if (this.listeners[type][i] === listener) {
-				this.listeners[type].splice(i, 1);
+		options = options || {};
 
-				return true;
+		this.gamepad = gamepad;
+		this.device = device;
+		this.controls = options.controls || Gamepad.StandardButtons.concat(Gamepad.StandardAxes);
+		this.threshold = (typeof(options.threshold) === 'number') ? options.threshold : 0.5;
+		this.listeners = {};
+		this.active = false;
+		this.position = 0;
+		this.entries = {};
+		this.history = [];
+		this.hat = null;
+		this.hatPosition = -1;
+		this.rest = [];
+		this.released = false;
+
+		this.tickHandler = function() {
+			that._detect();
+		};
+		this.disconnectedHandler = function(device) {
+			if (device === that.device) {
+				that.stop();
 			}
-		}
-
-		return false;
+		};
 	};
 
 	/**
-	 * Returns the number of connected gamepads.
+	 * List of events fired by the learner.
 	 *
-	 * @method count
-	 * @return {Number}
+	 * PROMPT provides the "control" to actuate, its "type" ('button' or 'axis'),
+	 * the "step" and "count" of steps. LEARNED provides the "control" and its
+	 * mapping "entry" ('hat' for d-pad buttons of a hat switch), SKIPPED the
+	 * "control" and COMPLETE the learned "mapping".
+	 *
+	 * @property Event
+	 * @static
 	 */
-	Gamepad.prototype.count = function() {
-		return this.gamepads.length;
+	MappingLearner.Event = {
+		PROMPT: 'prompt',
+		LEARNED: 'learned',
+		SKIPPED: 'skipped',
+		COMPLETE: 'complete'
 	};
 
 	/**
-	 * Fires an internal event with given data.
-	 *
+	 * @method bind
+	 * @param {String} event Event to bind to, one of MappingLearner.Event
+	 * @param {Function} listener Listener to call when given event occurs
+	 * @return {MappingLearner} Self
+	 */
+	MappingLearner.prototype.bind = Gamepad.prototype.bind;
+
+	/**
+	 * @method unbind
+	 * @param {String} [type] Type of listener to remove
+	 * @param {Function} [listener] The listener function to remove
+	 * @return {Boolean} Was unbinding the listener successful
+	 */
+	MappingLearner.prototype.unbind = Gamepad.prototype.unbind;
+
+	/**
 	 * @method _fire
-	 * @param {String} event Event to fire, one of Gamepad.Event..
-	 * @param {*} data Data to pass to the listener
 	 * @private
 	 */
-	Gamepad.prototype._fire = function(event, data) {
-		if (typeof(this.listeners[event]) === 'undefined') {
+	MappingLearner.prototype._fire = Gamepad.prototype._fire;
+
+	/**
+	 * Starts learning with the first control. The current values of the axes
+	 * are taken as their rest values, so no control should be actuated.
+	 *
+	 * @method start
+	 */
+	MappingLearner.prototype.start = function() {
+		if (this.active) {
 			return;
 		}
 
-		for (var i = 0; i < this.listeners[event].length; i++) {
-			this.listeners[event][i].apply(this.listeners[event][i], [data]);
-		}
-	};
+		this.active = true;
+		this.position = 0;
+		this.entries = {};
+		this.history = [];
+		this.hat = null;
+		this.hatPosition = -1;
+		this.rest = Array.prototype.slice.call(this.device.axes);
+		this.released = false;
 
-	/**
-	 * @method getNullPlatform
-	 * @static
-	 * @return {Object} a platform that does not support anything
-	 */
-	Gamepad.getNullPlatform = function() {
-		return Object.create(nullPlatform);
+		this.gamepad.bind(Gamepad.Event.TICK, this.tickHandler);
+		this.gamepad.bind(Gamepad.Event.DISCONNECTED, this.disconnectedHandler);
+
+		this._prompt();
 	};
 
 	/**
-	 * Resolves platform.
+	 * Stops learning.
 	 *
-	 * @method resolvePlatform
-	 * @static
-	 * @param listener {Object} the listener to handle _connect() or _disconnect() calls
-	 * @return {Object} A platform instance
+	 * @method stop
 	 */
-	Gamepad.resolvePlatform = function(listener) {
-		var platform = nullPlatform;
-		var i;
+	MappingLearner.prototype.stop = function() {
+		if (this.active) {
+			this.active = false;
 
-		for (i = 0; !platform.isSupported() && (i < Gamepad.PlatformFactories.length); i++) {
-			platform = Gamepad.PlatformFactories[i](listener);
+			this.gamepad.unbind(Gamepad.Event.TICK, this.tickHandler);
+			this.gamepad.unbind(Gamepad.Event.DISCONNECTED, this.disconnectedHandler);
 		}
-
-		return platform;
 	};
 
 	/**
-	 * Registers given gamepad.
+	 * Leaves the current control unmapped and prompts for the next one.
 	 *
-	 * @method _connect
-	 * @param {Object} gamepad Gamepad to connect to
-	 * @private
+	 * @method skip
 	 */
-	Gamepad.prototype._connect = function(gamepad) {
-		var mapping = this._resolveMapping(gamepad);
-		var count;
-		var i;
-
-		//gamepad.mapping = this._resolveMapping(gamepad);
-		gamepad.state = {};
-		gamepad.lastState = {};
-		gamepad.updater = [];
-
-		count = mapping.buttons.byButton.length;
-		for (i = 0; i < count; i++) {
-			this._addButtonUpdater(gamepad, mapping, i);
-		}
+	MappingLearner.prototype.skip = function() {
+		var control = this.controls[this.position];
 
-		count = mapping.axes.byAxis.length;
-		for (i = 0; i < count; i++) {
-			this._addAxisUpdater(gamepad, mapping, i);
+		if (!this.active) {
+			return;
 		}
 
-		this.gamepads[gamepad.index] = gamepad;
+		this.entries[control] = -1;
+		this.history.push(this.position);
+		this._fire(MappingLearner.Event.SKIPPED, {
+			control: control
+		});
 
-		this._fire(Gamepad.Event.CONNECTED, gamepad);
+		this.position++;
+		this._prompt();
 	};
 
 	/**
-	 * Adds an updater for a button control
+	 * Forgets the last learned or skipped control and prompts for it again.
 	 *
-	 * @method _addButtonUpdater
-	 * @private
-	 * @param {Object} gamepad the gamepad for which to create the updater
-	 * @param {Object} mapping the mapping on which to work on
-	 * @param {Number} index button index
+	 * @method undo
+	 * @return {Boolean} false if there is nothing to undo
 	 */
-	Gamepad.prototype._addButtonUpdater = function(gamepad, mapping, index) {
-		var updater = nullFunction;
-		var controlName = getControlName(Gamepad.StandardButtons, index, 'EXTRA_BUTTON_');
-		var getter = this._createButtonGetter(gamepad, mapping.buttons, index);
-		var that = this;
-		var buttonEventData = {
-			gamepad: gamepad,
-			control: controlName
-		};
-
-		gamepad.state[controlName] = 0;
-		gamepad.lastState[controlName] = 0;
-
-		updater = function() {
-			var value = getter();
-			var lastValue = gamepad.lastState[controlName];
-			var isDown = value > 0.5;
-			var wasDown = lastValue > 0.5;
-
-			gamepad.state[controlName] = value;
+	MappingLearner.prototype.undo = function() {
+		var step;
+		var i;
 
-			if (isDown && !wasDown) {
-				that._fire(Gamepad.Event.BUTTON_DOWN, Object.create(buttonEventData));
-			} else if (!isDown && wasDown) {
-				that._fire(Gamepad.Event.BUTTON_UP, Object.create(buttonEventData));
-			}
+		if (!this.active || (this.history.length === 0)) {
+			return false;
+		}
 
-			if ((value !== 0) && (value !== 1) && (value !== lastValue)) {
-				that._fireAxisChangedEvent(gamepad, controlName, value);
-			}
+		step = this.history.pop();
+		for (i = step; i < this.controls.length; i++) {
+			delete this.entries[this.controls[i]];
+		}
+		if (this.hatPosition >= step) {
+			this.hat = null;
+			this.hatPosition = -1;
+		}
 
-			gamepad.lastState[controlName] = value;
-		};
+		this.position = step;
+		this.released = false;
+		this._prompt();
 
-		gamepad.updater.push(updater);
+		return true;
 	};
 
 	/**
-	 * Adds an updater for an axis control
+	 * Builds the mapping from the controls learned so far. It applies to
+	 * gamepads of the same vendor and product (or id, if the device reports
+	 * none) on the same platform, with the same mapping by the browser.
 	 *
-	 * @method _addAxisUpdater
-	 * @private
-	 * @param {Object} gamepad the gamepad for which to create the updater
-	 * @param {Object} mapping the mapping on which to work on
-	 * @param {Number} index axis index
+	 * @method getMapping
+	 * @return {Object} the mapping, in the form of Gamepad.Mappings
 	 */
-	Gamepad.prototype._addAxisUpdater = function(gamepad, mapping, index) {
-		var updater = nullFunction;
-		var controlName = getControlName(Gamepad.StandardAxes, index, 'EXTRA_AXIS_');
-		var getter = this._createAxisGetter(gamepad, mapping.axes, index);
-		var that = this;
-
-		gamepad.state[controlName] = 0;
-		gamepad.lastState[controlName] = 0;
-
-		updater = function() {
-			var value = getter();
-			var lastValue = gamepad.lastState[controlName];
+	MappingLearner.prototype.getMapping = function() {
+		var descriptor = this.device.descriptor || Gamepad.parseDeviceId(this.device.id);
+		var mapping = {
+			env: {
+				platform: this.gamepad.platform.getType(this.device),
+				mapping: this.device.mapping || ''
+			},
+			buttons: {
+				byButton: [],
+				byAxis: []
+			},
+			axes: {
+				byAxis: []
+			}
+		};
+		var buttons = mapping.buttons;
+		var entry;
+		var index;
+		var name;
+
+		if (descriptor.vendor) {
+			mapping.env.vendor = descriptor.vendor;
+			mapping.env.product = descriptor.product;
+		} else {
+			mapping.env.id = this.device.id;
+		}
 
-			gamepad.state[controlName] = value;
+		for (name in this.entries) {
+			entry = this.entries[name];
+			index = getControlIndex(Gamepad.StandardButtons, name, 'EXTRA_BUTTON_');
 
-			if ((value !== lastValue)) {
-				that._fireAxisChangedEvent(gamepad, controlName, value);
+			if (MappingLearner.isAxis(name)) {
+				mapping.axes.byAxis[getControlIndex(Gamepad.StandardAxes, name, 'EXTRA_AXIS_')] = entry;
+			} else if (typeof(entry) === 'number') {
+				buttons.byButton[index] = entry;
+			} else if (typeof(entry) === 'object') {
+				buttons.byAxis[index] = entry;
 			}
+		}
 
-			gamepad.lastState[controlName] = value;
-		};
+		fillMissing(buttons.byButton, Gamepad.StandardButtons.length);
+		fillMissing(buttons.byAxis, buttons.byButton.length);
+		fillMissing(mapping.axes.byAxis, Gamepad.StandardAxes.length);
 
-		gamepad.updater.push(updater);
+		if (this.hat) {
+			mapping.hat = {
+				axis: this.hat.axis
+			};
+		}
+
+		return mapping;
 	};
 
 	/**
-	 * Fires an AXIS_CHANGED event
-	 * @method _fireAxisChangedEvent
-	 * @private
-	 * @param {Object} gamepad the gamepad to notify for
-	 * @param {String} controlName name of the control that changes its value
-	 * @param {Number} value the new value
-	 */
-	Gamepad.prototype._fireAxisChangedEvent = function(gamepad, controlName, value) {
-		var eventData = {
-			gamepad: gamepad,
-			axis: controlName,
-			value: value
-		};
-
-		this._fire(Gamepad.Event.AXIS_CHANGED, eventData);
+	 * @method isAxis
+	 * @static
+	 * @param {String} control the control name
+	 * @return {Boolean} true if the control is an axis
+	 */
+	MappingLearner.isAxis = function(control) {
+		return (Gamepad.StandardAxes.indexOf(control) >= 0) || (control.indexOf('EXTRA_AXIS_') === 0);
 	};
 
 	/**
-	 * Creates a getter according to the mapping entry for the specific index.
-	 * Currently supported entries:
-	 *
-	 * buttons.byButton[index]: Number := Index into gamepad.buttons; -1 tests byAxis
-	 * buttons.byAxis[index]: Array := [Index into gamepad.axes; Zero Value, One Value]
+	 * Prompts for the current control, skipping d-pad buttons of a learned hat
+	 * switch, or completes learning after the last one.
 	 *
-	 * @method _createButtonGetter
+	 * @method _prompt
 	 * @private
-	 * @param {Object} gamepad the gamepad for which to create a getter
-	 * @param {Object} buttons the mappings entry for the buttons
-	 * @param {Number} index the specific button entry
-	 * @return {Function} a getter returning the value for the requested button
 	 */
-	Gamepad.prototype._createButtonGetter = (function() {
-		var nullGetter = function() {
-			return 0;
-		};
+	MappingLearner.prototype._prompt = function() {
+		var control = this.controls[this.position];
 
-		var createRangeGetter = function(valueGetter, from, to) {
-			var getter = nullGetter;
+		while (this.hat && Gamepad.HatButtons.hasOwnProperty(control)) {
+			this.entries[control] = 'hat';
+			this.position++;
+			control = this.controls[this.position];
+		}
 
-			if (from < to) {
-				getter = function() {
-					var range = to - from;
-					var value = valueGetter();
+		if (this.position >= this.controls.length) {
+			this.stop();
+			this._fire(MappingLearner.Event.COMPLETE, {
+				mapping: this.getMapping()
+			});
 
-					value = (value - from) / range;
+			return;
+		}
 
-					return (value < 0) ? 0 : value;
-				};
-			} else if (to < from) {
-				getter = function() {
-					var range = from - to;
-					var value = valueGetter();
+		this._fire(MappingLearner.Event.PROMPT, {
+			control: control,
+			type: MappingLearner.isAxis(control) ? 'axis' : 'button',
+			step: this.position,
+			count: this.controls.length
+		});
+	};
 
-					value = (value - to) / range;
+	/**
+	 * Looks for an actuated input once all inputs were at rest.
+	 *
+	 * @method _detect
+	 * @private
+	 */
+	MappingLearner.prototype._detect = function() {
+		var device = this.device;
+		var threshold = this.threshold;
+		var rest = this.rest;
+		var buttons = Array.prototype.map.call(device.buttons, Recorder.getButtonValue);
+		var deviation = 0;
+		var axis = -1;
+		var i;
 
-					return (value > 1) ? 0 : (1 - value);
-				};
+		for (i = 0; i < device.axes.length; i++) {
+			if (Math.abs(device.axes[i] - rest[i]) > Math.max(threshold, deviation)) {
+				deviation = Math.abs(device.axes[i] - rest[i]);
+				axis = i;
 			}
+		}
 
-			return getter;
-		};
-
-		var isArray = function(thing) {
-			return Object.prototype.toString.call(thing) === '[object Array]';
-		};
-
-		return function(gamepad, buttons, index) {
-			var getter = nullGetter;
-			var entry;
-			var that = this;
-
-			entry = buttons.byButton[index];
-			if (entry !== -1) {
-				if ((typeof(entry) === 'number') && (entry < gamepad.buttons.length)) {
-					getter = function() {
-						var value = gamepad.buttons[entry];
+		for (i = 0; i < buttons.length; i++) {
+			if (buttons[i] > threshold) {
+				break;
+			}
+		}
 
-						if (typeof value === 'number') {
-							return value;
-						}
+		if (!this.released) {
+			this.released = (axis < 0) && (i === buttons.length);
+		} else if (i < buttons.length) {
+			this._learn(i, -1);
+		} else if (axis >= 0) {
+			this._learn(-1, axis);
+		}
+	};
 
-						if (typeof value.value === 'number') {
-							return value.value;
-						}
+	/**
+	 * Learns the actuated input for the current control, if it fits.
+	 *
+	 * @method _learn
+	 * @private
+	 * @param {Number} button the index of the pressed button, or -1
+	 * @param {Number} axis the index of the moved axis, or -1
+	 */
+	MappingLearner.prototype._learn = function(button, axis) {
+		var control = this.controls[this.position];
+		var isAxis = MappingLearner.isAxis(control);
+		var rest = this.rest[axis];
+		var direction = (this.device.axes[axis] > rest) ? 1 : -1;
+		var entry = null;
+
+		if (button >= 0) {
+			entry = isAxis ? null : button;
+		} else if (Math.abs(rest) > 1) {
+			if (Gamepad.HatButtons.hasOwnProperty(control)) {
+				this.hat = {
+					axis: axis
+				};
+				this.hatPosition = this.position;
+				entry = 'hat';
+			}
+		} else if (isAxis) {
+			entry = (direction > 0) ? axis : [axis, 1, -1];
+		} else {
+			entry = [axis, (rest < -0.5) ? -1 : 0, direction];
+		}
 
-						return 0;
-					};
-				}
-			} else if (buttons.byAxis && (index < buttons.byAxis.length)) {
-				entry = buttons.byAxis[index];
-				if (isArray(entry) && (entry.length == 3) && (entry[0] < gamepad.axes.length)) {
-					getter = function() {
-						var value = gamepad.axes[entry[0]];
+		if (entry === null) {
+			return;
+		}
 
-						return that._applyDeadzoneMaximize(value);
-					};
+		this.released = false;
+		this.entries[control] = entry;
+		this.history.push(this.position);
+		this._fire(MappingLearner.Event.LEARNED, {
+			control: control,
+			entry: entry
+		});
 
-					getter = createRangeGetter(getter, entry[1], entry[2]);
-				}
-			}
+		this.position++;
+		this._prompt();
+	};
 
-			return getter;
-		};
-	})();
+	/**
+	 * Learns the mapping of an unknown gamepad, see
+	 * {{#crossLink "MappingLearner"}}{{/crossLink}}.
+	 *
+	 * @property MappingLearner
+	 * @type {Function}
+	 */
+	Gamepad.MappingLearner = MappingLearner;
 
 	/**
-	 * Creates a getter according to the mapping entry for the specific index.
-	 * Currently supported entries:
+	 * Calibrates the axes of a gamepad whose sticks rest off-center or do not
+	 * reach the ends of their travel. The calibrator averages the rest values
+	 * of the axes over the first updates, fires CENTERED and then records the
+	 * travel of the axes while the user rotates the sticks, until
+	 * {{#crossLink "Calibrator/finish"}}{{/crossLink}} is called.
 	 *
-	 * axes.byAxis[index]: Number := Index into gamepad.axes; -1 ignored
+	 *     var calibrator = new Gamepad.Calibrator(gamepad, device);
 	 *
-	 * @method _createAxisGetter
-	 * @private
-	 * @param {Object} gamepad the gamepad for which to create a getter
-	 * @param {Object} axes the mappings entry for the axes
-	 * @param {Number} index the specific axis entry
-	 * @return {Function} a getter returning the value for the requested axis
+	 *     calibrator.bind(Gamepad.Calibrator.Event.CENTERED, function() {
+	 *         showPrompt('Rotate the sticks, then press done');
+	 *     });
+	 *     calibrator.start();
+	 *     // later
+	 *     calibrator.finish();
+	 *
+	 * @class Calibrator
+	 * @constructor
+	 * @param {Gamepad} gamepad the Gamepad instance the device is connected to
+	 * @param {Object} device the connected gamepad to calibrate
+	 * @param {Object} [options] "samples" to average the rest values over, 10
+	 *		by default, and "range", the travel an axis needs to each side to be
+	 *		calibrated, 0.5 by default
+	 * @module Gamepad
 	 */
-	Gamepad.prototype._createAxisGetter = (function() {
-		var nullGetter = function() {
-			return 0;
-		};
+	var Calibrator = function(gamepad, device, options) {
+		var that = this;
 
-		return function(gamepad, axes, index) {
-			var getter = nullGetter;
-			var entry;
-			var that = this;
+		options = options || {};
 
-			entry = axes.byAxis[index];
-			if (entry !== -1) {
-				if ((typeof(entry) === 'number') && (entry < gamepad.axes.length)) {
-					getter = function() {
-						var value = gamepad.axes[entry];
+		this.gamepad = gamepad;
+		this.device = device;
+		this.samples = options.samples || 10;
+		this.range = (typeof(options.range) === 'number') ? options.range : 0.5;
+		this.listeners = {};
+		this.active = false;
+		this.count = 0;
+		this.axes = [];
 
-						return that._applyDeadzoneMaximize(value);
-					};
-				}
+		this.tickHandler = function() {
+			that._sample();
+		};
+		this.disconnectedHandler = function(device) {
+			if (device === that.device) {
+				that.stop();
 			}
-
-			return getter;
 		};
-	})();
+	};
 
 	/**
-	 * Disconnects from given gamepad.
+	 * List of events fired by the calibrator.
 	 *
-	 * @method _disconnect
-	 * @param {Object} gamepad Gamepad to disconnect
-	 * @private
+	 * CENTERED is fired once the rest values are known, COMPLETE provides the
+	 * "calibration".
+	 *
+	 * @property Event
+	 * @static
 	 */
-	Gamepad.prototype._disconnect = function(gamepad) {
-		var newGamepads = [],
-			i;
+	Calibrator.Event = {
+		CENTERED: 'centered',
+		COMPLETE: 'complete'
+	};
 
-		if (typeof(this.gamepads[gamepad.index]) !== 'undefined') {
-			delete this.gamepads[gamepad.index];
-		}
+	/**
+	 * @method bind
+	 * @param {String} event Event to bind to, one of Calibrator.Event
+	 * @param {Function} listener Listener to call when given event occurs
+	 * @return {Calibrator} Self
+	 */
+	Calibrator.prototype.bind = Gamepad.prototype.bind;
 
-		for (i = 0; i < this.gamepads.length; i++) {
-			if (typeof(this.gamepads[i]) !== 'undefined') {
-				newGamepads[i] = this.gamepads[i];
-			}
+	/**
+	 * @method unbind
+	 * @param {String} [type] Type of listener to remove
+	 * @param {Function} [listener] The listener function to remove
+	 * @return {Boolean} Was unbinding the listener successful
+	 */
+	Calibrator.prototype.unbind = Gamepad.prototype.unbind;
+
+	/**
+	 * @method _fire
+	 * @private
+	 */
+	Calibrator.prototype._fire = Gamepad.prototype._fire;
+
+	/**
+	 * Starts calibrating. The sticks should be at rest until CENTERED fires.
+	 *
+	 * @method start
+	 */
+	Calibrator.prototype.start = function() {
+		if (this.active) {
+			return;
 		}
 
-		this.gamepads = newGamepads;
+		this.active = true;
+		this.count = 0;
+		this.axes = [];
 
-		this._fire(Gamepad.Event.DISCONNECTED, gamepad);
+		this.gamepad.bind(Gamepad.Event.TICK, this.tickHandler);
+		this.gamepad.bind(Gamepad.Event.DISCONNECTED, this.disconnectedHandler);
 	};
 
 	/**
-	 * Resolves controller type from its id.
+	 * Stops calibrating without applying the calibration.
 	 *
-	 * @method _resolveControllerType
-	 * @param {String} id Controller id
-	 * @return {String} Controller type, one of Gamepad.Type
-	 * @private
+	 * @method stop
 	 */
-	Gamepad.prototype._resolveControllerType = function(id) {
-		// Lowercase and strip all extra whitespace.
-		id = id.toLowerCase().replace(/\s+/g, ' ').replace(/^\s+|\s+$/g, '');
-
-		if (id.indexOf('playstation') !== -1) {
-			return Gamepad.Type.PLAYSTATION;
-		} else if (
-			id.indexOf('logitech') !== -1 || id.indexOf('wireless gamepad') !== -1) {
-			return Gamepad.Type.LOGITECH;
-		} else if (id.indexOf('xbox') !== -1 || id.indexOf('360') !== -1) {
-			return Gamepad.Type.XBOX;
-		} else if ((id.indexOf('79-6-generic') !== -1 && id.indexOf('joystick') !== -1) ||
-			(id.indexOf('vendor: 0079 product: 0006') !== -1 &&
-				id.indexOf('generic usb joystick') !== -1)) {
-			return Gamepad.Type.N64;
-		} else {
-			return Gamepad.Type.UNKNOWN;
+	Calibrator.prototype.stop = function() {
+		if (this.active) {
+			this.active = false;
+
+			this.gamepad.unbind(Gamepad.Event.TICK, this.tickHandler);
+			this.gamepad.unbind(Gamepad.Event.DISCONNECTED, this.disconnectedHandler);
 		}
 	};
 
 	/**
-	 * @method _resolveMapping
-	 * @private
-	 * @param {Object} gamepad the gamepad for which to resolve the mapping
-	 * @return {Object} a mapping object for the given gamepad
+	 * Stops calibrating, sets the calibration of the device and fires
+	 * COMPLETE.
+	 *
+	 * @method finish
+	 * @return {Object} the calibration, see
+	 *		{{#crossLink "Gamepad/setCalibration"}}{{/crossLink}}
 	 */
-	Gamepad.prototype._resolveMapping = function(gamepad) {
-		var mappings = Gamepad.Mappings;
-		var mapping = null;
-		var env = {
-			platform: this.platform.getType(),
-			type: this._resolveControllerType(gamepad.id)
-		};
-		var i;
-		var test;
+	Calibrator.prototype.finish = function() {
+		var calibration = this.getCalibration();
 
-		for (i = 0; !mapping && (i < mappings.length); i++) {
-			test = mappings[i];
-			if (Gamepad.envMatchesFilter(test.env, env)) {
-				mapping = test;
-			}
-		}
+		this.stop();
+		this.gamepad.setCalibration(this.device, calibration);
+		this._fire(Calibrator.Event.COMPLETE, {
+			calibration: calibration
+		});
 
-		return mapping || Gamepad.StandardMapping;
+		return calibration;
 	};
 
 	/**
-	 * @method envMatchesFilter
-	 * @static
-	 * @param {Object} filter the filter object describing properties to match
-	 * @param {Object} env the environment object that is matched against filter
-	 * @return {Boolean} true if env is covered by filter
+	 * Returns the calibration recorded so far. Axes that did not travel far
+	 * enough to both sides, or rest beyond -1 and 1 like hat switches, are
+	 * left uncalibrated.
+	 *
+	 * @method getCalibration
+	 * @return {Object} the calibration
 	 */
-	Gamepad.envMatchesFilter = function(filter, env) {
-		var result = true;
-		var field;
+	Calibrator.prototype.getCalibration = function() {
+		var range = this.range;
+		var centered = this.count >= this.samples;
 
-		for (field in filter) {
-			if (filter[field] !== env[field]) {
-				result = false;
-			}
-		}
+		return {
+			axes: this.axes.map(function(axis) {
+				var center = axis.sum / axis.count;
 
-		return result;
+				if (!centered || (Math.abs(center) > 1) ||
+					((axis.max - center) < range) || ((center - axis.min) < range)) {
+					return null;
+				}
+
+				return {
+					center: center,
+					min: axis.min,
+					max: axis.max
+				};
+			})
+		};
 	};
 
 	/**
-	 * Updates the controllers, triggering TICK events.
+	 * Adds the current values of the axes to the rest values or the travel.
 	 *
-	 * @method _update
+	 * @method _sample
 	 * @private
 	 */
-	Gamepad.prototype._update = function() {
-		this.platform.update();
+	Calibrator.prototype._sample = function() {
+		var centering = this.count < this.samples;
+		var that = this;
 
-		this.gamepads.forEach(function(gamepad) {
-			if (gamepad) {
-				gamepad.updater.forEach(function(updater) {
-					updater();
-				});
+		Array.prototype.forEach.call(this.device.axes, function(value, index) {
+			var axis = that.axes[index] || {
+				sum: 0,
+				count: 0,
+				min: value,
+				max: value
+			};
+
+			if (centering) {
+				axis.sum += value;
+				axis.count++;
 			}
+
+			axis.min = Math.min(axis.min, value);
+			axis.max = Math.max(axis.max, value);
+			that.axes[index] = axis;
 		});
 
-		if (this.gamepads.length > 0) {
-			this._fire(Gamepad.Event.TICK, this.gamepads);
+		this.count++;
+
+		if (this.count === this.samples) {
+			this._fire(Calibrator.Event.CENTERED, {});
 		}
-	},
+	};
 
 	/**
-	 * Applies deadzone and maximization.
-	 *
-	 * You can change the thresholds via deadzone and maximizeThreshold members.
+	 * Calibrates the axes of a gamepad, see
+	 * {{#crossLink "Calibrator"}}{{/crossLink}}.
 	 *
-	 * @method _applyDeadzoneMaximize
-	 * @param {Number} value Value to modify
-	 * @param {Number} [deadzone] Deadzone to apply
-	 * @param {Number} [maximizeThreshold] From which value to maximize value
-	 * @private
+	 * @property Calibrator
+	 * @type {Function}
 	 */
-	Gamepad.prototype._applyDeadzoneMaximize = function(
-		value,
-		deadzone,
-		maximizeThreshold) {
-		deadzone = typeof(deadzone) !== 'undefined' ? deadzone : this.deadzone;
-		maximizeThreshold = typeof(maximizeThreshold) !== 'undefined' ? maximizeThreshold : this.maximizeThreshold;
-
-		if (value >= 0) {
-			if (value < deadzone) {
-				value = 0;
-			} else if (value > maximizeThreshold) {
-				value = 1;
-			}
-		} else {
-			if (value > -deadzone) {
-				value = 0;
-			} else if (value < -maximizeThreshold) {
-				value = -1;
-			}
-		}
-
-		return value;
-	};
+	Gamepad.Calibrator = Calibrator;
 
 	exports.Gamepad = Gamepad;
 
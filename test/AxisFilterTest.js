@@ -0,0 +1,225 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Axis filters', {
+		setUp: function() {
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.Type = this.Gamepad.FilterType;
+			this.round = function(value) {
+				return Math.round(value * 1000) / 1000;
+			};
+		},
+
+		'createFilter()': {
+			'should start with the first value': function() {
+				var filter = this.Gamepad.createFilter({
+					type: this.Type.EMA
+				});
+
+				assert.equals(filter(0.5, 1000), 0.5);
+			},
+
+			'should smooth the same at any update rate': function() {
+				var slow = this.Gamepad.createFilter({
+					type: this.Type.EMA,
+					cutoff: 2
+				});
+				var fast = this.Gamepad.createFilter({
+					type: this.Type.EMA,
+					cutoff: 2
+				});
+				var time;
+
+				slow(0, 0);
+				fast(0, 0);
+				slow(1, 100);
+				for (time = 10; time <= 100; time += 10) {
+					fast(1, time);
+				}
+
+				assert.equals(this.round(slow(1, 100)), this.round(fast(1, 100)));
+				assert.equals(this.round(slow(1, 100)), 0.715);
+			},
+
+			'should return the previous result for the same time': function() {
+				var filter = this.Gamepad.createFilter({
+					type: this.Type.EMA
+				});
+
+				filter(0, 0);
+
+				assert.equals(filter(1, 100), filter(0, 100));
+			},
+
+			'should follow fast movements closer with One Euro': function() {
+				var settings = {
+					type: this.Type.ONE_EURO,
+					minCutoff: 1,
+					beta: 0.5
+				};
+				var oneEuro = this.Gamepad.createFilter(settings);
+				var ema = this.Gamepad.createFilter({
+					type: this.Type.EMA,
+					cutoff: 1
+				});
+				var jitter = this.Gamepad.createFilter(settings);
+
+				oneEuro(0, 0);
+				ema(0, 0);
+				assert.greater(oneEuro(1, 20), ema(1, 20) * 2);
+
+				jitter(0.5, 0);
+				assert.less(Math.abs(jitter(0.52, 20) - 0.5), 0.005);
+			},
+
+			'should throw on unknown types': function() {
+				var Gamepad = this.Gamepad;
+
+				assert.exception(function() {
+					Gamepad.createFilter({
+						type: 'kalman'
+					});
+				});
+			}
+		},
+
+		'should smooth by the time of the clock of the instance': function() {
+			var updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			var platform;
+			var obj = new this.Gamepad(updater, [
+				function(listener) {
+					platform = new PlatformSimulator(listener);
+
+					return platform;
+				}
+			]);
+			var device = new GamepadSimulator().addGamepad(0, 'Stepped Pad', 17, 4);
+			var frame = 0;
+
+			obj.clock = function() {
+				return frame * 100;
+			};
+			obj.init();
+			platform.listener._connect(device);
+			obj.setFilter({
+				type: this.Type.EMA,
+				cutoff: 2
+			});
+			updater.update();
+
+			device.axes[0] = 1;
+			frame++;
+			updater.update();
+			assert.equals(this.round(device.state.LEFT_STICK_X), 0.715);
+
+			frame++;
+			updater.update();
+			assert.equals(this.round(device.state.LEFT_STICK_X), 0.919);
+		},
+
+		'on gamepads': {
+			setUp: function() {
+				var that = this;
+
+				this.now = this.Gamepad.Environment.now;
+				this.time = 0;
+				this.Gamepad.Environment.now = function() {
+					return that.time;
+				};
+
+				this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				this.obj = new this.Gamepad(this.updater, [
+					function(listener) {
+						that.platform = new PlatformSimulator(listener);
+
+						return that.platform;
+					}
+				]);
+				this.obj.init();
+
+				this.gamepadSimulator = new GamepadSimulator();
+				this.device = this.gamepadSimulator.addGamepad(0, 'Noisy Pad', 17, 4);
+				this.platform.listener._connect(this.device);
+				this.updater.update();
+				this.ema = {
+					type: this.Type.EMA,
+					cutoff: 2
+				};
+				this.step = function(value) {
+					that.time += 100;
+					that.device.axes[0] = value;
+					that.updater.update();
+
+					return that.round(that.device.state.LEFT_STICK_X);
+				};
+			},
+
+			tearDown: function() {
+				this.Gamepad.Environment.now = this.now;
+			},
+
+			'should smooth axes before the deadzone': function() {
+				this.obj.setFilter(this.ema);
+				this.step(0);
+
+				assert.equals(this.step(1), 0.715);
+				assert.equals(this.step(1), 0.919);
+				assert.equals(this.step(0), 0.262);
+				assert.equals(this.step(0), 0.074);
+				assert.equals(this.step(0), 0);
+			},
+
+			'should smooth both axes of a stick once per update': function() {
+				this.obj.setFilter(this.ema, this.device, 'LEFT_STICK_Y');
+				this.step(0);
+				this.device.axes[1] = 1;
+
+				assert.equals(this.step(1), 1);
+				assert.equals(this.round(this.device.state.LEFT_STICK_Y), 0.715);
+			},
+
+			'should prefer filters of the device and axis': function() {
+				var other = this.gamepadSimulator.addGamepad(1, 'Other Pad', 17, 4);
+
+				this.platform.listener._connect(other);
+				this.obj.setFilter(this.ema);
+				this.obj.setFilter({
+					type: this.Type.EMA,
+					cutoff: 1000
+				}, this.device, 'LEFT_STICK_X');
+				this.step(0);
+				other.axes[0] = 1;
+
+				assert.equals(this.step(1), 1);
+				assert.equals(this.round(other.state.LEFT_STICK_X), 0.715);
+			},
+
+			'should remove filters': function() {
+				this.obj.setFilter(this.ema);
+				this.step(1);
+				this.obj.setFilter(null);
+
+				assert.equals(this.step(0.5), 0.5);
+				refute(this.device.filterStates.LEFT_STICK_X);
+			},
+
+			'should reject unknown types': function() {
+				var obj = this.obj;
+
+				assert.exception(function() {
+					obj.setFilter({
+						type: 'kalman'
+					});
+				});
+				assert.equals(this.obj.filters, {});
+			}
+		}
+	});
+})();
@@ -0,0 +1,192 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Calibration', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.stored = {};
+			this.storage = {
+				load: function(key) {
+					return that.stored[key] || null;
+				},
+				save: function(key, calibration) {
+					that.stored[key] = calibration;
+				}
+			};
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			this.obj.calibrationStorage = this.storage;
+			this.obj.init();
+
+			this.gamepadSimulator = new GamepadSimulator();
+			this.device = this.gamepadSimulator.addGamepad(0, '054c-09cc-Worn Pad', 17, 5);
+			this.device.axes[4] = 9 / 7;
+			this.platform.listener._connect(this.device);
+			this.worn = {
+				axes: [{
+					center: 0.25,
+					min: -0.75,
+					max: 0.75
+				}]
+			};
+		},
+
+		'applyCalibration()': {
+			'should center and scale each side of the axis': function() {
+				var calibration = this.worn.axes[0];
+
+				assert.equals(this.Gamepad.applyCalibration(0.25, calibration), 0);
+				assert.equals(this.Gamepad.applyCalibration(0.5, calibration), 0.5);
+				assert.equals(this.Gamepad.applyCalibration(-0.25, calibration), -0.5);
+				assert.equals(this.Gamepad.applyCalibration(-0.8, calibration), -1);
+			},
+
+			'should keep values without calibration': function() {
+				assert.equals(this.Gamepad.applyCalibration(0.4, null), 0.4);
+			}
+		},
+
+		'getDeviceKey()': {
+			'should use the USB ids if known': function() {
+				assert.equals(this.Gamepad.getDeviceKey({
+					id: 'Worn Pad (Vendor: 054c Product: 09cc)'
+				}), '054c-09cc');
+				assert.equals(this.Gamepad.getDeviceKey(this.device), '054c-09cc');
+			},
+
+			'should use the id otherwise': function() {
+				assert.equals(this.Gamepad.getDeviceKey({
+					id: 'Worn Pad'
+				}), 'Worn Pad');
+			}
+		},
+
+		'should correct axes before the deadzone': function() {
+			this.obj.setCalibration(this.device, this.worn);
+			this.device.axes[0] = 0.26;
+			this.updater.update();
+			assert.equals(this.device.state.LEFT_STICK_X, 0);
+
+			this.device.axes[0] = 0.74;
+			this.updater.update();
+			assert.equals(this.device.state.LEFT_STICK_X, 1);
+		},
+
+		'should correct axes of buttons mapped from axes': function() {
+			this.obj.setMapping(this.device, {
+				extends: 'standard',
+				buttons: {
+					RIGHT_BOTTOM_SHOULDER: [3, -1, 1]
+				}
+			});
+			this.obj.setCalibration(this.device, {
+				axes: [null, null, null, {
+					center: 0.1,
+					min: -0.8,
+					max: 0.6
+				}]
+			});
+			this.device.axes[3] = -0.8;
+			this.updater.update();
+			assert.equals(this.device.state.RIGHT_BOTTOM_SHOULDER, 0);
+
+			this.device.axes[3] = 0.6;
+			this.updater.update();
+			assert.equals(this.device.state.RIGHT_BOTTOM_SHOULDER, 1);
+		},
+
+		'should store calibrations and reuse them on reconnect': function() {
+			var other = new this.Gamepad(new this.Gamepad.UpdateStrategies.ManualUpdateStrategy(), [
+				function(listener) {
+					return new PlatformSimulator(listener);
+				}
+			]);
+			var device = this.gamepadSimulator.addGamepad(1, 'Worn Pad (Vendor: 054c Product: 09cc)');
+
+			this.obj.setCalibration(this.device, this.worn);
+			assert.equals(this.stored['054c-09cc'], this.worn);
+
+			other.calibrationStorage = this.storage;
+			other.init();
+			other.platform.listener._connect(device);
+			assert.equals(device.calibration, this.worn);
+		},
+
+		'should remove calibrations': function() {
+			this.obj.setCalibration(this.device, this.worn);
+			this.obj.setCalibration(this.device, null);
+
+			assert.isNull(this.device.calibration);
+			assert.isNull(this.obj.getCalibration(this.device));
+			assert.isNull(this.stored['054c-09cc']);
+		},
+
+		'Calibrator': {
+			setUp: function() {
+				this.calibrator = new this.Gamepad.Calibrator(this.obj, this.device, {
+					samples: 2
+				});
+				this.centered = this.spy();
+				this.complete = this.spy();
+				this.calibrator.bind(this.Gamepad.Calibrator.Event.CENTERED, this.centered);
+				this.calibrator.bind(this.Gamepad.Calibrator.Event.COMPLETE, this.complete);
+				this.calibrator.start();
+			},
+
+			'should average the rest values': function() {
+				this.device.axes[0] = 0.08;
+				this.updater.update();
+				refute.called(this.centered);
+
+				this.device.axes[0] = 0.12;
+				this.updater.update();
+				assert.calledOnce(this.centered);
+			},
+
+			'should record the travel and apply the calibration': function() {
+				var calibration;
+
+				this.device.axes[0] = 0.25;
+				this.updater.update();
+				this.updater.update();
+				this.device.axes[0] = 0.75;
+				this.updater.update();
+				this.device.axes[0] = -0.75;
+				this.updater.update();
+				this.device.axes[1] = 0.3;
+				this.updater.update();
+				calibration = this.calibrator.finish();
+
+				assert.equals(calibration.axes[0], this.worn.axes[0]);
+				assert.isNull(calibration.axes[1]);
+				assert.isNull(calibration.axes[4]);
+				assert.calledWith(this.complete, {
+					calibration: calibration
+				});
+				assert.same(this.device.calibration, calibration);
+				refute(this.calibrator.active);
+			},
+
+			'should stop when the device disconnects': function() {
+				this.platform.listener._disconnect(this.device);
+
+				refute(this.calibrator.active);
+			}
+		}
+	});
+})();
@@ -0,0 +1,86 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Composite', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.gamepadSimulator = new GamepadSimulator();
+			this.platforms = [];
+
+			this.createFactory = function(type) {
+				return function(listener) {
+					var platform = new PlatformSimulator(listener);
+
+					platform.type = type;
+					that.platforms.push(platform);
+
+					return platform;
+				};
+			};
+
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				this.Gamepad.Platforms.CompositePlatform.createFactory([
+					this.createFactory('First'), [this.Gamepad.getNullPlatform, this.createFactory('Second')]
+				])
+			]);
+			this.obj.init();
+		},
+
+		'should be supported if any platform is supported': function() {
+			assert(this.obj.platform.isSupported());
+		},
+
+		'should not be supported without supported platforms': function() {
+			var platform = new this.Gamepad.Platforms.CompositePlatform({}, [this.Gamepad.getNullPlatform]);
+
+			refute(platform.isSupported());
+		},
+
+		'should use first supported platform of alternatives': function() {
+			assert.equals(this.obj.platform.platforms.length, 2);
+			assert.equals(this.obj.platform.platforms[1].getType(), 'Second');
+		},
+
+		'should report gamepads of all platforms': function() {
+			this.platforms[0].listener._connect(this.gamepadSimulator.addGamepad(0, 'pad one'));
+			this.platforms[1].listener._connect(this.gamepadSimulator.addGamepad(1, 'pad two'));
+
+			assert.equals(this.obj.count(), 2);
+		},
+
+		'should provide the type of the platform reporting a gamepad': function() {
+			var gamepad = this.gamepadSimulator.addGamepad(1, 'pad two');
+
+			this.platforms[1].listener._connect(gamepad);
+
+			assert.equals(this.obj.platform.getType(gamepad), 'Second');
+			assert.equals(this.obj.platform.getType(), 'Composite');
+		},
+
+		'should update all platforms': function() {
+			var first = this.spy(this.platforms[0], 'update');
+			var second = this.spy(this.platforms[1], 'update');
+
+			this.updater.update();
+
+			assert.calledOnce(first);
+			assert.calledOnce(second);
+		},
+
+		'should give the combined platforms access to the listener': function() {
+			this.platforms[0].listener._connect(this.gamepadSimulator.addGamepad(0, 'pad one'));
+
+			assert.same(this.platforms[1].listener.gamepads, this.obj.gamepads);
+		}
+	});
+})();
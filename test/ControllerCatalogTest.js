@@ -0,0 +1,120 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Controller catalog', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.identify = function(id) {
+				return that.Gamepad.identifyController(that.Gamepad.parseDeviceId(id));
+			};
+			this.gamepadSimulator = new GamepadSimulator();
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			this.obj.init();
+		},
+
+		'should identify models by vendor and product': function() {
+			var id = 'DualSense Wireless Controller (STANDARD GAMEPAD Vendor: 054c Product: 0ce6)';
+
+			assert.equals(this.identify(id), {
+				family: this.Gamepad.Type.PLAYSTATION,
+				model: this.Gamepad.Model.DUALSENSE
+			});
+			assert.equals(this.identify('54c-9cc-Wireless Controller').model, this.Gamepad.Model.DUALSHOCK_4);
+			assert.equals(this.identify('45e-b13-Xbox Wireless Controller').model, this.Gamepad.Model.XBOX_SERIES);
+			assert.equals(this.identify('57e-2006-Joy-Con (L)').model, this.Gamepad.Model.JOYCON_LEFT);
+			assert.equals(this.identify('18d1-9400-Stadia Controller rev. A').family, this.Gamepad.Type.STADIA);
+		},
+
+		'should fall back to the family of the vendor': function() {
+			assert.equals(this.identify('Pro Controller (Vendor: 057e Product: 2069)'), {
+				family: this.Gamepad.Type.SWITCH,
+				model: null
+			});
+			assert.equals(this.identify('2dc8-6001-8BitDo SN30 Pro').family, this.Gamepad.Type.EIGHTBITDO);
+		},
+
+		'should identify generic SNES style pads': function() {
+			assert.equals(this.identify('USB Gamepad  (Vendor: 0079 Product: 0011)').family, this.Gamepad.Type.SNES);
+		},
+
+		'should identify devices without USB ids by name': function() {
+			assert.equals(this.identify('Xbox One Controller (XInput STANDARD GAMEPAD)'), {
+				family: this.Gamepad.Type.XBOX,
+				model: this.Gamepad.Model.XBOX_ONE
+			});
+			assert.equals(this.identify('Nintendo Switch Pro Controller').model, this.Gamepad.Model.SWITCH_PRO);
+			assert.equals(this.identify('8BitDo SN30 Pro+').family, this.Gamepad.Type.EIGHTBITDO);
+			assert.equals(this.identify('Sony PLAYSTATION(R)3 Controller').model, this.Gamepad.Model.DUALSHOCK_3);
+		},
+
+		'should identify devices of unknown vendors by name': function() {
+			var xbox = this.Gamepad.Type.XBOX;
+
+			assert.equals(this.identify('e6f-213-Afterglow Gamepad for Xbox 360').family, xbox);
+			assert.equals(this.identify('Afterglow Gamepad for Xbox 360 (Vendor: 0e6f Product: 0213)').family, xbox);
+			assert.equals(this.identify('24c6-5300-PowerA Mini Pro Ex Xbox 360').family, xbox);
+		},
+
+		'should use the mapping of the family for devices identified by name': function() {
+			var gamepad = this.gamepadSimulator.addGamepad(0, 'e6f-213-Afterglow Gamepad for Xbox 360');
+
+			this.platform.type = 'Firefox';
+			this.platform.listener._connect(gamepad);
+
+			assert.equals(gamepad.mappingResolution.mapping.name, 'xbox360-firefox');
+		},
+
+		'should not identify unknown devices': function() {
+			assert.equals(this.identify('1234-5678-Joystick'), {
+				family: this.Gamepad.Type.UNKNOWN,
+				model: null
+			});
+		},
+
+		'should set family and model on connect': function() {
+			var gamepad = this.gamepadSimulator.addGamepad(0, '45e-28e-Xbox 360 Wired Controller');
+
+			this.platform.listener._connect(gamepad);
+
+			assert.equals(gamepad.family, this.Gamepad.Type.XBOX);
+			assert.equals(gamepad.model, this.Gamepad.Model.XBOX_360);
+		},
+
+		'should filter mappings by model': function() {
+			var gamepad = this.gamepadSimulator.addGamepad(0, '57e-2007-Joy-Con (R)');
+			var mapping = {
+				env: {
+					model: this.Gamepad.Model.JOYCON_RIGHT
+				},
+				buttons: {
+					byButton: [1]
+				},
+				axes: {
+					byAxis: []
+				}
+			};
+			var resolved;
+
+			this.Gamepad.Mappings.unshift(mapping);
+			resolved = this.obj._resolveMapping(gamepad);
+			this.Gamepad.Mappings.shift();
+
+			assert.same(resolved, mapping);
+		}
+	});
+})();
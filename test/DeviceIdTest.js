@@ -0,0 +1,123 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+	var GamepadUser = require('./GamepadUser.js');
+
+	buster.testCase('Device ids', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.gamepadSimulator = new GamepadSimulator();
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+			this.obj.init();
+		},
+
+		'parseDeviceId()': {
+			'should parse Chrome ids with vendor and product': function() {
+				var id = 'Wireless Controller (STANDARD GAMEPAD Vendor: 054c Product: 09cc)';
+
+				assert.equals(this.Gamepad.parseDeviceId(id), {
+					vendor: '054c',
+					product: '09cc',
+					name: 'Wireless Controller',
+					format: 'chrome'
+				});
+			},
+
+			'should parse Chrome ids without vendor and product': function() {
+				assert.equals(this.Gamepad.parseDeviceId('Xbox 360 Controller (XInput STANDARD GAMEPAD)'), {
+					vendor: null,
+					product: null,
+					name: 'Xbox 360 Controller',
+					format: 'chrome'
+				});
+			},
+
+			'should parse and pad Firefox ids': function() {
+				assert.equals(this.Gamepad.parseDeviceId('54c-9cc-Wireless Controller'), {
+					vendor: '054c',
+					product: '09cc',
+					name: 'Wireless Controller',
+					format: 'firefox'
+				});
+				assert.equals(this.Gamepad.parseDeviceId('045e-028e-Xbox 360 Wired Controller').product, '028e');
+			},
+
+			'should keep other ids as name': function() {
+				assert.equals(this.Gamepad.parseDeviceId(' Some Pad (v2) '), {
+					vendor: null,
+					product: null,
+					name: 'Some Pad (v2)',
+					format: 'unknown'
+				});
+			}
+		},
+
+		'should attach the descriptor on connect': function() {
+			var gamepad = this.gamepadSimulator.addGamepad(0, '46d-c216-Logitech Dual Action');
+
+			this.platform.listener._connect(gamepad);
+
+			assert.equals(gamepad.descriptor.vendor, '046d');
+			assert.equals(gamepad.descriptor.name, 'Logitech Dual Action');
+		},
+
+		'should resolve the type by vendor': function() {
+			assert.equals(this.obj._resolveControllerType(
+				'Wireless Controller (STANDARD GAMEPAD Vendor: 054c Product: 09cc)'), this.Gamepad.Type.PLAYSTATION);
+			assert.equals(this.obj._resolveControllerType('79-6-Generic   USB  Joystick'), this.Gamepad.Type.N64);
+		},
+
+		'should fall back to the name for devices of unknown vendors': function() {
+			assert.equals(this.obj._resolveControllerType('Pad 360 (Vendor: 0f0d Product: 0092)'),
+				this.Gamepad.Type.XBOX);
+			assert.equals(this.obj._resolveControllerType('Pad (Vendor: 0f0d Product: 0092)'),
+				this.Gamepad.Type.UNKNOWN);
+		},
+
+		'should still resolve the type by name of ids without vendor': function() {
+			assert.equals(this.obj._resolveControllerType('Xbox 360 Controller (XInput STANDARD GAMEPAD)'),
+				this.Gamepad.Type.XBOX);
+		},
+
+		'should filter mappings by vendor and product': function() {
+			var gamepad = this.gamepadSimulator.addGamepad(0, '0f0d-0092-Pad');
+			var mapping = {
+				env: {
+					vendor: '0f0d',
+					product: '0092'
+				},
+				buttons: {
+					byButton: [1]
+				},
+				axes: {
+					byAxis: []
+				}
+			};
+			var spy = this.spy(this.user, 'onButtonDown');
+
+			this.Gamepad.Mappings.unshift(mapping);
+			this.platform.listener._connect(gamepad);
+			this.Gamepad.Mappings.shift();
+
+			gamepad.buttons[1] = 1;
+			this.updater.update();
+
+			assert.equals(spy.args[0][0].control, 'FACE_1');
+		}
+	});
+})();
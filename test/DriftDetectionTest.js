@@ -0,0 +1,182 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Drift detection', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.now = this.Gamepad.Environment.now;
+			this.time = 0;
+			this.Gamepad.Environment.now = function() {
+				return that.time;
+			};
+
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			this.obj.init();
+
+			this.device = new GamepadSimulator().addGamepad(0, 'Drifting Pad', 17, 4);
+			this.platform.listener._connect(this.device);
+			this.detected = this.spy();
+			this.obj.bind(this.Gamepad.Event.DRIFT_DETECTED, this.detected);
+			this.rest = function(duration) {
+				that.updater.update();
+				that.time += duration;
+				that.updater.update();
+			};
+		},
+
+		tearDown: function() {
+			this.Gamepad.Environment.now = this.now;
+		},
+
+		'should be disabled by default': function() {
+			this.device.axes[0] = 0.2;
+			this.rest(10000);
+
+			refute.called(this.detected);
+		},
+
+		'should report sticks resting off-center': function() {
+			this.obj.setDriftDetection({
+				duration: 1000
+			});
+			this.device.axes[0] = 0.25;
+			this.device.axes[1] = -0.125;
+			this.rest(999);
+			refute.called(this.detected);
+
+			this.time += 1;
+			this.updater.update();
+			this.updater.update();
+
+			assert.calledOnceWith(this.detected, {
+				gamepad: this.device,
+				stick: 'LEFT_STICK',
+				offset: [0.25, -0.125],
+				action: this.Gamepad.DriftAction.NONE
+			});
+		},
+
+		'should not report sticks within the threshold': function() {
+			this.obj.setDriftDetection({
+				duration: 1000,
+				threshold: 0.1
+			});
+			this.device.axes[2] = 0.05;
+			this.rest(1000);
+
+			refute.called(this.detected);
+		},
+
+		'should restart when a stick moves or another control is used': function() {
+			this.obj.setDriftDetection({
+				duration: 1000
+			});
+			this.device.axes[0] = 0.25;
+			this.updater.update();
+			this.time = 600;
+			this.device.axes[0] = 0.3;
+			this.updater.update();
+			this.time = 1200;
+			this.updater.update();
+			refute.called(this.detected);
+
+			this.device.buttons[0] = 1;
+			this.time = 1700;
+			this.updater.update();
+			this.device.buttons[0] = 0;
+			this.time = 2200;
+			this.updater.update();
+			refute.called(this.detected);
+
+			this.time = 2700;
+			this.updater.update();
+			assert.calledOnce(this.detected);
+		},
+
+		'should widen the deadzone of the drifting stick': function() {
+			this.obj.setDriftDetection({
+				duration: 1000,
+				action: this.Gamepad.DriftAction.DEADZONE,
+				maxOffset: 0.6
+			});
+			this.device.axes[2] = 0.3;
+			this.device.axes[3] = 0.4;
+			this.rest(1000);
+
+			assert.equals(this.obj.getStickDeadzone(this.device, 'RIGHT_STICK').deadzone, 0.3);
+			assert.equals(this.obj.getStickDeadzone(this.device, 'LEFT_STICK').deadzone, 0.03);
+
+			this.device.axes[2] = 0.1;
+			this.device.axes[3] = 0;
+			this.obj.setDriftDetection({
+				duration: 1000,
+				action: this.Gamepad.DriftAction.DEADZONE
+			});
+			this.rest(1000);
+
+			assert.calledOnce(this.detected);
+		},
+
+		'should ignore sticks held beyond the maximum offset': function() {
+			this.obj.setDriftDetection({
+				duration: 1000,
+				action: this.Gamepad.DriftAction.RECENTER
+			});
+			this.device.axes[1] = -1;
+			this.rest(3000);
+
+			refute.called(this.detected);
+			refute(this.device.calibration);
+
+			this.obj.setDriftDetection({
+				duration: 1000,
+				action: this.Gamepad.DriftAction.DEADZONE
+			});
+			this.rest(3000);
+
+			refute.called(this.detected);
+			assert.equals(this.obj.getStickDeadzone(this.device, 'LEFT_STICK').deadzone, 0.03);
+
+			this.device.axes[1] = 0;
+			this.updater.update();
+			assert.equals(this.device.state.LEFT_STICK_Y, 0);
+		},
+
+		'should recenter the drifting stick': function() {
+			this.obj.setDriftDetection({
+				duration: 1000,
+				action: this.Gamepad.DriftAction.RECENTER
+			});
+			this.device.axes[0] = 0.25;
+			this.rest(1000);
+			this.updater.update();
+
+			assert.equals(this.device.calibration.axes[0], {
+				center: 0.25,
+				min: -1,
+				max: 1
+			});
+			assert.equals(this.device.state.LEFT_STICK_X, 0);
+
+			this.device.axes[0] = 1;
+			this.updater.update();
+			assert.equals(this.device.state.LEFT_STICK_X, 1);
+		}
+	});
+})();
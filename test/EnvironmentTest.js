@@ -0,0 +1,95 @@
+/* global global */
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Environment without window', {
+		setUp: function() {
+			delete global.window;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+		},
+
+		tearDown: function() {
+			if (this.obj) {
+				this.obj.destroy();
+			}
+		},
+
+		'should report no window': function() {
+			refute(this.Gamepad.Environment.getWindow());
+			refute(this.Gamepad.Environment.getNavigator());
+		},
+
+		'should default to IntervalUpdateStrategy': function() {
+			this.obj = new this.Gamepad();
+
+			assert(this.obj.updateStrategy instanceof this.Gamepad.UpdateStrategies.IntervalUpdateStrategy);
+		},
+
+		'should fall back to a timeout in AnimFrameUpdateStrategy': function() {
+			var strategy = new this.Gamepad.UpdateStrategies.AnimFrameUpdateStrategy();
+
+			assert.isFunction(strategy.requestAnimationFrame);
+		},
+
+		'should initialize to an unsupported platform': function() {
+			this.stub(this.Gamepad.Environment, 'requireModule').returns(null);
+			this.obj = new this.Gamepad();
+
+			refute(this.obj.init());
+			refute(this.obj.platform.isSupported());
+		},
+
+		'should use injected platform factories': function() {
+			var platform;
+
+			this.obj = new this.Gamepad(new this.Gamepad.UpdateStrategies.ManualUpdateStrategy(), [
+				function(listener) {
+					platform = new PlatformSimulator(listener);
+
+					return platform;
+				}
+			]);
+
+			assert(this.obj.init());
+			assert.same(this.obj.platform, platform);
+		},
+
+		'should update injected platform gamepads': function() {
+			var updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			var gamepad = new GamepadSimulator().addGamepad(0, 'xbox gamepad', 17);
+			var spy = this.spy();
+
+			this.obj = new this.Gamepad(updater, [
+				function(listener) {
+					return new PlatformSimulator(listener);
+				}
+			]);
+			this.obj.bind(this.Gamepad.Event.BUTTON_DOWN, spy);
+			this.obj.init();
+			this.obj.platform.listener._connect(gamepad);
+
+			gamepad.buttons[0] = 1;
+			updater.update();
+
+			assert.calledOnce(spy);
+		},
+
+		'should skip platform factories that throw': function() {
+			var platform = this.Gamepad.resolvePlatform({}, [
+				function() {
+					throw new Error('not available');
+				}
+			]);
+
+			refute(platform.isSupported());
+		}
+	});
+})();
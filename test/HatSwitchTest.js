@@ -0,0 +1,138 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+	var GamepadUser = require('./GamepadUser.js');
+
+	buster.testCase('Hat switch', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.Mappings = this.Gamepad.Mappings;
+			this.Gamepad.Mappings = [{
+				extends: 'standard',
+				env: {
+					id: 'Hat Pad'
+				},
+				hat: {
+					axis: 4,
+					vector: true
+				}
+			}];
+
+			this.gamepad = new GamepadSimulator().addGamepad(0, 'Hat Pad', 17, 5);
+			this.gamepad.axes[4] = 9 / 7;
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+			this.obj.init();
+			this.platform.listener._connect(this.gamepad);
+		},
+
+		tearDown: function() {
+			this.Gamepad.Mappings = this.Mappings;
+		},
+
+		'decodeHat()': {
+			'should decode positions clockwise from up': function() {
+				var values = this.Gamepad.HatValues.DEFAULT;
+
+				assert.equals(this.Gamepad.decodeHat(-1, values), 0);
+				assert.equals(this.Gamepad.decodeHat(-0.43, values), 2);
+				assert.equals(this.Gamepad.decodeHat(1, values), 7);
+			},
+
+			'should decode other values as centered': function() {
+				assert.equals(this.Gamepad.decodeHat(9 / 7, this.Gamepad.HatValues.DEFAULT), -1);
+				assert.equals(this.Gamepad.decodeHat(0, this.Gamepad.HatValues.DEFAULT), -1);
+			},
+
+			'should use the tolerance': function() {
+				assert.equals(this.Gamepad.decodeHat(0.3, [0, 0.5], 0.25), 1);
+				assert.equals(this.Gamepad.decodeHat(0.3, [0, 0.5], 0.1), -1);
+			}
+		},
+
+		'should press the d-pad buttons of the position': function() {
+			var spy = this.spy(this.user, 'onButtonDown');
+
+			this.gamepad.axes[4] = -5 / 7;
+			this.updater.update();
+
+			assert.calledTwice(spy);
+			assert.equals(spy.args[0][0].control, 'DPAD_UP');
+			assert.equals(spy.args[1][0].control, 'DPAD_RIGHT');
+		},
+
+		'should release the d-pad buttons when centered': function() {
+			var spy = this.spy(this.user, 'onButtonUp');
+
+			this.gamepad.axes[4] = 1 / 7;
+			this.updater.update();
+			this.gamepad.axes[4] = 9 / 7;
+			this.updater.update();
+
+			assert.calledOnce(spy);
+			assert.equals(spy.args[0][0].control, 'DPAD_DOWN');
+		},
+
+		'should synthesize a d-pad vector': function() {
+			var spy = this.spy(this.user, 'onAxisChanged');
+
+			this.gamepad.axes[4] = 3 / 7;
+			this.updater.update();
+
+			assert.equals(this.gamepad.state.DPAD_X, -1);
+			assert.equals(this.gamepad.state.DPAD_Y, 1);
+			assert.calledWith(spy, {
+				gamepad: this.gamepad,
+				axis: 'DPAD_Y',
+				value: 1
+			});
+		},
+
+		'should use the values of the platform or the mapping': function() {
+			var gamepad = new GamepadSimulator().addGamepad(1, 'Hat Pad', 17, 5);
+
+			this.Gamepad.HatValues.Simulator = [0, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75];
+			this.platform.listener._connect(gamepad);
+			delete this.Gamepad.HatValues.Simulator;
+			gamepad.axes[4] = 1.5;
+			this.updater.update();
+
+			assert.equals(gamepad.state.DPAD_LEFT, 1);
+			assert.equals(gamepad.state.DPAD_UP, 0);
+		},
+
+		'should be inherited and exported to SDL as hat directions': function() {
+			var mapping;
+			var result;
+
+			this.Gamepad.Mappings[0].name = 'hat';
+			mapping = this.Gamepad.flattenMapping({
+				extends: 'hat',
+				env: {
+					vendor: '0079',
+					product: '0006'
+				}
+			});
+
+			result = this.Gamepad.exportSdlMapping(mapping);
+
+			assert.equals(mapping.hat.axis, 4);
+			assert.match(result.line, 'dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,');
+			assert.equals(result.unsupported, ['hat: {"axis":4,"vector":true}']);
+		}
+	});
+})();
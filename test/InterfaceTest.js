@@ -33,6 +33,20 @@
 			'should provide count method': function() {
 				assert.isFunction(this.obj.count);
 			}
+		},
+
+		'getControlIndex()': {
+			'should return the index of standard and extra controls': function() {
+				assert.equals(this.Gamepad.getControlIndex('FACE_2'), 1);
+				assert.equals(this.Gamepad.getControlIndex('EXTRA_BUTTON_2'), 18);
+				assert.equals(this.Gamepad.getControlIndex('RIGHT_STICK_X', true), 2);
+				assert.equals(this.Gamepad.getControlIndex('EXTRA_AXIS_1', true), 4);
+			},
+
+			'should return -1 for unknown names': function() {
+				assert.equals(this.Gamepad.getControlIndex('LEFT_STICK_X'), -1);
+				assert.equals(this.Gamepad.getControlIndex('EXTRA_BUTTON_X'), -1);
+			}
 		}
 	});
 })();
@@ -0,0 +1,204 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadUser = require('./GamepadUser.js');
+
+	/*
+	 * An event target stand-in that dispatches key events on request.
+	 */
+
+	function FakeTarget() {
+		this.listeners = {};
+	}
+
+	FakeTarget.prototype.addEventListener = function(type, listener) {
+		this.listeners[type] = listener;
+	};
+
+	FakeTarget.prototype.removeEventListener = function(type, listener) {
+		if (this.listeners[type] === listener) {
+			delete this.listeners[type];
+		}
+	};
+
+	FakeTarget.prototype.key = function(type, code, target) {
+		var event = {
+			code: code,
+			target: target || this,
+			defaultPrevented: false,
+			preventDefault: function() {
+				this.defaultPrevented = true;
+			}
+		};
+
+		this.listeners[type](event);
+
+		return event;
+	};
+
+	buster.testCase('Keyboard', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.target = new FakeTarget();
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				this.Gamepad.Platforms.KeyboardPlatform.createFactory({
+					target: this.target
+				})
+			]);
+			this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+			this.obj.bind(this.Gamepad.Event.CONNECTED, function(device) {
+				that.device = device;
+			});
+			this.obj.init();
+			this.updater.update();
+		},
+
+		'should connect a virtual gamepad on first update': function() {
+			assert.equals(this.obj.count(), 1);
+			assert.equals(this.device.id, 'Keyboard');
+			assert.equals(this.device.index, 0);
+		},
+
+		'should have type "Keyboard"': function() {
+			assert.equals(this.obj.platform.getType(), 'Keyboard');
+		},
+
+		'should provide all standard buttons and axes': function() {
+			assert.equals(this.device.buttons.length, this.Gamepad.StandardButtons.length);
+			assert.equals(this.device.axes.length, this.Gamepad.StandardAxes.length);
+		},
+
+		'should fire BUTTON_DOWN and BUTTON_UP for bound keys': function() {
+			var down = this.spy(this.user, 'onButtonDown');
+			var up = this.spy(this.user, 'onButtonUp');
+
+			this.target.key('keydown', 'Enter');
+			this.updater.update();
+			this.target.key('keyup', 'Enter');
+			this.updater.update();
+
+			assert.equals(down.args[0][0].control, 'START_FORWARD');
+			assert.equals(up.args[0][0].control, 'START_FORWARD');
+		},
+
+		'should fire AXIS_CHANGED for bound axis keys': function() {
+			var spy = this.spy(this.user, 'onAxisChanged');
+
+			this.target.key('keydown', 'KeyD');
+			this.updater.update();
+
+			assert.calledOnce(spy);
+			assert.equals(spy.args[0][0].axis, 'LEFT_STICK_X');
+			assert.equals(spy.args[0][0].value, 1);
+		},
+
+		'should normalize diagonals': function() {
+			this.target.key('keydown', 'KeyW');
+			this.target.key('keydown', 'KeyD');
+			this.updater.update();
+
+			assert.near(this.device.state.LEFT_STICK_X, Math.SQRT1_2, 0.0001);
+			assert.near(this.device.state.LEFT_STICK_Y, -Math.SQRT1_2, 0.0001);
+		},
+
+		'should cancel out opposite directions': function() {
+			this.target.key('keydown', 'KeyA');
+			this.target.key('keydown', 'KeyD');
+			this.updater.update();
+
+			assert.equals(this.device.state.LEFT_STICK_X, 0);
+		},
+
+		'should prevent default action of bound keys only': function() {
+			assert(this.target.key('keydown', 'Space').defaultPrevented);
+			refute(this.target.key('keydown', 'KeyP').defaultPrevented);
+		},
+
+		'should ignore keys pressed in editable elements': function() {
+			var input = {
+				tagName: 'INPUT'
+			};
+			var editor = {
+				tagName: 'DIV',
+				isContentEditable: true
+			};
+
+			refute(this.target.key('keydown', 'Space', input).defaultPrevented);
+			refute(this.target.key('keydown', 'KeyD', editor).defaultPrevented);
+			this.updater.update();
+
+			assert.equals(this.device.state.FACE_1, 0);
+			assert.equals(this.device.state.LEFT_STICK_X, 0);
+		},
+
+		'should release held keys in editable elements': function() {
+			var input = {
+				tagName: 'textarea'
+			};
+
+			this.target.key('keydown', 'Space');
+			assert(this.target.key('keyup', 'Space', input).defaultPrevented);
+			this.updater.update();
+
+			assert.equals(this.device.state.FACE_1, 0);
+		},
+
+		'should release all keys on blur': function() {
+			this.target.key('keydown', 'Space');
+			this.target.listeners.blur();
+			this.updater.update();
+
+			assert.equals(this.device.state.FACE_1, 0);
+		},
+
+		'should use custom bindings': function() {
+			var target = new FakeTarget();
+			var platform = new this.Gamepad.Platforms.KeyboardPlatform({}, {
+				target: target,
+				bindings: {
+					buttons: {
+						KeyX: 'HOME'
+					},
+					axes: {}
+				}
+			});
+
+			target.key('keydown', 'KeyX');
+
+			assert.equals(platform.gamepad.buttons[16], 1);
+		},
+
+		'should accept bindings without axes': function() {
+			var target = new FakeTarget();
+			var platform = new this.Gamepad.Platforms.KeyboardPlatform({}, {
+				target: target,
+				bindings: {
+					buttons: {
+						KeyX: 'HOME'
+					}
+				}
+			});
+
+			target.key('keydown', 'KeyX');
+			target.key('keydown', 'KeyZ');
+
+			assert.equals(platform.gamepad.buttons[16], 1);
+		},
+
+		'should remove listeners and disconnect on destroy': function() {
+			var spy = this.spy(this.user, 'onDisconnected');
+
+			this.obj.platform.destroy();
+
+			assert.calledOnce(spy);
+			assert.equals(this.target.listeners, {});
+		}
+	});
+})();
@@ -0,0 +1,219 @@
+/* global global */
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Lifecycle', {
+		setUp: function() {
+			this.Gamepad = require('../gamepad.js').Gamepad;
+		},
+
+		'AnimFrameUpdateStrategy': {
+			setUp: function() {
+				var that = this;
+
+				global.window = {};
+				this.callbacks = [];
+				this.strategy = new this.Gamepad.UpdateStrategies.AnimFrameUpdateStrategy(function(callback) {
+					that.callbacks.push(callback);
+				});
+			},
+
+			tearDown: function() {
+				delete global.window;
+			},
+
+			'should not call update after stop()': function() {
+				var update = this.spy();
+
+				this.strategy.start(update);
+				this.strategy.stop();
+				this.callbacks.shift()();
+
+				refute.called(update);
+			},
+
+			'should not reschedule after stop()': function() {
+				this.strategy.start(function() {});
+				this.strategy.stop();
+				this.callbacks.shift()();
+
+				assert.equals(this.callbacks.length, 0);
+			},
+
+			'should keep a single loop when restarted before the pending tick': function() {
+				this.strategy.start(function() {});
+				this.strategy.stop();
+				this.strategy.start(function() {});
+
+				assert.equals(this.callbacks.length, 1);
+			}
+		},
+
+		'IntervalUpdateStrategy': {
+			setUp: function() {
+				var that = this;
+
+				this.callbacks = [];
+				this.strategy = new this.Gamepad.UpdateStrategies.IntervalUpdateStrategy(60, function(callback) {
+					that.callbacks.push(callback);
+				});
+			},
+
+			'should not call update after stop()': function() {
+				var update = this.spy();
+
+				this.strategy.start(update);
+				this.strategy.stop();
+				this.callbacks.shift()();
+
+				refute.called(update);
+				assert.equals(this.callbacks.length, 0);
+			}
+		},
+
+		'ManualUpdateStrategy': {
+			'should not call update after stop()': function() {
+				var strategy = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				var update = this.spy();
+
+				strategy.start(update);
+				strategy.stop();
+				strategy.update();
+
+				refute.called(update);
+			}
+		},
+
+		'FirefoxPlatform': {
+			setUp: function() {
+				var listeners = this.listeners = {};
+
+				global.window = {
+					addEventListener: function(type, listener) {
+						listeners[type] = listener;
+					},
+					removeEventListener: function(type, listener) {
+						if (listeners[type] === listener) {
+							delete listeners[type];
+						}
+					},
+					navigator: {
+						userAgent: 'Firefox'
+					}
+				};
+			},
+
+			tearDown: function() {
+				delete global.window;
+			},
+
+			'should remove window listeners on destroy()': function() {
+				var platform = this.Gamepad.resolvePlatform({});
+
+				platform.destroy();
+
+				assert.equals(this.listeners, {});
+			},
+
+			'should not report a gamepad twice after init() is called twice': function() {
+				var obj = new this.Gamepad(new this.Gamepad.UpdateStrategies.ManualUpdateStrategy());
+				var spy = this.spy();
+				var gamepad = new GamepadSimulator().addGamepad(0, 'xbox gamepad');
+
+				obj.bind(this.Gamepad.Event.CONNECTED, spy);
+				obj.init();
+				obj.init();
+				this.listeners.gamepadconnected({
+					gamepad: gamepad
+				});
+
+				assert.calledOnce(spy);
+			}
+		},
+
+		'Gamepad': {
+			setUp: function() {
+				var that = this;
+
+				this.PlatformFactories = this.Gamepad.PlatformFactories;
+				this.Gamepad.PlatformFactories = [
+					function(listener) {
+						var platform = that.platform = new PlatformSimulator(listener);
+
+						return platform;
+					}
+				];
+
+				this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				this.obj = new this.Gamepad(this.updater);
+				this.obj.init();
+
+				this.gamepad = new GamepadSimulator().addGamepad(0, 'xbox gamepad', 17);
+				this.platform.listener._connect(this.gamepad);
+			},
+
+			tearDown: function() {
+				this.Gamepad.PlatformFactories = this.PlatformFactories;
+			},
+
+			'should not fire TICK while paused': function() {
+				var tick = this.spy();
+
+				this.obj.bind(this.Gamepad.Event.TICK, tick);
+				this.obj.pause();
+				this.updater.update();
+
+				refute.called(tick);
+			},
+
+			'should fire TICK again after resume()': function() {
+				var tick = this.spy();
+
+				this.obj.bind(this.Gamepad.Event.TICK, tick);
+				this.obj.pause();
+				this.obj.resume();
+				this.updater.update();
+
+				assert.calledOnce(tick);
+			},
+
+			'should forget gamepads on destroy()': function() {
+				this.obj.destroy();
+
+				assert.equals(this.obj.count(), 0);
+			},
+
+			'should not fire events after destroy()': function() {
+				var disconnected = this.spy();
+
+				this.obj.bind(this.Gamepad.Event.DISCONNECTED, disconnected);
+				this.obj.destroy();
+				this.updater.update();
+
+				refute.called(disconnected);
+			},
+
+			'should release the platform on destroy()': function() {
+				this.obj.destroy();
+
+				refute(this.obj.platform.isSupported());
+			},
+
+			'should disconnect known gamepads when initialized again': function() {
+				var disconnected = this.spy();
+
+				this.obj.bind(this.Gamepad.Event.DISCONNECTED, disconnected);
+				this.obj.init();
+
+				assert.calledWith(disconnected, this.gamepad);
+			}
+		}
+	});
+})();
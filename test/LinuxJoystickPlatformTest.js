@@ -0,0 +1,240 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadUser = require('./GamepadUser.js');
+
+	/*
+	 * Encodes a joystick API event record as 8 little endian bytes.
+	 */
+
+	function record(time, value, type, number) {
+		var unsignedValue = (value < 0) ? value + 0x10000 : value;
+
+		return [
+			time % 0x100, Math.floor(time / 0x100) % 0x100,
+			Math.floor(time / 0x10000) % 0x100, Math.floor(time / 0x1000000) % 0x100,
+			unsignedValue % 0x100, Math.floor(unsignedValue / 0x100),
+			type, number
+		];
+	}
+
+	/*
+	 * Recorded initial state of an XBOX360 controller: 11 buttons, 8 axes
+	 * with both triggers released.
+	 */
+
+	function xboxInitFixture() {
+		var bytes = [];
+		var i;
+
+		for (i = 0; i < 11; i++) {
+			bytes = bytes.concat(record(1000, 0, 0x81, i));
+		}
+		for (i = 0; i < 8; i++) {
+			bytes = bytes.concat(record(1000, ((i === 2) || (i === 5)) ? -32767 : 0, 0x82, i));
+		}
+
+		return bytes;
+	}
+
+	/*
+	 * A readable stream stand-in that delivers the given chunks on request.
+	 */
+
+	function FakeStream() {
+		this.handlers = {};
+	}
+
+	FakeStream.prototype.on = function(event, handler) {
+		this.handlers[event] = this.handlers[event] || [];
+		this.handlers[event].push(handler);
+	};
+
+	FakeStream.prototype.emit = function(event, data) {
+		(this.handlers[event] || []).forEach(function(handler) {
+			handler(data);
+		});
+	};
+
+	buster.testCase('LinuxJoystick', {
+		setUp: function() {
+			this.Gamepad = require('../gamepad.js').Gamepad;
+		},
+
+		'parseEvents()': {
+			setUp: function() {
+				this.parseEvents = this.Gamepad.Platforms.LinuxJoystickPlatform.parseEvents;
+			},
+
+			'should parse a button event': function() {
+				var result = this.parseEvents(record(123456, 1, 0x01, 3));
+
+				assert.equals(result.events, [{
+					time: 123456,
+					value: 1,
+					type: 0x01,
+					init: false,
+					number: 3
+				}]);
+			},
+
+			'should parse negative axis values': function() {
+				var result = this.parseEvents(record(0, -32767, 0x02, 1));
+
+				assert.equals(result.events[0].value, -32767);
+			},
+
+			'should separate the init flag from the type': function() {
+				var result = this.parseEvents(record(0, 0, 0x82, 0));
+
+				assert.equals(result.events[0].type, 0x02);
+				assert(result.events[0].init);
+			},
+
+			'should return bytes of an incomplete record': function() {
+				var result = this.parseEvents(record(0, 1, 0x01, 0).concat([1, 2, 3]));
+
+				assert.equals(result.events.length, 1);
+				assert.equals(result.rest, [1, 2, 3]);
+			}
+		},
+
+		'platform': {
+			setUp: function() {
+				this.listener = {
+					_connect: this.spy(),
+					_disconnect: this.spy()
+				};
+				this.platform = new this.Gamepad.Platforms.LinuxJoystickPlatform(this.listener);
+				this.stream = new FakeStream();
+				this.gamepad = this.platform.addDevice(this.stream, 'Microsoft X-Box 360 pad');
+			},
+
+			'should have type "LinuxJoystick"': function() {
+				assert.equals(this.platform.getType(), 'LinuxJoystick');
+			},
+
+			'should not connect before receiving events': function() {
+				refute.called(this.listener._connect);
+			},
+
+			'should connect on the update after the initial state': function() {
+				var bytes = xboxInitFixture();
+
+				this.stream.emit('data', bytes.slice(0, 64));
+				this.stream.emit('data', bytes.slice(64));
+				refute.called(this.listener._connect);
+
+				this.platform.update();
+				this.platform.update();
+
+				assert.calledOnce(this.listener._connect);
+				assert.calledWith(this.listener._connect, this.gamepad);
+				assert.equals(this.gamepad.buttons.length, 11);
+				assert.equals(this.gamepad.axes.length, 8);
+				assert.equals(this.gamepad.index, 0);
+			},
+
+			'should connect with the first event after the initial state': function() {
+				this.stream.emit('data', xboxInitFixture().concat(record(2000, 1, 0x01, 0)));
+
+				assert.calledWith(this.listener._connect, this.gamepad);
+				assert.equals(this.gamepad.buttons.length, 11);
+			},
+
+			'should scale axis values': function() {
+				this.stream.emit('data', xboxInitFixture());
+				this.stream.emit('data', record(2000, 16384, 0x02, 0).concat(record(2000, -32768, 0x02, 1)));
+
+				assert.near(this.gamepad.axes[0], 0.5, 0.001);
+				assert.equals(this.gamepad.axes[1], -1);
+				assert.equals(this.gamepad.axes[2], -1);
+			},
+
+			'should handle records split across chunks': function() {
+				var bytes = record(2000, 1, 0x01, 4);
+
+				this.stream.emit('data', xboxInitFixture());
+				this.stream.emit('data', bytes.slice(0, 5));
+				this.stream.emit('data', bytes.slice(5));
+
+				assert.equals(this.gamepad.buttons[4], 1);
+			},
+
+			'should disconnect when the stream ends': function() {
+				this.stream.emit('data', xboxInitFixture());
+				this.platform.update();
+				this.stream.emit('end');
+
+				assert.calledWith(this.listener._disconnect, this.gamepad);
+			},
+
+			'should use the next free index for a second device': function() {
+				var stream = new FakeStream();
+				var gamepad = this.platform.addDevice(stream, 'Second pad');
+
+				this.stream.emit('data', xboxInitFixture());
+				stream.emit('data', xboxInitFixture());
+				this.platform.update();
+
+				assert.equals(gamepad.index, 1);
+			}
+		},
+
+		'Gamepad': {
+			setUp: function() {
+				var that = this;
+
+				this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				this.obj = new this.Gamepad(this.updater, [
+					function(listener) {
+						that.platform = new that.Gamepad.Platforms.LinuxJoystickPlatform(listener);
+
+						return that.platform;
+					}
+				]);
+				this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+				this.obj.init();
+
+				this.stream = new FakeStream();
+				this.platform.addDevice(this.stream, 'Microsoft X-Box 360 pad (Vendor: 045e Product: 028e)');
+				this.stream.emit('data', xboxInitFixture());
+				this.updater.update();
+			},
+
+			'should fire BUTTON_DOWN for mapped buttons': function() {
+				var spy = this.spy(this.user, 'onButtonDown');
+
+				this.stream.emit('data', record(2000, 1, 0x01, 8));
+				this.updater.update();
+
+				assert.calledOnce(spy);
+				assert.equals(spy.args[0][0].control, 'HOME');
+			},
+
+			'should map triggers from axes': function() {
+				var spy = this.spy(this.user, 'onButtonDown');
+
+				this.stream.emit('data', record(2000, 32767, 0x02, 5));
+				this.updater.update();
+
+				assert.equals(spy.args[0][0].control, 'RIGHT_BOTTOM_SHOULDER');
+			},
+
+			'should fire AXIS_CHANGED for sticks': function() {
+				var spy = this.spy(this.user, 'onAxisChanged');
+
+				this.stream.emit('data', record(2000, 32767, 0x02, 3));
+				this.updater.update();
+
+				assert.calledOnce(spy);
+				assert.equals(spy.args[0][0].axis, 'RIGHT_STICK_X');
+				assert.equals(spy.args[0][0].value, 1);
+			}
+		}
+	});
+})();
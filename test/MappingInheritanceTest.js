@@ -0,0 +1,319 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+	var GamepadUser = require('./GamepadUser.js');
+
+	buster.testCase('Mapping inheritance', {
+		setUp: function() {
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.Mappings = this.Gamepad.Mappings;
+			this.Gamepad.Mappings = this.Mappings.slice();
+			this.base = {
+				name: 'base',
+				env: {
+					type: this.Gamepad.Type.XBOX
+				},
+				buttons: {
+					byButton: [0, 1, 2, 3],
+					byAxis: [-1, -1, -1, -1, -1, -1, [2, -1, 1]]
+				},
+				axes: {
+					byAxis: [0, 1, 3, 4]
+				}
+			};
+			this.Gamepad.Mappings.push(this.base);
+		},
+
+		tearDown: function() {
+			this.Gamepad.Mappings = this.Mappings;
+		},
+
+		'flattenMapping()': {
+			'should return mappings without base as is': function() {
+				assert.same(this.Gamepad.flattenMapping(this.base), this.base);
+			},
+
+			'should flatten named controls of mappings without base': function() {
+				var result = this.Gamepad.flattenMapping({
+					name: 'named',
+					buttons: {
+						FACE_2: 3
+					},
+					axes: {
+						LEFT_STICK_Y: 1
+					}
+				});
+
+				assert.equals(result.name, 'named');
+				assert.equals(result.buttons.byButton, [-1, 3]);
+				assert.equals(result.buttons.byAxis, [-1, -1]);
+				assert.equals(result.axes.byAxis, [-1, 1]);
+			},
+
+			'should override named buttons and axes': function() {
+				var result = this.Gamepad.flattenMapping({
+					extends: 'base',
+					buttons: {
+						FACE_1: 1,
+						FACE_2: 0,
+						HOME: 10
+					},
+					axes: {
+						RIGHT_STICK_X: [3, 1, -1]
+					}
+				});
+
+				assert.equals(result.buttons.byButton.slice(0, 5), [1, 0, 2, 3, -1]);
+				assert.equals(result.buttons.byButton[16], 10);
+				assert.equals(result.axes.byAxis, [0, 1, [3, 1, -1], 4]);
+			},
+
+			'should switch buttons between buttons and axes': function() {
+				var result = this.Gamepad.flattenMapping({
+					extends: 'base',
+					buttons: {
+						FACE_1: [5, -1, 1],
+						LEFT_BOTTOM_SHOULDER: 6
+					}
+				});
+
+				assert.equals(result.buttons.byButton[0], -1);
+				assert.equals(result.buttons.byAxis[0], [5, -1, 1]);
+				assert.equals(result.buttons.byButton[6], 6);
+				assert.equals(result.buttons.byAxis[6], -1);
+			},
+
+			'should map extra controls': function() {
+				var result = this.Gamepad.flattenMapping({
+					extends: 'standard',
+					buttons: {
+						EXTRA_BUTTON_2: 18
+					},
+					axes: {
+						EXTRA_AXIS_1: 4
+					}
+				});
+
+				assert.equals(result.buttons.byButton.slice(16), [16, -1, 18]);
+				assert.equals(result.axes.byAxis, [0, 1, 2, 3, 4]);
+			},
+
+			'should not change the base': function() {
+				this.Gamepad.flattenMapping({
+					extends: 'base',
+					buttons: {
+						FACE_1: 3
+					}
+				});
+
+				assert.equals(this.base.buttons.byButton, [0, 1, 2, 3]);
+			},
+
+			'should not inherit the filter': function() {
+				var result = this.Gamepad.flattenMapping({
+					name: 'child',
+					extends: 'base',
+					env: {
+						id: /child/
+					},
+					priority: 2
+				});
+
+				assert.equals(result.env, {
+					id: /child/
+				});
+				assert.equals(result.name, 'child');
+				assert.equals(result.priority, 2);
+			},
+
+			'should resolve chains of bases': function() {
+				this.Gamepad.Mappings.push({
+					name: 'middle',
+					extends: 'base',
+					buttons: {
+						FACE_1: 2
+					}
+				});
+
+				var result = this.Gamepad.flattenMapping({
+					extends: 'middle',
+					buttons: {
+						FACE_2: 3
+					}
+				});
+
+				assert.equals(result.buttons.byButton.slice(0, 4), [2, 3, 2, 3]);
+			},
+
+			'should throw on unknown bases, cycles and controls': function() {
+				var Gamepad = this.Gamepad;
+
+				Gamepad.Mappings.push({
+					name: 'loop',
+					extends: 'loop'
+				});
+
+				assert.exception(function() {
+					Gamepad.flattenMapping({
+						extends: 'missing'
+					});
+				});
+				assert.exception(function() {
+					Gamepad.flattenMapping(Gamepad.Mappings[Gamepad.Mappings.length - 1]);
+				});
+				assert.exception(function() {
+					Gamepad.flattenMapping({
+						extends: 'base',
+						buttons: {
+							BIG_RED_BUTTON: 1
+						}
+					});
+				});
+			}
+		},
+
+		'should keep the built-in N64 mapping for WebKit': function() {
+			var n64 = this.Gamepad.flattenMapping(this.Gamepad.Mappings[1]);
+
+			assert.equals(n64.name, 'n64-webkit');
+			assert.equals(n64.buttons.byButton, [2, 1, 3, 0, 4, 5, -1, -1, 8, 9, -1, -1, 12, 13, 14, 15, -1]);
+			assert.equals(n64.axes.byAxis, [0, 1, -1, -1]);
+		},
+
+		'should use flattened mappings for connected gamepads': function() {
+			var that = this;
+			var gamepad = new GamepadSimulator().addGamepad(0, 'Inherited Pad', 17);
+			var updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			var obj = new this.Gamepad(updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			var user = new GamepadUser(this.Gamepad.Event, obj);
+			var spy = this.spy(user, 'onButtonDown');
+
+			this.Gamepad.Mappings.push({
+				extends: 'standard',
+				env: {
+					id: 'Inherited Pad'
+				},
+				buttons: {
+					HOME: 0
+				}
+			});
+			obj.init();
+			this.platform.listener._connect(gamepad);
+			gamepad.buttons[0] = 1;
+			updater.update();
+
+			assert.equals(spy.args[0][0].control, 'FACE_1');
+			assert.equals(spy.args[1][0].control, 'HOME');
+		},
+
+		'should report and skip invalid mappings when gamepads connect': function() {
+			var that = this;
+			var gamepad = new GamepadSimulator().addGamepad(0, 'Inherited Pad', 17);
+			var obj = new this.Gamepad(new this.Gamepad.UpdateStrategies.ManualUpdateStrategy(), [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			var invalid = {
+				name: 'invalid',
+				extends: 'missing',
+				env: {
+					id: 'Inherited Pad'
+				}
+			};
+			var spy = this.spy();
+
+			this.Gamepad.Mappings.push(invalid);
+			obj.bind(this.Gamepad.Event.MAPPING_ERROR, spy);
+			obj.init();
+			refute.called(spy);
+
+			this.platform.listener._connect(gamepad);
+			assert.calledOnce(spy);
+			assert.same(spy.args[0][0].mapping, invalid);
+			assert.match(spy.args[0][0].error.message, 'missing');
+			assert.same(gamepad.mappingResolution.mapping, this.Gamepad.StandardMapping);
+			assert.same(this.Gamepad.Mappings[this.Gamepad.Mappings.length - 1], invalid);
+		},
+
+		'addMapping()': {
+			'should add the flat mapping and keep the given one': function() {
+				var mapping = {
+					extends: 'base',
+					env: {
+						id: 'Added Pad'
+					},
+					buttons: {
+						HOME: 0
+					}
+				};
+				var flat = this.Gamepad.addMapping(mapping);
+
+				assert.same(this.Gamepad.Mappings[this.Gamepad.Mappings.length - 1], flat);
+				assert.equals(flat.buttons.byButton[16], 0);
+				assert.equals(mapping.buttons, {
+					HOME: 0
+				});
+
+				assert.same(this.Gamepad.addMapping(this.base, true), this.Gamepad.Mappings[0]);
+			},
+
+			'should throw on invalid mappings and not add them': function() {
+				var Gamepad = this.Gamepad;
+				var count = Gamepad.Mappings.length;
+
+				assert.exception(function() {
+					Gamepad.addMapping({
+						extends: 'missing'
+					});
+				});
+				assert.equals(Gamepad.Mappings.length, count);
+			}
+		},
+
+		'should flatten mappings added after init once': function() {
+			var gamepad = new GamepadSimulator().addGamepad(0, 'Late Pad', 17);
+			var obj = new this.Gamepad(new this.Gamepad.UpdateStrategies.ManualUpdateStrategy(), [
+				function(listener) {
+					return new PlatformSimulator(listener);
+				}
+			]);
+			var mapping = {
+				extends: 'standard',
+				env: {
+					id: 'Late Pad'
+				},
+				buttons: {
+					HOME: 0
+				}
+			};
+			var resolution;
+
+			obj.init();
+			this.Gamepad.Mappings.push(mapping);
+			obj.platform.listener._connect(gamepad);
+			resolution = gamepad.mappingResolution;
+
+			assert.equals(resolution.rule, this.Gamepad.MappingRule.MAPPING);
+			assert.equals(resolution.mapping.buttons.byButton[16], 0);
+			assert.same(obj.resolveMapping(gamepad).mapping, resolution.mapping);
+			assert.equals(mapping.buttons, {
+				HOME: 0
+			});
+		}
+	});
+})();
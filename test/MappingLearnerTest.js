@@ -0,0 +1,207 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('MappingLearner', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.Event = this.Gamepad.MappingLearner.Event;
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			this.obj.init();
+
+			this.device = new GamepadSimulator().addGamepad(0, 'Unknown Pad', 12, 6);
+			this.device.axes[4] = -1;
+			this.device.axes[5] = 9 / 7;
+			this.platform.listener._connect(this.device);
+
+			this.learn = function(controls) {
+				that.learner = new that.Gamepad.MappingLearner(that.obj, that.device, {
+					controls: controls
+				});
+				that.prompt = that.spy();
+				that.complete = that.spy();
+				that.learner.bind(that.Event.PROMPT, that.prompt);
+				that.learner.bind(that.Event.COMPLETE, that.complete);
+				that.learner.start();
+				that.updater.update();
+			};
+			this.press = function(button) {
+				that.device.buttons[button] = 1;
+				that.updater.update();
+				that.device.buttons[button] = 0;
+				that.updater.update();
+			};
+			this.move = function(axis, value) {
+				var rest = that.device.axes[axis];
+
+				that.device.axes[axis] = value;
+				that.updater.update();
+				that.device.axes[axis] = rest;
+				that.updater.update();
+			};
+		},
+
+		'should prompt for the first control': function() {
+			this.learn();
+
+			assert.calledWith(this.prompt, {
+				control: 'FACE_1',
+				type: 'button',
+				step: 0,
+				count: 21
+			});
+		},
+
+		'should learn buttons and prompt for the next control': function() {
+			var learned = this.spy();
+
+			this.learn(['FACE_1', 'FACE_2']);
+			this.learner.bind(this.Event.LEARNED, learned);
+			this.press(3);
+
+			assert.calledWith(learned, {
+				control: 'FACE_1',
+				entry: 3
+			});
+			assert.equals(this.prompt.args[1][0].control, 'FACE_2');
+		},
+
+		'should wait for the input to be released': function() {
+			this.learn(['FACE_1', 'FACE_2']);
+			this.device.buttons[3] = 1;
+			this.updater.update();
+			this.updater.update();
+
+			assert.equals(this.learner.entries, {
+				FACE_1: 3
+			});
+		},
+
+		'should learn buttons on axes with rest value and direction': function() {
+			this.learn(['LEFT_BOTTOM_SHOULDER', 'DPAD_LEFT']);
+			this.move(4, 1);
+			this.move(0, -1);
+
+			assert.equals(this.learner.entries, {
+				LEFT_BOTTOM_SHOULDER: [4, -1, 1],
+				DPAD_LEFT: [0, 0, -1]
+			});
+		},
+
+		'should learn axes and their direction': function() {
+			this.learn(['LEFT_STICK_X', 'LEFT_STICK_Y']);
+			this.press(0);
+			this.move(2, 0.9);
+			this.move(3, -0.9);
+
+			assert.equals(this.learner.entries, {
+				LEFT_STICK_X: 2,
+				LEFT_STICK_Y: [3, 1, -1]
+			});
+		},
+
+		'should learn hat switches for the d-pad': function() {
+			this.learn(['DPAD_UP', 'DPAD_DOWN', 'DPAD_LEFT', 'DPAD_RIGHT', 'HOME']);
+			this.move(5, -1);
+
+			assert.equals(this.prompt.args[1][0].control, 'HOME');
+			assert.equals(this.learner.getMapping().hat, {
+				axis: 5
+			});
+		},
+
+		'should skip and undo controls': function() {
+			var skipped = this.spy();
+
+			this.learn(['FACE_1', 'FACE_2', 'FACE_3']);
+			this.learner.bind(this.Event.SKIPPED, skipped);
+			this.press(1);
+			this.learner.skip();
+			assert.calledWith(skipped, {
+				control: 'FACE_2'
+			});
+
+			assert(this.learner.undo());
+			assert(this.learner.undo());
+			assert.equals(this.prompt.lastCall.args[0].control, 'FACE_1');
+			refute(this.learner.undo());
+
+			this.updater.update();
+			this.press(2);
+			assert.equals(this.learner.entries, {
+				FACE_1: 2
+			});
+		},
+
+		'should complete with a mapping for the device': function() {
+			var mapping;
+
+			this.learn(['FACE_1', 'RIGHT_BOTTOM_SHOULDER', 'LEFT_STICK_X']);
+			this.press(1);
+			this.move(4, 1);
+			this.move(0, 1);
+
+			assert.calledOnce(this.complete);
+			mapping = this.complete.args[0][0].mapping;
+			assert.equals(mapping.env, {
+				platform: 'Simulator',
+				mapping: '',
+				id: 'Unknown Pad'
+			});
+			assert.equals(mapping.buttons.byButton.length, 17);
+			assert.equals(mapping.buttons.byButton[0], 1);
+			assert.equals(mapping.buttons.byAxis[7], [4, -1, 1]);
+			assert.equals(mapping.axes.byAxis, [0, -1, -1, -1]);
+		},
+
+		'should produce mappings that can be applied': function() {
+			var spy = this.spy();
+
+			this.learn(['FACE_1']);
+			this.press(5);
+			this.obj.setMapping(this.device, this.complete.args[0][0].mapping);
+			this.obj.bind(this.Gamepad.Event.BUTTON_DOWN, spy);
+			this.device.buttons[5] = 1;
+			this.updater.update();
+
+			assert.equals(spy.args[0][0].control, 'FACE_1');
+		},
+
+		'should filter by vendor and product if known': function() {
+			var device = new GamepadSimulator().addGamepad(1, '2dc8-6001-8BitDo Pad');
+			var learner;
+
+			this.platform.listener._connect(device);
+			learner = new this.Gamepad.MappingLearner(this.obj, device);
+
+			assert.equals(learner.getMapping().env, {
+				platform: 'Simulator',
+				mapping: '',
+				vendor: '2dc8',
+				product: '6001'
+			});
+		},
+
+		'should stop when the device disconnects': function() {
+			this.learn();
+			this.platform.listener._disconnect(this.device);
+
+			refute(this.learner.active);
+		}
+	});
+})();
@@ -0,0 +1,223 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadUser = require('./GamepadUser.js');
+
+	/*
+	 * A MIDI input stand-in delivering messages on request.
+	 */
+
+	function FakeInput(id, name) {
+		this.id = id;
+		this.name = name;
+		this.type = 'input';
+		this.state = 'connected';
+		this.onmidimessage = null;
+	}
+
+	FakeInput.prototype.send = function(data) {
+		this.onmidimessage({
+			data: data,
+			timeStamp: 1000
+		});
+	};
+
+	/*
+	 * A MIDIAccess stand-in; requestMIDIAccess() resolves synchronously.
+	 */
+
+	function FakeAccess(inputs) {
+		this.inputs = inputs;
+		this.onstatechange = null;
+	}
+
+	FakeAccess.prototype.createNavigator = function() {
+		var that = this;
+
+		return {
+			requestMIDIAccess: function() {
+				return {
+					then: function(success) {
+						success(that);
+					}
+				};
+			}
+		};
+	};
+
+	buster.testCase('MIDI', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.input = new FakeInput('input-1', 'Pad Controller');
+			this.access = new FakeAccess([this.input]);
+			this.stub(this.Gamepad.Environment, 'getNavigator').returns(this.access.createNavigator());
+
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [this.Gamepad.Platforms.MidiPlatform.factory]);
+			this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+			this.obj.bind(this.Gamepad.Event.CONNECTED, function(device) {
+				that.device = device;
+			});
+			this.obj.init();
+			this.updater.update();
+		},
+
+		'should not be supported without Web MIDI': function() {
+			this.Gamepad.Environment.getNavigator.returns({});
+
+			refute(new this.Gamepad.Platforms.MidiPlatform({}).isSupported());
+		},
+
+		'should have type "MIDI"': function() {
+			assert.equals(this.obj.platform.getType(), 'MIDI');
+		},
+
+		'should connect a gamepad for each input': function() {
+			assert.equals(this.obj.count(), 1);
+			assert.equals(this.device.id, 'Pad Controller');
+			assert.equals(this.device.index, 0);
+		},
+
+		'should parse channel messages': function() {
+			assert.equals(this.Gamepad.Platforms.MidiPlatform.parseMessage([0x99, 36, 100]), {
+				command: 9,
+				channel: 10,
+				number: 36,
+				value: 100
+			});
+		},
+
+		'should press and release buttons with notes': function() {
+			var down = this.spy(this.user, 'onButtonDown');
+			var up = this.spy(this.user, 'onButtonUp');
+
+			this.input.send([0x90, 37, 100]);
+			this.updater.update();
+			this.input.send([0x80, 37, 0]);
+			this.updater.update();
+
+			assert.equals(down.args[0][0].control, 'FACE_2');
+			assert.calledOnce(up);
+		},
+
+		'should treat note on with zero velocity as note off': function() {
+			this.input.send([0x90, 36, 100]);
+			this.input.send([0x90, 36, 0]);
+			this.updater.update();
+
+			assert.equals(this.device.state.FACE_1, 0);
+		},
+
+		'should move axes with control changes': function() {
+			this.input.send([0xB0, 16, 127]);
+			this.input.send([0xB0, 17, 0]);
+			this.updater.update();
+
+			assert.equals(this.device.state.LEFT_STICK_X, 1);
+			assert.equals(this.device.state.LEFT_STICK_Y, -1);
+		},
+
+		'should ignore unbound notes': function() {
+			var spy = this.spy(this.user, 'onButtonDown');
+
+			this.input.send([0x90, 60, 100]);
+			this.updater.update();
+
+			refute.called(spy);
+		},
+
+		'should use channel specific bindings and velocity': function() {
+			var input = new FakeInput('input-2', 'Keys');
+			var listener = {
+				_connect: this.spy(),
+				_disconnect: this.spy()
+			};
+			var platform;
+
+			this.Gamepad.Environment.getNavigator.returns(new FakeAccess([input]).createNavigator());
+			platform = new this.Gamepad.Platforms.MidiPlatform(listener, {
+				bindings: {
+					buttons: [{
+						channel: 2,
+						number: 60
+					}],
+					axes: []
+				},
+				velocity: true
+			});
+
+			platform.update();
+			input.send([0x90, 60, 127]);
+			assert.equals(platform.devices[0].gamepad.buttons[0], 0);
+
+			input.send([0x91, 60, 127]);
+			assert.equals(platform.devices[0].gamepad.buttons[0], 1);
+		},
+
+		'should connect and disconnect inputs on state changes': function() {
+			var input = new FakeInput('input-2', 'Second Controller');
+
+			this.access.onstatechange({
+				port: input
+			});
+			assert.equals(this.obj.count(), 2);
+
+			input.state = 'disconnected';
+			this.access.onstatechange({
+				port: input
+			});
+			assert.equals(this.obj.count(), 1);
+		},
+
+		'should use mappings filtered by platform': function() {
+			var byButton = [];
+			var spy;
+
+			while (byButton.length < 16) {
+				byButton.push(-1);
+			}
+			byButton.push(0);
+
+			this.Gamepad.Mappings.unshift({
+				env: {
+					platform: 'MIDI'
+				},
+				buttons: {
+					byButton: byButton
+				},
+				axes: {
+					byAxis: []
+				}
+			});
+			this.obj.destroy();
+			this.obj = new this.Gamepad(this.updater, [this.Gamepad.Platforms.MidiPlatform.factory]);
+			this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+			spy = this.spy(this.user, 'onButtonDown');
+			this.obj.init();
+			this.updater.update();
+			this.Gamepad.Mappings.shift();
+
+			this.input.send([0x90, 36, 100]);
+			this.updater.update();
+
+			assert.equals(spy.args[0][0].control, 'HOME');
+		},
+
+		'should stop listening and disconnect on destroy': function() {
+			var spy = this.spy(this.user, 'onDisconnected');
+
+			this.obj.destroy();
+
+			assert.isNull(this.input.onmidimessage);
+			assert.isNull(this.access.onstatechange);
+			refute.called(spy);
+			assert.equals(this.obj.count(), 0);
+		}
+	});
+})();
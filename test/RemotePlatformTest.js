@@ -0,0 +1,261 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+	var GamepadUser = require('./GamepadUser.js');
+
+	/*
+	 * One end of an in-process socket pair; what is sent on one end is
+	 * received as a message event on the other.
+	 */
+
+	function FakeSocket() {
+		this.readyState = 1;
+		this.listeners = {};
+		this.peer = null;
+	}
+
+	FakeSocket.createPair = function() {
+		var first = new FakeSocket();
+		var second = new FakeSocket();
+
+		first.peer = second;
+		second.peer = first;
+
+		return [first, second];
+	};
+
+	FakeSocket.prototype.addEventListener = function(type, listener) {
+		this.listeners[type] = this.listeners[type] || [];
+		this.listeners[type].push(listener);
+	};
+
+	FakeSocket.prototype.removeEventListener = function(type, listener) {
+		var listeners = this.listeners[type] || [];
+
+		if (listeners.indexOf(listener) >= 0) {
+			listeners.splice(listeners.indexOf(listener), 1);
+		}
+	};
+
+	FakeSocket.prototype.dispatch = function(type, event) {
+		(this.listeners[type] || []).slice().forEach(function(listener) {
+			listener(event);
+		});
+	};
+
+	FakeSocket.prototype.send = function(data) {
+		this.peer.dispatch('message', {
+			data: data
+		});
+	};
+
+	buster.testCase('Remote', {
+		setUp: function() {
+			var that = this;
+			var sockets = FakeSocket.createPair();
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.senderSocket = sockets[0];
+			this.receiverSocket = sockets[1];
+
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				this.Gamepad.Platforms.RemotePlatform.createFactory(this.receiverSocket)
+			]);
+			this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+			this.obj.bind(this.Gamepad.Event.CONNECTED, function(device) {
+				that.device = device;
+			});
+			this.obj.init();
+		},
+
+		'should have type "Remote"': function() {
+			assert.equals(this.obj.platform.getType(), 'Remote');
+		},
+
+		'should not be supported without socket': function() {
+			refute(new this.Gamepad.Platforms.RemotePlatform({}, null).isSupported());
+		},
+
+		'protocol': {
+			setUp: function() {
+				this.senderSocket.send(JSON.stringify({
+					type: 'connect',
+					device: 'phone:0',
+					id: 'Phone',
+					mapping: 'standard',
+					buttons: 17,
+					axes: 4
+				}));
+			},
+
+			'should connect a gamepad on connect message': function() {
+				assert.equals(this.obj.count(), 1);
+				assert.equals(this.device.id, 'Phone');
+				assert.equals(this.device.index, 0);
+			},
+
+			'should apply state messages': function() {
+				var spy = this.spy(this.user, 'onButtonDown');
+				var buttons = [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+
+				this.senderSocket.send(JSON.stringify({
+					type: 'state',
+					device: 'phone:0',
+					buttons: buttons,
+					axes: [0.5, 0, 0, 0]
+				}));
+				this.updater.update();
+
+				assert.equals(spy.args[0][0].control, 'FACE_1');
+				assert.equals(this.device.state.LEFT_STICK_X, 0.5);
+			},
+
+			'should disconnect on disconnect message': function() {
+				var spy = this.spy(this.user, 'onDisconnected');
+
+				this.senderSocket.send(JSON.stringify({
+					type: 'disconnect',
+					device: 'phone:0'
+				}));
+
+				assert.calledOnce(spy);
+				assert.equals(this.obj.count(), 0);
+			},
+
+			'should ignore malformed messages': function() {
+				this.senderSocket.send('not json');
+				this.senderSocket.send(JSON.stringify({
+					type: 'state',
+					device: 'unknown',
+					buttons: [1]
+				}));
+
+				assert.equals(this.obj.count(), 1);
+			},
+
+			'should limit the number of buttons and axes': function() {
+				this.senderSocket.send(JSON.stringify({
+					type: 'connect',
+					device: 'phone:1',
+					buttons: 1e9,
+					axes: -3
+				}));
+
+				assert.equals(this.obj.gamepads[1].buttons.length, this.Gamepad.Platforms.RemotePlatform.MAX_CONTROLS);
+				assert.equals(this.obj.gamepads[1].axes.length, 0);
+			},
+
+			'should handle any device key': function() {
+				var that = this;
+
+				['__proto__', 'hasOwnProperty', 'constructor'].forEach(function(device) {
+					that.senderSocket.send(JSON.stringify({
+						type: 'connect',
+						device: device,
+						buttons: 17,
+						axes: 4
+					}));
+				});
+				assert.equals(this.obj.count(), 4);
+
+				this.senderSocket.send(JSON.stringify({
+					type: 'disconnect',
+					device: '__proto__'
+				}));
+				this.receiverSocket.dispatch('close', {});
+
+				assert.equals(this.obj.count(), 0);
+			},
+
+			'should disconnect all gamepads when the socket closes': function() {
+				this.receiverSocket.dispatch('close', {});
+
+				assert.equals(this.obj.count(), 0);
+			},
+
+			'should stop listening on destroy': function() {
+				this.obj.destroy();
+
+				assert.equals(this.receiverSocket.listeners.message, []);
+				assert.equals(this.receiverSocket.listeners.close, []);
+			}
+		},
+
+		'RemoteSender': {
+			setUp: function() {
+				this.localUpdater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				this.local = new this.Gamepad(this.localUpdater, [
+					function(listener) {
+						return new PlatformSimulator(listener);
+					}
+				]);
+				this.local.init();
+				this.localGamepad = new GamepadSimulator().addGamepad(0, 'Xbox 360 Controller (STANDARD GAMEPAD)', 17);
+				this.local.platform.listener._connect(this.localGamepad);
+			},
+
+			'should announce already connected gamepads': function() {
+				this.sender = new this.Gamepad.RemoteSender(this.local, this.senderSocket, 'pad');
+
+				assert.equals(this.obj.count(), 1);
+				assert.equals(this.device.id, 'Xbox 360 Controller (STANDARD GAMEPAD)');
+				assert.equals(this.device.buttons.length, 17);
+				assert.equals(this.device.axes.length, 4);
+			},
+
+			'should wait for the socket to open': function() {
+				this.senderSocket.readyState = 0;
+				this.sender = new this.Gamepad.RemoteSender(this.local, this.senderSocket, 'pad');
+
+				assert.equals(this.obj.count(), 0);
+
+				this.senderSocket.readyState = 1;
+				this.senderSocket.dispatch('open', {});
+
+				assert.equals(this.obj.count(), 1);
+			},
+
+			'should stream the mapped state on tick': function() {
+				var spy = this.spy(this.user, 'onButtonDown');
+
+				this.sender = new this.Gamepad.RemoteSender(this.local, this.senderSocket, 'pad');
+				this.localGamepad.buttons[3] = 1;
+				this.localUpdater.update();
+				this.updater.update();
+
+				assert.equals(spy.args[0][0].control, 'FACE_4');
+			},
+
+			'should only send changed states': function() {
+				var spy;
+
+				this.sender = new this.Gamepad.RemoteSender(this.local, this.senderSocket, 'pad');
+				spy = this.spy(this.senderSocket, 'send');
+
+				this.localUpdater.update();
+				this.localUpdater.update();
+
+				refute.called(spy);
+
+				this.localGamepad.axes[0] = 1;
+				this.localUpdater.update();
+
+				assert.calledOnce(spy);
+			},
+
+			'should announce disconnects on stop': function() {
+				this.sender = new this.Gamepad.RemoteSender(this.local, this.senderSocket, 'pad');
+				this.sender.stop();
+
+				assert.equals(this.obj.count(), 0);
+			}
+		}
+	});
+})();
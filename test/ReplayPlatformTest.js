@@ -0,0 +1,287 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+	var GamepadUser = require('./GamepadUser.js');
+
+	/*
+	 * Collects the events fired by a Gamepad instance as readable strings.
+	 */
+
+	function recordEvents(Gamepad, obj) {
+		var log = [];
+
+		obj.bind(Gamepad.Event.CONNECTED, function(device) {
+			log.push('connected ' + device.index);
+		});
+		obj.bind(Gamepad.Event.DISCONNECTED, function(device) {
+			log.push('disconnected ' + device.index);
+		});
+		obj.bind(Gamepad.Event.BUTTON_DOWN, function(e) {
+			log.push('down ' + e.control);
+		});
+		obj.bind(Gamepad.Event.BUTTON_UP, function(e) {
+			log.push('up ' + e.control);
+		});
+		obj.bind(Gamepad.Event.AXIS_CHANGED, function(e) {
+			log.push('axis ' + e.axis + ' ' + e.value);
+		});
+
+		return log;
+	}
+
+	buster.testCase('Replay', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.clock = 0;
+			this.stub(this.Gamepad.Environment, 'now', function() {
+				return that.clock;
+			});
+
+			this.gamepadSimulator = new GamepadSimulator();
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			this.obj.init();
+			this.capturedEvents = recordEvents(this.Gamepad, this.obj);
+
+			this.recorder = new this.Gamepad.Recorder(this.obj);
+			this.recorder.start();
+
+			this.device = this.gamepadSimulator.addGamepad(0, 'Xbox 360 Controller', 17);
+			this.platform.listener._connect(this.device);
+			this.step = function() {
+				that.updater.update();
+				that.clock += 10;
+			};
+
+			this.step();
+			this.device.buttons[0] = 1;
+			this.step();
+			this.device.axes[0] = 0.5;
+			this.device.buttons[0] = {
+				value: 0,
+				pressed: false
+			};
+			this.step();
+			this.platform.listener._disconnect(this.device);
+			this.recording = this.recorder.stop();
+		},
+
+		'Recorder': {
+			'should record a versioned format': function() {
+				assert.equals(this.recording.version, 1);
+			},
+
+			'should record a frame per update': function() {
+				assert.equals(this.recording.frames.length, 4);
+				assert.equals(this.recording.frames[1].time, 10);
+			},
+
+			'should record connects with the platform type': function() {
+				assert.match(this.recording.frames[0].events[0], {
+					type: 'connect',
+					index: 0,
+					id: 'Xbox 360 Controller',
+					platform: 'Simulator',
+					buttons: 17,
+					axes: 4
+				});
+			},
+
+			'should record raw values as numbers': function() {
+				assert.equals(this.recording.frames[1].gamepads[0].buttons[0], 1);
+				assert.equals(this.recording.frames[2].gamepads[0].buttons[0], 0);
+				assert.equals(this.recording.frames[2].gamepads[0].axes[0], 0.5);
+			},
+
+			'should record disconnects': function() {
+				assert.equals(this.recording.frames[3].events, [{
+					type: 'disconnect',
+					index: 0
+				}]);
+			},
+
+			'should record the disconnect of the last gamepad on the next update': function() {
+				var recorder = new this.Gamepad.Recorder(this.obj);
+				var device = this.gamepadSimulator.addGamepad(1, 'Xbox 360 Controller', 17);
+
+				this.platform.listener._connect(device);
+				recorder.start();
+				this.step();
+				this.platform.listener._disconnect(device);
+				this.step();
+				this.step();
+
+				assert.equals(recorder.getRecording().frames.length, 2);
+				assert.equals(recorder.getRecording().frames[1].events, [{
+					type: 'disconnect',
+					index: device.index
+				}]);
+				recorder.stop();
+			},
+
+			'should record nothing after stop': function() {
+				this.step();
+
+				assert.equals(this.recorder.getRecording().frames.length, 4);
+			},
+
+			'should record and replay poll-only updates': function() {
+				var that = this;
+				var frames = [];
+				var polls = [];
+				var obj = new this.Gamepad(new this.Gamepad.UpdateStrategies.HybridUpdateStrategy(240,
+					function(callback) {
+						frames.push(callback);
+					},
+					function(callback) {
+						polls.push(callback);
+					}), [
+					function(listener) {
+						that.platform = new PlatformSimulator(listener);
+
+						return that.platform;
+					}
+				]);
+				var captured = recordEvents(this.Gamepad, obj);
+				var recorder = new this.Gamepad.Recorder(obj);
+				var device = this.gamepadSimulator.addGamepad(1, 'Xbox 360 Controller', 17);
+				var updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				var replay = new this.Gamepad(updater, [
+					function(listener) {
+						return new that.Gamepad.Platforms.ReplayPlatform(listener, recorder.getRecording());
+					}
+				]);
+				var replayed = recordEvents(this.Gamepad, replay);
+				var i;
+
+				obj.init();
+				recorder.start();
+				this.platform.listener._connect(device);
+				device.buttons[0] = 1;
+				polls.shift()();
+				device.buttons[0] = 0;
+				polls.shift()();
+				frames.shift()();
+				recorder.stop();
+				obj.destroy();
+
+				assert.equals(recorder.getRecording().frames.length, 3);
+				assert.equals(captured, ['connected 1', 'down FACE_1', 'up FACE_1']);
+
+				replay.init();
+				for (i = 0; i < 3; i++) {
+					updater.update();
+				}
+
+				assert.equals(replayed, captured);
+			}
+		},
+
+		'ReplayPlatform': {
+			setUp: function() {
+				this.replayUpdater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				this.replay = new this.Gamepad(this.replayUpdater, [
+					this.Gamepad.Platforms.ReplayPlatform.createFactory(JSON.stringify(this.recording))
+				]);
+				this.user = new GamepadUser(this.Gamepad.Event, this.replay);
+				this.replayedEvents = recordEvents(this.Gamepad, this.replay);
+				this.replay.init();
+			},
+
+			'should have type "Replay"': function() {
+				assert.equals(this.replay.platform.getType(), 'Replay');
+			},
+
+			'should not be supported with unknown versions': function() {
+				var platform = new this.Gamepad.Platforms.ReplayPlatform({}, {
+					version: 99,
+					frames: []
+				});
+
+				refute(platform.isSupported());
+			},
+
+			'should fire the same events frame by frame': function() {
+				var i;
+
+				for (i = 0; i < 4; i++) {
+					this.replayUpdater.update();
+				}
+
+				assert.equals(this.replayedEvents, this.capturedEvents);
+				assert(this.replay.platform.isFinished());
+			},
+
+			'should play back one frame per update': function() {
+				var spy = this.spy(this.user, 'onButtonDown');
+
+				this.replayUpdater.update();
+				refute.called(spy);
+
+				this.replayUpdater.update();
+				assert.calledOnce(spy);
+			},
+
+			'should report the recorded platform type for gamepads': function() {
+				this.replayUpdater.update();
+
+				assert.equals(this.replay.platform.getType(this.replay.gamepads[0]), 'Simulator');
+			},
+
+			'should limit the control counts of recorded gamepads': function() {
+				var connect = this.spy();
+				var platform = new this.Gamepad.Platforms.ReplayPlatform({
+					_connect: connect,
+					_disconnect: this.spy()
+				}, {
+					version: 1,
+					frames: [{
+						time: 0,
+						events: [{
+							type: 'connect',
+							index: 0,
+							id: 'Huge Pad',
+							buttons: 1e9,
+							axes: -5
+						}]
+					}]
+				});
+
+				platform.update();
+
+				assert.equals(connect.args[0][0].buttons.length, this.Gamepad.Platforms.ReplayPlatform.MAX_CONTROLS);
+				assert.equals(connect.args[0][0].axes.length, 0);
+			},
+
+			'should play back due frames in real time': function() {
+				var platform = new this.Gamepad.Platforms.ReplayPlatform({
+					_connect: this.spy(),
+					_disconnect: this.spy()
+				}, this.recording, {
+					realtime: true
+				});
+
+				platform.update();
+				assert.equals(platform.position, 1);
+
+				this.clock += 25;
+				platform.update();
+				assert.equals(platform.position, 3);
+			}
+		}
+	});
+})();
@@ -88,6 +88,55 @@
 				var result = this.Gamepad.envMatchesFilter(filter, env);
 
 				assert(result);
+			},
+
+			'should test regular expressions against strings': function() {
+				var filter = {
+					id: /^Pad \d+$/
+				};
+
+				assert(this.Gamepad.envMatchesFilter(filter, {
+					id: 'Pad 2'
+				}));
+				refute(this.Gamepad.envMatchesFilter(filter, {
+					id: 'Pad two'
+				}));
+				refute(this.Gamepad.envMatchesFilter(filter, {}));
+			},
+
+			'should call predicates with value and env': function() {
+				var predicate = this.spy(function(value) {
+					return value >= 16;
+				});
+				var env = {
+					buttons: 17
+				};
+
+				assert(this.Gamepad.envMatchesFilter({
+					buttons: predicate
+				}, env));
+				assert.calledWith(predicate, 17, env);
+				refute(this.Gamepad.envMatchesFilter({
+					buttons: predicate
+				}, {
+					buttons: 12
+				}));
+			},
+
+			'should compare counts': function() {
+				var filter = {
+					buttons: 12,
+					axes: 6
+				};
+
+				assert(this.Gamepad.envMatchesFilter(filter, {
+					buttons: 12,
+					axes: 6
+				}));
+				refute(this.Gamepad.envMatchesFilter(filter, {
+					buttons: 12,
+					axes: 4
+				}));
 			}
 		},
 		'method ': {
@@ -156,6 +205,139 @@
 				var result = this.obj._resolveMapping(gamepad);
 
 				assert.equals(result, logitechMapping);
+			},
+
+			'should match id and counts of the gamepad': function() {
+				var gamepad = this.gamepadSimulator.addGamepad(0, 'Arcade Stick 2000', 12, 2);
+				var mapping = {
+					env: {
+						id: /arcade stick/i,
+						buttons: 12,
+						axes: 2
+					}
+				};
+				this.Gamepad.Mappings = [mapping];
+
+				var result = this.obj._resolveMapping(gamepad);
+
+				assert.same(result, mapping);
+			},
+
+			'should prefer more specific mappings': function() {
+				var gamepad = this.gamepadSimulator.addGamepad(0, 'Playstation stuff');
+				var specific = {
+					env: {
+						platform: 'Simulator',
+						type: this.Gamepad.Type.PLAYSTATION
+					}
+				};
+				this.Gamepad.Mappings = [{
+					env: {
+						type: this.Gamepad.Type.PLAYSTATION
+					}
+				}, specific];
+
+				var result = this.obj.resolveMapping(gamepad);
+
+				assert.same(result.mapping, specific);
+				assert.equals(result.index, 1);
+			},
+
+			'should prefer mappings with higher priority': function() {
+				var gamepad = this.gamepadSimulator.addGamepad(0, 'Playstation stuff');
+				var pack = {
+					env: {
+						id: /playstation/i
+					},
+					priority: 1
+				};
+				this.Gamepad.Mappings = [{
+					env: {
+						platform: 'Simulator',
+						type: this.Gamepad.Type.PLAYSTATION
+					}
+				}, pack];
+
+				var result = this.obj._resolveMapping(gamepad);
+
+				assert.same(result, pack);
+			},
+
+			'should use explicit specificity and keep array order on ties': function() {
+				var gamepad = this.gamepadSimulator.addGamepad(0, 'Playstation stuff');
+				var first = {
+					env: {},
+					specificity: 2
+				};
+				this.Gamepad.Mappings = [first, {
+					env: {
+						platform: 'Simulator',
+						type: this.Gamepad.Type.PLAYSTATION
+					}
+				}];
+
+				var result = this.obj._resolveMapping(gamepad);
+
+				assert.same(result, first);
+			},
+
+			'should prefer the standard mapping if the browser declares it': function() {
+				var gamepad = this.gamepadSimulator.addGamepad(0, 'Playstation stuff');
+				this.Gamepad.Mappings = [{
+					env: {
+						type: this.Gamepad.Type.PLAYSTATION
+					}
+				}];
+				gamepad.mapping = 'standard';
+
+				var result = this.obj.resolveMapping(gamepad);
+
+				assert.same(result.mapping, this.Gamepad.StandardMapping);
+				assert.equals(result.rule, this.Gamepad.MappingRule.BROWSER);
+				assert.equals(result.index, -1);
+			},
+
+			'should use mappings for standard gamepads filtering on the standard mapping': function() {
+				var gamepad = this.gamepadSimulator.addGamepad(0, 'Playstation stuff');
+				var standardMapping = {
+					env: {
+						type: this.Gamepad.Type.PLAYSTATION,
+						mapping: 'standard'
+					}
+				};
+				this.Gamepad.Mappings = [{
+					env: {}
+				}, standardMapping];
+				gamepad.mapping = 'standard';
+
+				var result = this.obj.resolveMapping(gamepad);
+
+				assert.same(result.mapping, standardMapping);
+				assert.equals(result.rule, this.Gamepad.MappingRule.MAPPING);
+				assert.equals(result.index, 1);
+			},
+
+			'should report the fallback rule and environment': function() {
+				var gamepad = this.gamepadSimulator.addGamepad(0, 'Logitech stuff ');
+				this.Gamepad.Mappings = [];
+
+				var result = this.obj.resolveMapping(gamepad);
+
+				assert.equals(result.rule, this.Gamepad.MappingRule.FALLBACK);
+				assert.match(result.env, {
+					platform: 'Simulator',
+					type: this.Gamepad.Type.LOGITECH,
+					mapping: ''
+				});
+			},
+
+			'should attach the resolution on connect': function() {
+				var gamepad = this.gamepadSimulator.addGamepad(0, 'Playstation stuff');
+				gamepad.mapping = 'standard';
+
+				this.platform.listener._connect(gamepad);
+
+				assert.equals(gamepad.mappingResolution.rule, this.Gamepad.MappingRule.BROWSER);
 			}
 		}
 	});
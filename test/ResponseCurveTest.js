@@ -0,0 +1,225 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Response curves', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.Type = this.Gamepad.CurveType;
+			this.apply = function(value, curve) {
+				return Math.round(that.Gamepad.applyCurve(value, curve) * 1000) / 1000;
+			};
+		},
+
+		'applyCurve()': {
+			'should keep values on linear curves': function() {
+				assert.equals(this.apply(-0.3, {
+					type: this.Type.LINEAR
+				}), -0.3);
+			},
+
+			'should apply power curves keeping the sign': function() {
+				var curve = {
+					type: this.Type.POWER,
+					exponent: 3
+				};
+
+				assert.equals(this.apply(0.5, curve), 0.125);
+				assert.equals(this.apply(-0.5, curve), -0.125);
+				assert.equals(this.apply(1, curve), 1);
+			},
+
+			'should apply exponential curves': function() {
+				var curve = {
+					type: this.Type.EXPONENTIAL,
+					exponent: 2
+				};
+
+				assert.equals(this.apply(0, curve), 0);
+				assert.equals(this.apply(0.5, curve), 0.269);
+				assert.equals(this.apply(1, curve), 1);
+			},
+
+			'should apply s-curves': function() {
+				var curve = {
+					type: this.Type.S_CURVE
+				};
+
+				assert.equals(this.apply(0.25, curve), 0.1);
+				assert.equals(this.apply(0.5, curve), 0.5);
+				assert.equals(this.apply(-0.75, curve), -0.9);
+			},
+
+			'should interpolate between points': function() {
+				var curve = {
+					type: this.Type.POINTS,
+					points: [
+						[0.1, 0],
+						[0.5, 0.2],
+						[1, 1]
+					]
+				};
+
+				assert.equals(this.apply(0.05, curve), 0);
+				assert.equals(this.apply(0.3, curve), 0.1);
+				assert.equals(this.apply(-0.75, curve), -0.6);
+			},
+
+			'should call custom functions': function() {
+				assert.equals(this.apply(0.5, function(value) {
+					return value / 2;
+				}), 0.25);
+			},
+
+			'should throw on unknown types': function() {
+				var Gamepad = this.Gamepad;
+
+				assert.exception(function() {
+					Gamepad.applyCurve(0.5, {
+						type: 'wobbly'
+					});
+				});
+			}
+		},
+
+		'on gamepads': {
+			setUp: function() {
+				var that = this;
+
+				this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				this.obj = new this.Gamepad(this.updater, [
+					function(listener) {
+						that.platform = new PlatformSimulator(listener);
+
+						return that.platform;
+					}
+				]);
+				this.obj.init();
+
+				this.gamepadSimulator = new GamepadSimulator();
+				this.device = this.gamepadSimulator.addGamepad(0, 'Curve Pad', 17, 4);
+				this.platform.listener._connect(this.device);
+				this.square = {
+					type: this.Type.POWER,
+					exponent: 2
+				};
+			},
+
+			'should apply curves to axes': function() {
+				this.obj.setCurve(this.square);
+				this.device.axes[0] = -0.5;
+				this.updater.update();
+
+				assert.equals(this.device.state.LEFT_STICK_X, -0.25);
+			},
+
+			'should apply curves to buttons mapped from axes': function() {
+				this.obj.setMapping(this.device, {
+					extends: 'standard',
+					buttons: {
+						RIGHT_BOTTOM_SHOULDER: [3, -1, 1]
+					}
+				});
+				this.obj.setCurve(this.square, null, 'RIGHT_BOTTOM_SHOULDER');
+				this.device.axes[3] = 0.2;
+				this.device.axes[1] = 0.5;
+				this.updater.update();
+
+				assert.equals(Math.round(this.device.state.RIGHT_BOTTOM_SHOULDER * 100) / 100, 0.36);
+				assert.equals(this.device.state.LEFT_STICK_Y, 0.5);
+			},
+
+			'should not apply curves to digital buttons': function() {
+				var spy = this.spy();
+
+				this.obj.bind(this.Gamepad.Event.BUTTON_DOWN, spy);
+				this.obj.setCurve({
+					type: this.Type.POINTS,
+					points: [
+						[0, 0],
+						[1, 0.5]
+					]
+				});
+				this.device.buttons[0] = 1;
+				this.device.buttons[7] = 0.4;
+				this.updater.update();
+
+				assert.calledOnce(spy);
+				assert.equals(this.device.state.FACE_1, 1);
+				assert.equals(this.device.state.RIGHT_BOTTOM_SHOULDER, 0.4);
+			},
+
+			'should prefer curves of the device': function() {
+				var other = this.gamepadSimulator.addGamepad(1, 'Other Pad', 17, 4);
+
+				this.platform.listener._connect(other);
+				this.obj.setCurve(this.square, null, 'LEFT_STICK_X');
+				this.obj.setCurve({
+					type: this.Type.LINEAR
+				}, this.device);
+				this.device.axes[0] = 0.5;
+				other.axes[0] = 0.5;
+				this.updater.update();
+
+				assert.equals(this.device.state.LEFT_STICK_X, 0.5);
+				assert.equals(other.state.LEFT_STICK_X, 0.25);
+			},
+
+			'should change and remove curves at runtime': function() {
+				this.device.axes[0] = 0.5;
+				this.obj.setCurve(this.square, this.device, 'LEFT_STICK_X');
+				this.updater.update();
+				assert.equals(this.device.state.LEFT_STICK_X, 0.25);
+
+				this.obj.setCurve(null, this.device, 'LEFT_STICK_X');
+				this.updater.update();
+				assert.equals(this.device.state.LEFT_STICK_X, 0.5);
+			},
+
+			'should reject invalid curves': function() {
+				var obj = this.obj;
+				var device = this.device;
+				var Type = this.Type;
+
+				assert.exception(function() {
+					obj.setCurve({
+						type: 'wobbly'
+					});
+				});
+				assert.exception(function() {
+					obj.setCurve({
+						type: Type.POINTS,
+						points: [
+							[0.5, 0.5]
+						]
+					}, device);
+				});
+				assert.exception(function() {
+					obj.setCurve({
+						type: Type.POINTS,
+						points: [
+							[1, 1],
+							[0, 0]
+						]
+					});
+				});
+				assert.exception(function() {
+					obj.setCurve({
+						type: Type.POINTS
+					});
+				});
+
+				assert.equals(this.obj.curves, {});
+				refute.defined(this.device.curves);
+			}
+		}
+	});
+})();
@@ -0,0 +1,304 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+	var GamepadUser = require('./GamepadUser.js');
+
+	var X360_LINUX = '030000005e0400008e02000014010000,X360 Controller,a:b0,b:b1,back:b6,dpdown:h0.4,' +
+		'dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b8,leftshoulder:b4,leftstick:b9,lefttrigger:a2,leftx:a0,' +
+		'lefty:a1,rightshoulder:b5,rightstick:b10,righttrigger:a5,rightx:a3,righty:a4,start:b7,x:b2,y:b3,' +
+		'platform:Linux,';
+
+	buster.testCase('SDL mappings', {
+		setUp: function() {
+			this.Gamepad = require('../gamepad.js').Gamepad;
+		},
+
+		tearDown: function() {
+			var mappings = this.Gamepad.Mappings;
+			var i;
+
+			for (i = mappings.length - 1; i >= 0; i--) {
+				if (mappings[i].guid) {
+					mappings.splice(i, 1);
+				}
+			}
+		},
+
+		'parseSdlMapping()': {
+			setUp: function() {
+				this.mapping = this.Gamepad.parseSdlMapping(X360_LINUX);
+			},
+
+			'should match vendor, product and operating system': function() {
+				assert.equals(this.mapping.env, {
+					vendor: '045e',
+					product: '028e',
+					mapping: '',
+					os: 'Linux'
+				});
+				assert.equals(this.mapping.name, 'X360 Controller');
+			},
+
+			'should map buttons': function() {
+				assert.equals(this.mapping.buttons.byButton, [0, 1, 2, 3, 4, 5, -1, -1, 6, 7, 9, 10, -1, -1, -1, -1,
+					8
+				]);
+			},
+
+			'should map triggers from full axes': function() {
+				assert.equals(this.mapping.buttons.byAxis[6], [2, -1, 1]);
+				assert.equals(this.mapping.buttons.byAxis[7], [5, -1, 1]);
+			},
+
+			'should map hats to the axes following the other axes': function() {
+				assert.equals(this.mapping.buttons.byAxis.slice(12, 16), [
+					[7, 0, -1],
+					[7, 0, 1],
+					[6, 0, -1],
+					[6, 0, 1]
+				]);
+			},
+
+			'should use the given first hat axis': function() {
+				var mapping = this.Gamepad.parseSdlMapping(X360_LINUX, {
+					hatAxis: 9
+				});
+
+				assert.equals(mapping.buttons.byAxis[12], [10, 0, -1]);
+			},
+
+			'should map hats to hat switch axes on request': function() {
+				var mapping = this.Gamepad.parseSdlMapping(X360_LINUX, {
+					hatSwitch: true
+				});
+
+				assert.equals(mapping.hat, {
+					axis: 6
+				});
+				assert.equals(mapping.buttons.byButton.slice(12, 16), [-1, -1, -1, -1]);
+				assert.equals(mapping.buttons.byAxis.slice(12, 16), [-1, -1, -1, -1]);
+			},
+
+			'should map axes': function() {
+				assert.equals(this.mapping.axes.byAxis, [0, 1, 3, 4]);
+			},
+
+			'should map half and inverted axes': function() {
+				var mapping = this.Gamepad.parseSdlMapping('03000000790000000600000010010000,Pad,' +
+					'lefttrigger:+a2,righttrigger:-a2,lefty:a1~,rightx:+a3,');
+
+				assert.equals(mapping.buttons.byAxis[6], [2, 0, 1]);
+				assert.equals(mapping.buttons.byAxis[7], [2, 0, -1]);
+				assert.equals(mapping.axes.byAxis[1], [1, 1, -1]);
+				assert.equals(mapping.axes.byAxis[2], [3, 0, 1]);
+				refute.defined(mapping.env.os);
+			},
+
+			'should map additional buttons as extra buttons': function() {
+				var mapping = this.Gamepad.parseSdlMapping('03000000790000000600000010010000,Pad,a:b0,misc1:b12,');
+
+				assert.equals(mapping.buttons.byButton.length, 18);
+				assert.equals(mapping.buttons.byButton[17], 12);
+			},
+
+			'should leave out sticks driven by buttons': function() {
+				var mapping = this.Gamepad.parseSdlMapping('03000000790000000600000010010000,Pad,leftx:b1,');
+
+				assert.equals(mapping.axes.byAxis, [-1, -1, -1, -1]);
+			},
+
+			'should ignore comments and malformed lines': function() {
+				assert.isNull(this.Gamepad.parseSdlMapping('# Windows'));
+				assert.isNull(this.Gamepad.parseSdlMapping(''));
+				assert.isNull(this.Gamepad.parseSdlMapping('zz,Pad,a:b0'));
+			},
+
+			'should ignore GUIDs without vendor and product': function() {
+				assert.isNull(this.Gamepad.parseSdlMapping('78696e70757401000000000000000000,XInput Controller,a:b0,'));
+			}
+		},
+
+		'loadSdlDatabase()': {
+			setUp: function() {
+				var that = this;
+
+				this.stub(this.Gamepad.Environment, 'getOperatingSystem').returns('Linux');
+				this.count = this.Gamepad.Mappings.length;
+				this.added = this.Gamepad.loadSdlDatabase('# Linux\n' + X360_LINUX + '\r\n' +
+					X360_LINUX.replace('a:b0,b:b1', 'a:b1,b:b0') + '\n');
+
+				this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				this.obj = new this.Gamepad(this.updater, [
+					function(listener) {
+						that.platform = new PlatformSimulator(listener);
+
+						return that.platform;
+					}
+				]);
+				this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+				this.obj.init();
+			},
+
+			'should add the mappings after the existing ones': function() {
+				assert.equals(this.added.length, 2);
+				assert.same(this.Gamepad.Mappings[this.count], this.added[1]);
+			},
+
+			'should replace mappings of the same device': function() {
+				assert.equals(this.Gamepad.Mappings.length, this.count + 1);
+			},
+
+			'should apply to gamepads with the same vendor and product': function() {
+				var gamepad = new GamepadSimulator().addGamepad(0, 'Xbox 360 (Vendor: 045e Product: 028e)', 11, 8);
+				var spy = this.spy(this.user, 'onButtonDown');
+
+				this.platform.listener._connect(gamepad);
+				gamepad.buttons[0] = 1;
+				gamepad.axes[7] = -1;
+				this.updater.update();
+
+				assert.equals(spy.args[0][0].control, 'FACE_2');
+				assert.equals(spy.args[1][0].control, 'DPAD_UP');
+			},
+
+			'should apply to Firefox ids': function() {
+				var gamepad = new GamepadSimulator().addGamepad(0, '45e-28e-Xbox 360 Wired Controller', 11, 8);
+
+				this.platform.listener._connect(gamepad);
+
+				assert.same(this.obj._resolveMapping(gamepad), this.added[1]);
+			},
+
+			'should not apply to gamepads the browser maps itself': function() {
+				var gamepad = new GamepadSimulator().addGamepad(0, 'Xbox 360 (Vendor: 045e Product: 028e)', 17);
+
+				gamepad.mapping = 'standard';
+
+				refute.same(this.obj._resolveMapping(gamepad), this.added[1]);
+			},
+
+			'should not apply on other operating systems': function() {
+				var gamepad = new GamepadSimulator().addGamepad(0, 'Xbox 360 (Vendor: 045e Product: 028e)', 11, 8);
+
+				this.Gamepad.Environment.getOperatingSystem.returns('Windows');
+
+				refute.same(this.obj._resolveMapping(gamepad), this.added[1]);
+			},
+
+			'should map inverted axes': function() {
+				var gamepad = new GamepadSimulator().addGamepad(0, 'Pad (Vendor: 0079 Product: 0006)', 4, 4);
+
+				this.Gamepad.loadSdlDatabase('03000000790000000600000010010000,Pad,lefty:a1~,platform:Linux,');
+				this.platform.listener._connect(gamepad);
+				gamepad.axes[1] = 0.5;
+				this.updater.update();
+
+				assert.equals(gamepad.state.LEFT_STICK_Y, -0.5);
+			}
+		},
+
+		'exportSdlMapping()': {
+			'should round-trip database lines': function() {
+				var result = this.Gamepad.exportSdlMapping(this.Gamepad.parseSdlMapping(X360_LINUX));
+
+				assert.equals(result.line, X360_LINUX);
+				assert.equals(result.unsupported, []);
+			},
+
+			'should round-trip half and inverted axes': function() {
+				var line = '03000000790000000600000010010000,Pad,lefttrigger:+a2,lefty:a1~,righttrigger:-a2~,' +
+					'rightx:+a3,';
+
+				assert.equals(this.Gamepad.exportSdlMapping(this.Gamepad.parseSdlMapping(line)).line, line);
+			},
+
+			'should round-trip hat switches': function() {
+				var mapping = this.Gamepad.parseSdlMapping(X360_LINUX, {
+					hatSwitch: true
+				});
+				var result = this.Gamepad.exportSdlMapping(mapping);
+
+				assert.equals(result.line, X360_LINUX);
+				assert.equals(result.unsupported, []);
+			},
+
+			'should build the GUID from vendor and product': function() {
+				var result = this.Gamepad.exportSdlMapping({
+					env: {
+						vendor: '045e',
+						product: '028e',
+						os: 'Windows'
+					},
+					buttons: {
+						byButton: [0]
+					},
+					axes: {
+						byAxis: []
+					}
+				}, {
+					name: 'Xbox, wired'
+				});
+
+				assert.equals(result.line, '030000005e0400008e02000000000000,Xbox wired,a:b0,platform:Windows,');
+			},
+
+			'should write buttons on hat axes as hat directions': function() {
+				var result = this.Gamepad.exportSdlMapping(this.Gamepad.Mappings[this.Gamepad.Mappings.length - 1], {
+					guid: '030000005e0400008e02000014010000'
+				});
+
+				assert.match(result.line, 'dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,');
+			},
+
+			'should report constructs SDL cannot represent': function() {
+				var result = this.Gamepad.exportSdlMapping({
+					env: {
+						platform: 'Firefox',
+						vendor: '045e',
+						product: '028e'
+					},
+					buttons: {
+						byButton: [-1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1,
+							-1, -1, 4
+						],
+						byAxis: [
+							[2, -0.5, 1]
+						]
+					},
+					axes: {
+						byAxis: [0, -1, -1, -1, 5]
+					}
+				});
+
+				assert.equals(result.line, '030000005e0400008e02000000000000,Gamepad,leftx:a0,');
+				assert.equals(result.unsupported, ['env.platform: Firefox', 'FACE_1: [2,-0.5,1]',
+					'EXTRA_BUTTON_7: 4', 'EXTRA_AXIS_1: 5'
+				]);
+			}
+		},
+
+		'Environment.getOperatingSystem()': {
+			'should detect the operating system of the browser': function() {
+				var getNavigator = this.stub(this.Gamepad.Environment, 'getNavigator');
+
+				getNavigator.returns({
+					userAgent: 'Mozilla/5.0 (Linux; Android 13) Chrome/120.0',
+					platform: 'Linux armv8l'
+				});
+				assert.equals(this.Gamepad.Environment.getOperatingSystem(), 'Android');
+
+				getNavigator.returns({
+					userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+					platform: 'Win32'
+				});
+				assert.equals(this.Gamepad.Environment.getOperatingSystem(), 'Windows');
+			}
+		}
+	});
+})();
@@ -0,0 +1,133 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+	var GamepadUser = require('./GamepadUser.js');
+
+	buster.testCase('setMapping()', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.gamepadSimulator = new GamepadSimulator();
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				function(listener) {
+					that.platform = new PlatformSimulator(listener);
+
+					return that.platform;
+				}
+			]);
+			this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+			this.obj.init();
+
+			this.gamepad = this.gamepadSimulator.addGamepad(0, 'Swapped Pad', 17);
+			this.platform.listener._connect(this.gamepad);
+			this.swapped = {
+				extends: 'standard',
+				buttons: {
+					FACE_1: 1,
+					FACE_2: 0
+				}
+			};
+		},
+
+		'should use the new mapping on the next update': function() {
+			var spy = this.spy(this.user, 'onButtonDown');
+
+			this.obj.setMapping(this.gamepad, this.swapped);
+			this.gamepad.buttons[1] = 1;
+			this.updater.update();
+
+			assert.calledOnce(spy);
+			assert.equals(spy.args[0][0].control, 'FACE_1');
+		},
+
+		'should fire a mapping changed event': function() {
+			var spy = this.spy();
+
+			this.obj.bind(this.Gamepad.Event.MAPPING_CHANGED, spy);
+			this.obj.setMapping(this.gamepad, this.swapped);
+
+			assert.calledOnce(spy);
+			assert.same(spy.args[0][0].gamepad, this.gamepad);
+			assert.equals(spy.args[0][0].mapping.buttons.byButton.slice(0, 3), [1, 0, 2]);
+			assert.same(spy.args[0][0].previous, this.Gamepad.StandardMapping);
+		},
+
+		'should keep the state of controls': function() {
+			var down = this.spy(this.user, 'onButtonDown');
+			var up = this.spy(this.user, 'onButtonUp');
+
+			this.gamepad.buttons[2] = 1;
+			this.gamepad.axes[0] = 0.5;
+			this.updater.update();
+			this.obj.setMapping(this.gamepad, this.swapped);
+			this.updater.update();
+
+			assert.calledOnce(down);
+			refute.called(up);
+			assert.equals(this.gamepad.state.FACE_3, 1);
+			assert.equals(this.gamepad.state.LEFT_STICK_X, 0.5);
+		},
+
+		'should only fire events for controls the mapping changes': function() {
+			var down = this.spy(this.user, 'onButtonDown');
+			var up = this.spy(this.user, 'onButtonUp');
+
+			this.gamepad.buttons[0] = 1;
+			this.updater.update();
+			this.obj.setMapping(this.gamepad, this.swapped);
+			this.updater.update();
+
+			assert.equals(down.args[1][0].control, 'FACE_2');
+			assert.equals(up.args[0][0].control, 'FACE_1');
+		},
+
+		'should report the override': function() {
+			this.obj.setMapping(this.gamepad, this.swapped);
+
+			assert.equals(this.gamepad.mappingResolution.rule, this.Gamepad.MappingRule.OVERRIDE);
+			assert.equals(this.gamepad.mappingResolution.env.platform, 'Simulator');
+		},
+
+		'should resolve the mapping again without mapping': function() {
+			this.obj.setMapping(this.gamepad, this.swapped);
+			this.obj.setMapping(this.gamepad);
+
+			assert.same(this.gamepad.mappingResolution.mapping, this.Gamepad.StandardMapping);
+			assert.equals(this.gamepad.mappingResolution.rule, this.Gamepad.MappingRule.FALLBACK);
+		},
+
+		'should accept named controls without base': function() {
+			var spy = this.spy(this.user, 'onButtonDown');
+
+			this.obj.setMapping(this.gamepad, {
+				buttons: {
+					FACE_1: 1
+				}
+			});
+			this.gamepad.buttons[0] = 1;
+			this.gamepad.buttons[1] = 1;
+			this.updater.update();
+
+			assert.calledOnce(spy);
+			assert.equals(spy.args[0][0].control, 'FACE_1');
+		},
+
+		'should ignore gamepads that are not connected': function() {
+			var other = this.gamepadSimulator.addGamepad(1, 'Other Pad');
+			var spy = this.spy();
+
+			this.obj.bind(this.Gamepad.Event.MAPPING_CHANGED, spy);
+
+			refute(this.obj.setMapping(other, this.swapped));
+			refute.called(spy);
+		}
+	});
+})();
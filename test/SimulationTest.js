@@ -0,0 +1,168 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	buster.testCase('Simulation', {
+		setUp: function() {
+			var module = require('../gamepad-simulation.js');
+
+			this.Gamepad = module.Gamepad;
+			this.Simulation = module.Simulation;
+			this.simulation = new this.Simulation();
+		},
+
+		tearDown: function() {
+			this.simulation.destroy();
+		},
+
+		'should be available on Gamepad': function() {
+			assert.same(this.Gamepad.Simulation, this.Simulation);
+		},
+
+		'should provide an initialized Gamepad instance': function() {
+			assert(this.simulation.gamepad instanceof this.Gamepad);
+			assert(this.simulation.gamepad.platform.isSupported());
+		},
+
+		'should connect devices by type id': function() {
+			var device = this.simulation.addDevice('playstation');
+
+			assert.equals(this.simulation.gamepad.count(), 1);
+			assert.equals(this.simulation.gamepad._resolveControllerType(device.gamepad.id), 'playstation');
+			assert.equals(this.simulation.getEvents(this.Gamepad.Event.CONNECTED)[0].index, 0);
+		},
+
+		'should connect devices by gamepad id': function() {
+			var device = this.simulation.addDevice('My Controller');
+
+			assert.equals(device.gamepad.id, 'My Controller');
+			assert.equals(device.gamepad.buttons.length, 17);
+		},
+
+		'should press a button at a frame for a number of frames': function() {
+			var device = this.simulation.addDevice('xbox');
+
+			this.simulation.hold(device, 'FACE_1', {
+				at: 10,
+				frames: 3
+			});
+			this.simulation.run();
+
+			assert.equals(this.simulation.getEvents(this.Gamepad.Event.BUTTON_DOWN), [{
+				frame: 10,
+				type: this.Gamepad.Event.BUTTON_DOWN,
+				index: 0,
+				control: 'FACE_1'
+			}]);
+			assert.equals(this.simulation.getEvents(this.Gamepad.Event.BUTTON_UP)[0].frame, 13);
+		},
+
+		'should tilt an axis over a duration': function() {
+			var device = this.simulation.addDevice('xbox');
+			var events;
+
+			this.simulation.tilt(device, 'LEFT_STICK_X', 0.8, {
+				duration: 200
+			});
+			this.simulation.run();
+			events = this.simulation.getEvents(this.Gamepad.Event.AXIS_CHANGED);
+
+			assert.equals(events.length, 12);
+			assert.near(events[0].value, 0.8 / 12, 0.0001);
+			assert.equals(events[11].value, 0.8);
+			assert.equals(events[11].frame, 12);
+		},
+
+		'should filter axes by the simulated time': function() {
+			var device = this.simulation.addDevice('xbox');
+
+			this.simulation.gamepad.setFilter({
+				type: 'ema',
+				cutoff: 5
+			});
+			this.simulation.tilt(device, 'LEFT_STICK_X', 0.8, {
+				duration: 200
+			});
+			this.simulation.run();
+
+			assert.equals(this.simulation.getEvents(this.Gamepad.Event.AXIS_CHANGED).length, 11);
+			assert.near(this.simulation.gamepad.gamepads[0].state.LEFT_STICK_X, 0.703, 0.001);
+		},
+
+		'should record frames at the simulated time': function() {
+			var recorder = new this.Gamepad.Recorder(this.simulation.gamepad);
+
+			this.simulation.addDevice('xbox');
+			this.simulation.step(2);
+			recorder.start();
+			this.simulation.step(3);
+
+			assert.equals(recorder.stop().frames.map(function(frame) {
+				return Math.round(frame.time);
+			}), [0, 17, 33]);
+		},
+
+		'should translate standard names through the resolved mapping': function() {
+			var device = this.simulation.addDevice('xbox', {
+				platform: 'Firefox',
+				mapping: ''
+			});
+
+			this.simulation.hold(device, 'DPAD_UP');
+			this.simulation.step();
+
+			assert.equals(this.simulation.getEvents(this.Gamepad.Event.BUTTON_DOWN)[0].control, 'DPAD_UP');
+			assert.equals(device.gamepad.buttons[12], 0);
+		},
+
+		'should throw for controls the mapping does not provide': function() {
+			var device = this.simulation.addDevice('n64');
+
+			assert.exception(function() {
+				device.press('LEFT_STICK');
+			});
+		},
+
+		'should step a given number of frames': function() {
+			this.simulation.step(5);
+			this.simulation.advance(100);
+
+			assert.equals(this.simulation.frame, 11);
+		},
+
+		'should call scheduled callbacks before the update of their frame': function() {
+			var device = this.simulation.addDevice('xbox');
+			var spy = this.spy();
+
+			this.simulation.at(2, function() {
+				device.press('START_FORWARD');
+			});
+			this.simulation.at(2, spy);
+			this.simulation.step(2);
+			refute.called(spy);
+
+			this.simulation.step();
+			assert.calledOnce(spy);
+			assert.equals(this.simulation.getEvents(this.Gamepad.Event.BUTTON_DOWN)[0].frame, 2);
+		},
+
+		'should disconnect devices': function() {
+			var device = this.simulation.addDevice('xbox');
+
+			this.simulation.removeDevice(device);
+
+			assert.equals(this.simulation.gamepad.count(), 0);
+			assert.equals(this.simulation.getEvents(this.Gamepad.Event.DISCONNECTED).length, 1);
+		},
+
+		'should clear collected events': function() {
+			this.simulation.addDevice('xbox');
+			this.simulation.clearEvents();
+
+			assert.equals(this.simulation.getEvents(), []);
+		}
+	});
+})();
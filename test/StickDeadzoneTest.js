@@ -0,0 +1,152 @@
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	buster.testCase('Stick deadzones', {
+		setUp: function() {
+			var that = this;
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.Mode = this.Gamepad.DeadzoneMode;
+			this.settings = function(mode) {
+				return {
+					mode: mode,
+					deadzone: 0.2,
+					maximizeThreshold: 0.9
+				};
+			};
+			this.apply = function(x, y, mode) {
+				return that.Gamepad.applyStickDeadzone(x, y, that.settings(mode)).map(function(value) {
+					return Math.round(value * 1000) / 1000;
+				});
+			};
+		},
+
+		'applyStickDeadzone()': {
+			'should treat axes independently in axial mode': function() {
+				assert.equals(this.apply(0.1, 0.5, this.Mode.AXIAL), [0, 0.5]);
+				assert.equals(this.apply(0.95, -0.95, this.Mode.AXIAL), [1, -1]);
+			},
+
+			'should zero the stick within the distance in radial mode': function() {
+				assert.equals(this.apply(0.1, 0.1, this.Mode.RADIAL), [0, 0]);
+				assert.equals(this.apply(0.15, 0.15, this.Mode.RADIAL), [0.15, 0.15]);
+			},
+
+			'should rescale from zero in scaled radial mode': function() {
+				assert.equals(this.apply(0.2, 0, this.Mode.SCALED_RADIAL), [0, 0]);
+				assert.equals(this.apply(0, -0.55, this.Mode.SCALED_RADIAL), [0, -0.5]);
+				assert.equals(this.apply(0.9, 0, this.Mode.SCALED_RADIAL), [1, 0]);
+			},
+
+			'should keep the direction in scaled radial mode': function() {
+				var result = this.apply(0.3, 0.4, this.Mode.SCALED_RADIAL);
+
+				assert.equals(result, [0.257, 0.343]);
+			},
+
+			'should snap to the axes near them in hybrid mode': function() {
+				var result = this.apply(0.05, 0.8, this.Mode.HYBRID);
+
+				assert.equals(result[0], 0);
+				assert.greater(result[1], 0.8);
+				assert.equals(this.apply(0.1, 0.1, this.Mode.HYBRID), [0, 0]);
+			},
+
+			'should not divide by zero with a full deadzone': function() {
+				var settings = {
+					mode: this.Mode.HYBRID,
+					deadzone: 1,
+					maximizeThreshold: 0.9
+				};
+
+				assert.equals(this.Gamepad.applyStickDeadzone(1, 1, settings), [0, 0]);
+				assert.equals(this.Gamepad.applyStickDeadzone(-1, 0.5, settings), [-1, 0]);
+
+				settings.mode = this.Mode.SCALED_RADIAL;
+				settings.deadzone = 0.9;
+				assert.equals(this.Gamepad.applyStickDeadzone(0, -0.95, settings).map(Math.round), [0, -1]);
+			}
+		},
+
+		'on gamepads': {
+			setUp: function() {
+				var that = this;
+
+				this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+				this.obj = new this.Gamepad(this.updater, [
+					function(listener) {
+						that.platform = new PlatformSimulator(listener);
+
+						return that.platform;
+					}
+				]);
+				this.obj.init();
+
+				this.gamepadSimulator = new GamepadSimulator();
+				this.device = this.gamepadSimulator.addGamepad(0, 'Stick Pad', 17, 4);
+				this.platform.listener._connect(this.device);
+			},
+
+			'should keep the axial deadzone by default': function() {
+				this.device.axes[0] = 0.02;
+				this.device.axes[1] = 0.5;
+				this.updater.update();
+
+				assert.equals(this.device.state.LEFT_STICK_X, 0);
+				assert.equals(this.device.state.LEFT_STICK_Y, 0.5);
+			},
+
+			'should apply the deadzone to both axes of a stick': function() {
+				this.obj.setStickDeadzone(this.settings(this.Mode.RADIAL));
+				this.device.axes[0] = 0.15;
+				this.device.axes[1] = 0.15;
+				this.device.axes[2] = 0.15;
+				this.device.axes[3] = 0.05;
+				this.updater.update();
+
+				assert.equals(this.device.state.LEFT_STICK_X, 0.15);
+				assert.equals(this.device.state.LEFT_STICK_Y, 0.15);
+				assert.equals(this.device.state.RIGHT_STICK_X, 0);
+				assert.equals(this.device.state.RIGHT_STICK_Y, 0);
+			},
+
+			'should prefer settings per device and stick': function() {
+				var other = this.gamepadSimulator.addGamepad(1, 'Other Pad', 17, 4);
+
+				this.platform.listener._connect(other);
+				this.obj.setStickDeadzone(this.settings(this.Mode.RADIAL));
+				this.obj.setStickDeadzone({
+					mode: this.Mode.AXIAL
+				}, this.device, 'RIGHT_STICK');
+				this.device.axes[2] = 0.15;
+				this.device.axes[3] = 0.15;
+				other.axes[2] = 0.15;
+				other.axes[3] = 0.15;
+				this.updater.update();
+
+				assert.equals(this.device.state.RIGHT_STICK_X, 0.15);
+				assert.equals(other.state.RIGHT_STICK_X, 0.15);
+				assert.equals(this.obj.getStickDeadzone(this.device, 'RIGHT_STICK'), {
+					mode: this.Mode.AXIAL,
+					deadzone: 0.03,
+					maximizeThreshold: 0.97
+				});
+				assert.equals(this.obj.getStickDeadzone(this.device, 'LEFT_STICK').mode, this.Mode.RADIAL);
+			},
+
+			'should remove settings': function() {
+				this.obj.setStickDeadzone(this.settings(this.Mode.RADIAL));
+				this.obj.setStickDeadzone(null, null, 'LEFT_STICK');
+
+				assert.equals(this.obj.getStickDeadzone(this.device, 'LEFT_STICK').mode, this.Mode.AXIAL);
+				assert.equals(this.obj.getStickDeadzone(this.device, 'RIGHT_STICK').mode, this.Mode.RADIAL);
+			}
+		}
+	});
+})();
@@ -0,0 +1,230 @@
+/* global global */
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadUser = require('./GamepadUser.js');
+
+	/*
+	 * A minimal DOM element stand-in.
+	 */
+
+	function FakeElement() {
+		this.style = {};
+		this.children = [];
+		this.listeners = {};
+	}
+
+	FakeElement.prototype.appendChild = function(child) {
+		this.children.push(child);
+	};
+
+	FakeElement.prototype.removeChild = function(child) {
+		this.children.splice(this.children.indexOf(child), 1);
+	};
+
+	FakeElement.prototype.addEventListener = function(type, listener) {
+		this.listeners[type] = listener;
+	};
+
+	FakeElement.prototype.getBoundingClientRect = function() {
+		return {
+			left: 0,
+			top: 0,
+			width: 1000,
+			height: 500
+		};
+	};
+
+	/*
+	 * Dispatches a touch event with a single changed touch to the overlay.
+	 */
+
+	function touch(overlay, type, identifier, x, y) {
+		var event = {
+			type: type,
+			changedTouches: [{
+				identifier: identifier,
+				clientX: x,
+				clientY: y
+			}],
+			defaultPrevented: false,
+			preventDefault: function() {
+				this.defaultPrevented = true;
+			}
+		};
+
+		overlay.listeners[type](event);
+
+		return event;
+	}
+
+	buster.testCase('Touch', {
+		setUp: function() {
+			var that = this;
+
+			this.container = new FakeElement();
+			global.window = {
+				document: {
+					createElement: function() {
+						return new FakeElement();
+					}
+				}
+			};
+
+			this.Gamepad = require('../gamepad.js').Gamepad;
+			this.updater = new this.Gamepad.UpdateStrategies.ManualUpdateStrategy();
+			this.obj = new this.Gamepad(this.updater, [
+				this.Gamepad.Platforms.TouchPlatform.createFactory({
+					container: this.container,
+					layout: [{
+						type: 'stick',
+						stick: 'LEFT_STICK',
+						x: 0.2,
+						y: 0.5,
+						radius: 0.2
+					}, {
+						type: 'dpad',
+						x: 0.5,
+						y: 0.5,
+						radius: 0.1
+					}, {
+						type: 'button',
+						button: 'FACE_1',
+						x: 0.8,
+						y: 0.5,
+						radius: 0.1
+					}]
+				})
+			]);
+			this.user = new GamepadUser(this.Gamepad.Event, this.obj);
+			this.obj.bind(this.Gamepad.Event.CONNECTED, function(device) {
+				that.device = device;
+			});
+		},
+
+		tearDown: function() {
+			delete global.window;
+		},
+
+		'without touch screen': {
+			'should not be supported': function() {
+				refute(this.obj.init());
+			}
+		},
+
+		'with touch screen': {
+			setUp: function() {
+				global.window.ontouchstart = null;
+				this.obj.init();
+				this.updater.update();
+				this.overlay = this.container.children[0];
+			},
+
+			'should connect a virtual gamepad on first update': function() {
+				assert.equals(this.obj.count(), 1);
+				assert.equals(this.device.id, 'Touch');
+			},
+
+			'should create an element for each control': function() {
+				assert.equals(this.overlay.children.length, 3);
+			},
+
+			'should let touches outside of the controls through': function() {
+				assert.equals(this.overlay.style.pointerEvents, 'none');
+				assert.equals(this.overlay.children[0].style.pointerEvents, 'auto');
+				assert.equals(this.overlay.children[0].style.touchAction, 'none');
+
+				refute(touch(this.overlay, 'touchstart', 1, 500, 50).defaultPrevented);
+				refute(touch(this.overlay, 'touchmove', 1, 800, 250).defaultPrevented);
+				refute(touch(this.overlay, 'touchend', 1, 800, 250).defaultPrevented);
+			},
+
+			'should prevent the default action of touches on controls': function() {
+				assert(touch(this.overlay, 'touchstart', 1, 800, 250).defaultPrevented);
+				assert(touch(this.overlay, 'touchmove', 1, 500, 50).defaultPrevented);
+				assert(touch(this.overlay, 'touchend', 1, 500, 50).defaultPrevented);
+			},
+
+			'should position controls relative to the container': function() {
+				var style = this.overlay.children[2].style;
+
+				assert.equals(style.left, '750px');
+				assert.equals(style.top, '200px');
+				assert.equals(style.width, '100px');
+			},
+
+			'should press a button while touched': function() {
+				var down = this.spy(this.user, 'onButtonDown');
+				var up = this.spy(this.user, 'onButtonUp');
+
+				touch(this.overlay, 'touchstart', 1, 800, 250);
+				this.updater.update();
+				touch(this.overlay, 'touchend', 1, 800, 250);
+				this.updater.update();
+
+				assert.equals(down.args[0][0].control, 'FACE_1');
+				assert.calledOnce(up);
+			},
+
+			'should move the stick axes': function() {
+				touch(this.overlay, 'touchstart', 1, 200, 250);
+				touch(this.overlay, 'touchmove', 1, 250, 200);
+				this.updater.update();
+
+				assert.near(this.device.state.LEFT_STICK_X, 0.5, 0.0001);
+				assert.near(this.device.state.LEFT_STICK_Y, -0.5, 0.0001);
+			},
+
+			'should limit the stick vector length to one': function() {
+				touch(this.overlay, 'touchstart', 1, 200, 250);
+				touch(this.overlay, 'touchmove', 1, 500, 250);
+				this.updater.update();
+
+				assert.equals(this.device.state.LEFT_STICK_X, 1);
+			},
+
+			'should keep controlling the stick when moving outside of it': function() {
+				var spy = this.spy(this.user, 'onButtonDown');
+
+				touch(this.overlay, 'touchstart', 1, 200, 250);
+				touch(this.overlay, 'touchmove', 1, 800, 250);
+				this.updater.update();
+
+				refute.called(spy);
+			},
+
+			'should press d-pad directions including diagonals': function() {
+				touch(this.overlay, 'touchstart', 1, 530, 220);
+				this.updater.update();
+
+				assert.equals(this.device.state.DPAD_UP, 1);
+				assert.equals(this.device.state.DPAD_RIGHT, 1);
+				assert.equals(this.device.state.DPAD_DOWN, 0);
+				assert.equals(this.device.state.DPAD_LEFT, 0);
+			},
+
+			'should track multiple touches': function() {
+				touch(this.overlay, 'touchstart', 1, 800, 250);
+				touch(this.overlay, 'touchstart', 2, 250, 250);
+				this.updater.update();
+
+				assert.equals(this.device.state.FACE_1, 1);
+				assert.near(this.device.state.LEFT_STICK_X, 0.5, 0.0001);
+			},
+
+			'should remove the overlay and disconnect on destroy': function() {
+				var spy = this.spy(this.user, 'onDisconnected');
+
+				this.obj.destroy();
+
+				assert.equals(this.container.children.length, 0);
+				refute.called(spy);
+				assert.equals(this.obj.count(), 0);
+			}
+		}
+	});
+})();
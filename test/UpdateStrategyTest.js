@@ -0,0 +1,205 @@
+/* global global */
+(function() {
+	'use strict';
+
+	var buster = require('buster');
+	var assert = buster.assert;
+	var refute = buster.refute;
+
+	var GamepadSimulator = require('./GamepadSimulator.js');
+	var PlatformSimulator = require('./PlatformSimulator.js');
+
+	/*
+	 * A timer that only calls the scheduled function on request.
+	 */
+
+	function FakeTimer() {
+		this.callbacks = [];
+		this.delays = [];
+	}
+
+	FakeTimer.prototype.schedule = function(callback, delay) {
+		this.callbacks.push(callback);
+		this.delays.push(delay);
+	};
+
+	FakeTimer.prototype.fire = function() {
+		this.callbacks.shift()();
+	};
+
+	buster.testCase('Update Strategies', {
+		setUp: function() {
+			this.Gamepad = require('../gamepad.js').Gamepad;
+		},
+
+		'IntervalUpdateStrategy': {
+			setUp: function() {
+				var that = this;
+
+				this.timer = new FakeTimer();
+				this.time = 1000;
+				this.strategy = new this.Gamepad.UpdateStrategies.IntervalUpdateStrategy(100,
+					function(callback, delay) {
+						that.timer.schedule(callback, delay);
+					},
+					function() {
+						return that.time;
+					});
+			},
+
+			'should default to 60 updates per second': function() {
+				var strategy = new this.Gamepad.UpdateStrategies.IntervalUpdateStrategy();
+
+				assert.equals(strategy.frequency, 60);
+			},
+
+			'should schedule first update after one period': function() {
+				this.strategy.start(function() {});
+
+				assert.equals(this.timer.delays, [10]);
+			},
+
+			'should call update function on each tick': function() {
+				var update = this.spy();
+
+				this.strategy.start(update);
+				this.time += 10;
+				this.timer.fire();
+				this.time += 10;
+				this.timer.fire();
+
+				assert.calledTwice(update);
+			},
+
+			'should shorten the delay after a late tick': function() {
+				this.strategy.start(function() {});
+				this.time += 14;
+				this.timer.fire();
+
+				assert.equals(this.timer.delays[1], 6);
+			},
+
+			'should resynchronize if more than a period behind': function() {
+				this.strategy.start(function() {});
+				this.time += 500;
+				this.timer.fire();
+
+				assert.equals(this.timer.delays[1], 10);
+			}
+		},
+
+		'HybridUpdateStrategy': {
+			setUp: function() {
+				var that = this;
+
+				global.window = {};
+				this.frameTimer = new FakeTimer();
+				this.pollTimer = new FakeTimer();
+				this.strategy = new this.Gamepad.UpdateStrategies.HybridUpdateStrategy(240,
+					function(callback) {
+						that.frameTimer.schedule(callback);
+					},
+					function(callback, delay) {
+						that.pollTimer.schedule(callback, delay);
+					});
+			},
+
+			tearDown: function() {
+				delete global.window;
+			},
+
+			'should call update function with pollOnly flag on polls': function() {
+				var update = this.spy();
+
+				this.strategy.start(update);
+				this.pollTimer.fire();
+
+				assert.calledWith(update, true);
+			},
+
+			'should call update function without pollOnly flag on frames': function() {
+				var update = this.spy();
+
+				this.strategy.start(update);
+				this.frameTimer.fire();
+
+				assert.calledOnce(update);
+				refute.defined(update.args[0][0]);
+			}
+		},
+
+		'Gamepad with HybridUpdateStrategy': {
+			setUp: function() {
+				var that = this;
+
+				global.window = {};
+				this.frameTimer = new FakeTimer();
+				this.pollTimer = new FakeTimer();
+				this.gamepadSimulator = new GamepadSimulator();
+
+				this.PlatformFactories = this.Gamepad.PlatformFactories;
+				this.Gamepad.PlatformFactories = [
+					function(listener) {
+						var platform = that.platform = new PlatformSimulator(listener);
+
+						return platform;
+					}
+				];
+
+				this.obj = new this.Gamepad(new this.Gamepad.UpdateStrategies.HybridUpdateStrategy(240,
+					function(callback) {
+						that.frameTimer.schedule(callback);
+					},
+					function(callback, delay) {
+						that.pollTimer.schedule(callback, delay);
+					}));
+				this.obj.init();
+
+				this.gamepad = this.gamepadSimulator.addGamepad(0, 'xbox gamepad', 17);
+				this.platform.listener._connect(this.gamepad);
+			},
+
+			tearDown: function() {
+				this.Gamepad.PlatformFactories = this.PlatformFactories;
+				delete global.window;
+			},
+
+			'should not fire TICK on polls': function() {
+				var tick = this.spy();
+
+				this.obj.bind(this.Gamepad.Event.TICK, tick);
+				this.pollTimer.fire();
+				this.pollTimer.fire();
+
+				refute.called(tick);
+			},
+
+			'should fire TICK once per frame': function() {
+				var tick = this.spy();
+
+				this.obj.bind(this.Gamepad.Event.TICK, tick);
+				this.pollTimer.fire();
+				this.pollTimer.fire();
+				this.frameTimer.fire();
+
+				assert.calledOnce(tick);
+			},
+
+			'should report button presses shorter than a frame': function() {
+				var down = this.spy();
+				var up = this.spy();
+
+				this.obj.bind(this.Gamepad.Event.BUTTON_DOWN, down);
+				this.obj.bind(this.Gamepad.Event.BUTTON_UP, up);
+				this.gamepad.buttons[0] = 1;
+				this.pollTimer.fire();
+				this.gamepad.buttons[0] = 0;
+				this.pollTimer.fire();
+				this.frameTimer.fire();
+
+				assert.calledOnce(down);
+				assert.calledOnce(up);
+			}
+		}
+	});
+})();